@@ -0,0 +1,48 @@
+const AssetResolver = require('../asset-resolver');
+const IIParser = require('../ii');
+const FidelityParser = require('../fidelity');
+
+const mapping = [
+  { id: 'TESTFUND', isin: 'GB00TEST0001', sedol: ['BKV0VZ0'], name: 'Test Investment Fund' }
+];
+
+describe('AssetResolver', () => {
+  it('should resolve any mapped identifier to the canonical ID', () => {
+    const resolver = new AssetResolver(mapping);
+    expect(resolver.resolve({ sedol: 'bkv0vz0' }, 'BKV0VZ0')).toBe('TESTFUND');
+    expect(resolver.resolve({ name: ' test  investment fund ' }, 'Test_Investment_Fund')).toBe('TESTFUND');
+    expect(resolver.resolve({ isin: 'GB00TEST0001', ticker: 'TST' }, 'GB00TEST0001')).toBe('TESTFUND');
+    expect(resolver.unmapped).toEqual([]);
+  });
+
+  it('should fall back and report unmapped identifiers once', () => {
+    const resolver = new AssetResolver(mapping);
+    expect(resolver.resolve({ isin: 'US0000000001', ticker: 'ACME' }, 'US0000000001')).toBe('US0000000001');
+    resolver.resolve({ isin: 'US0000000001', ticker: 'ACME' }, 'US0000000001');
+    expect(resolver.unmapped).toEqual([
+      { identifiers: { isin: 'US0000000001', ticker: 'ACME' }, fallback: 'US0000000001' }
+    ]);
+  });
+
+  it('should reject identifiers that map to different assets', () => {
+    const resolver = new AssetResolver([...mapping, { id: 'OTHER', ticker: 'OTH' }]);
+    expect(() => resolver.resolve({ sedol: 'BKV0VZ0', ticker: 'OTH' }, 'BKV0VZ0')).toThrow('several assets');
+  });
+
+  it('should reject conflicting or malformed mapping entries', () => {
+    expect(() => new AssetResolver([{ id: 'A', isin: 'X' }, { id: 'B', isin: 'X' }])).toThrow("maps to both 'A' and 'B'");
+    expect(() => new AssetResolver([{ id: 'HAS SPACE', isin: 'X' }])).toThrow('must not contain whitespace');
+  });
+
+  it('should pool the same fund held at ii and Fidelity', async () => {
+    const assetResolver = new AssetResolver(mapping);
+    const ii = await new IIParser({ assetResolver }).parseToFormat(
+      'Date,Settlement Date,Symbol,Sedol,Quantity,Price,Description,Reference,Debit,Credit,Running Balance\n\n02/01/2024,04/01/2024,TEST,BKV0VZ0,37.91,109.62806,Buy TEST,REF-A,"£4,160.00",n/a,"£13.28"'
+    );
+    const fidelity = await new FidelityParser({ assetResolver }).parseToFormat(
+      '\n\n\n\n\n\n\nOrder date,Completion date,Transaction type,Investments,Product Wrapper,Account Number,Source investment,Amount,Quantity,Price per unit,Reference Number,Status,\n\n15 Jun 2023,16 Jun 2023,Buy,Test Investment Fund,Investment Account,AGXXXXXXXX,,2350.60,500,4.7012,REF123,Completed,'
+    );
+    expect(ii).toEqual(['BUY 04/01/2024 TESTFUND 37.91 109.62806 4']);
+    expect(fidelity).toEqual(['BUY 16/06/2023 TESTFUND 500 4.7012 0']);
+  });
+});
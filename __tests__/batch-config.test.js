@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadBatchConfig } = require('../batch-config');
+const { writeFilesAtomically } = require('../atomic-write');
+const freetradeTestData = require('./data/freetrade.json');
+const iiTestData = require('./data/ii.json');
+
+describe('batch config', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cgtcalc-batch-'));
+    fs.mkdirSync(path.join(dir, 'exports'));
+    fs.writeFileSync(path.join(dir, 'exports', 'freetrade-2024.csv'), freetradeTestData[0].input);
+    fs.writeFileSync(path.join(dir, 'exports', 'freetrade-2025.csv'), freetradeTestData[1].input);
+    fs.writeFileSync(path.join(dir, 'exports', 'ii.csv'), iiTestData[0].input);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeConfig = config => {
+    const configPath = path.join(dir, 'batch.json');
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    return configPath;
+  };
+
+  it('should expand wildcards and detect brokers relative to the config file', () => {
+    const plan = loadBatchConfig(writeConfig({
+      output: 'out/data.txt',
+      sources: [
+        { broker: 'freetrade', path: 'exports/freetrade-*.csv', account: 'Alice GIA', wrapper: 'GIA' },
+        { path: 'exports/ii.csv', account: 'Bob GIA' }
+      ]
+    }));
+    expect(plan.outputPath).toBe(path.join(dir, 'out', 'data.txt'));
+    expect(plan.sources).toEqual([
+      { type: 'freetrade', path: path.join(dir, 'exports', 'freetrade-2024.csv'), account: 'Alice GIA', wrapper: 'GIA' },
+      { type: 'freetrade', path: path.join(dir, 'exports', 'freetrade-2025.csv'), account: 'Alice GIA', wrapper: 'GIA' },
+      { type: 'ii', path: path.join(dir, 'exports', 'ii.csv'), account: 'Bob GIA', wrapper: null }
+    ]);
+  });
+
+  it('should default the output to data.txt next to the config', () => {
+    const plan = loadBatchConfig(writeConfig({ sources: [{ path: 'exports/ii.csv' }] }));
+    expect(plan.outputPath).toBe(path.join(dir, 'data.txt'));
+  });
+
+  it('should reject a wildcard that matches nothing', () => {
+    expect(() => loadBatchConfig(writeConfig({ sources: [{ path: 'exports/*.xlsx' }] }))).toThrow('No files match');
+  });
+
+  it('should reject a config without sources', () => {
+    expect(() => loadBatchConfig(writeConfig({ sources: [] }))).toThrow('at least one source');
+  });
+
+  it('should reject a YAML config', () => {
+    const configPath = path.join(dir, 'batch.yaml');
+    fs.writeFileSync(configPath, 'sources:\n  - path: exports/ii.csv\n');
+    expect(() => loadBatchConfig(configPath)).toThrow(`Batch config ${configPath} is YAML; only JSON configs are supported`);
+  });
+
+  describe('writeFilesAtomically', () => {
+    it('should leave existing files untouched when a write fails', () => {
+      const target = path.join(dir, 'data.txt');
+      fs.writeFileSync(target, 'old\n');
+      expect(() => writeFilesAtomically([
+        { path: target, content: 'new\n' },
+        { path: path.join(target, 'data.ledger.json'), content: '{}' }
+      ])).toThrow();
+      expect(fs.readFileSync(target, 'utf8')).toBe('old\n');
+      expect(fs.readdirSync(dir).filter(f => f.endsWith('.tmp'))).toEqual([]);
+    });
+
+    it('should create the folders of the files', () => {
+      const target = path.join(dir, 'out', 'reports', 'data.txt');
+      writeFilesAtomically([{ path: target, content: 'new\n' }]);
+      expect(fs.readFileSync(target, 'utf8')).toBe('new\n');
+    });
+
+    it('should put back the files already replaced when a rename fails', () => {
+      const target = path.join(dir, 'data.txt');
+      const report = path.join(dir, 'disposals.csv');
+      const ledger = path.join(dir, 'data.ledger.json');
+      fs.writeFileSync(target, 'old\n');
+      fs.writeFileSync(ledger, '{"old":true}');
+      const rename = fs.renameSync;
+      jest.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+        if (to === ledger && from.endsWith('.tmp')) throw new Error('disk full');
+        return rename(from, to);
+      });
+
+      expect(() => writeFilesAtomically([
+        { path: target, content: 'new\n' },
+        { path: report, content: 'Tax year\n' },
+        { path: ledger, content: '{}' }
+      ])).toThrow(`Could not replace ${ledger}: disk full; the files already replaced were restored`);
+      jest.restoreAllMocks();
+
+      expect(fs.readFileSync(target, 'utf8')).toBe('old\n');
+      expect(fs.existsSync(report)).toBe(false);
+      expect(fs.readFileSync(ledger, 'utf8')).toBe('{"old":true}');
+      expect(fs.readdirSync(dir).filter(f => f.endsWith('.tmp') || f.endsWith('.bak'))).toEqual([]);
+    });
+  });
+});
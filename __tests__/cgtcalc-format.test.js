@@ -0,0 +1,87 @@
+const { LINE_KINDS, dateKey, splitMultiplier, parseLine, formatLine, parseDocument } = require('../cgtcalc-format');
+
+describe('cgtcalc format', () => {
+  describe('parseLine', () => {
+    it.each([
+      ['BUY 01/01/2024 VWRL 10 100.50 5.95', { kind: 'BUY', date: '01/01/2024', asset: 'VWRL', amount: '10', price: '100.50', expenses: '5.95' }],
+      ['SELL 02/01/2024 VWRL 1.5 0 0', { kind: 'SELL', date: '02/01/2024', asset: 'VWRL', amount: '1.5', price: '0', expenses: '0' }],
+      ['SPLIT 03/01/2024 VWRL 4', { kind: 'SPLIT', date: '03/01/2024', asset: 'VWRL', multiplier: '4' }],
+      ['UNSPLIT 04/01/2024 VWRL 0.5', { kind: 'UNSPLIT', date: '04/01/2024', asset: 'VWRL', multiplier: '0.5' }],
+      ['CAPRETURN 05/01/2024 FUND 100 12.34', { kind: 'CAPRETURN', date: '05/01/2024', asset: 'FUND', amount: '100', value: '12.34' }],
+      ['DIVIDEND 06/01/2024 FUND 100 5', { kind: 'DIVIDEND', date: '06/01/2024', asset: 'FUND', amount: '100', value: '5' }],
+      ['  # bought in a transfer  ', { kind: 'COMMENT', text: '# bought in a transfer' }],
+    ])('should parse %s', (line, expected) => {
+      expect(parseLine(line)).toEqual(expected);
+    });
+
+    it.each([
+      ['BYU 01/01/2024 A 1 1 0', "Unknown line kind 'BYU'"],
+      ['buy 01/01/2024 A 1 1 0', "Unknown line kind 'buy'"],
+      ['BUY 01/01/2024 A 1 1', 'BUY needs date, asset, amount, price, expenses; found 4 fields'],
+      ['SPLIT 01/01/2024 A 2 1', 'SPLIT needs date, asset, multiplier; found 4 fields'],
+      ['BUY 1/1/2024 A 1 1 0', "Invalid date '1/1/2024'"],
+      ['BUY 30/02/2024 A 1 1 0', "Invalid date '30/02/2024'"],
+      ['BUY 01/01/2024 A -1 1 0', "Invalid amount '-1'"],
+      ['BUY 01/01/2024 A 1 £1 0', "Invalid price '£1'"],
+      ['SELL 01/01/2024 A 0 1 0', "Invalid amount '0', must be greater than zero"],
+      ['SPLIT 01/01/2024 A 0', "Invalid multiplier '0', must be greater than zero"],
+      ['DIVIDEND 01/01/2024 A 1 1e3', "Invalid value '1e3'"],
+    ])('should reject %s', (line, message) => {
+      expect(() => parseLine(line)).toThrow(message);
+    });
+  });
+
+  describe('formatLine', () => {
+    it('should round-trip every line kind', () => {
+      const lines = [
+        'BUY 01/01/2024 VWRL 10 100.50 5.95',
+        'SELL 02/01/2024 VWRL 1.5 0 0',
+        'SPLIT 03/01/2024 VWRL 4',
+        'UNSPLIT 04/01/2024 VWRL 0.5',
+        'CAPRETURN 05/01/2024 FUND 100 12.34',
+        'DIVIDEND 06/01/2024 FUND 100 5',
+        '# comment'
+      ];
+      expect(lines.map(line => formatLine(parseLine(line)))).toEqual(lines);
+      expect(Object.keys(LINE_KINDS)).toEqual(['BUY', 'SELL', 'SPLIT', 'UNSPLIT', 'CAPRETURN', 'DIVIDEND']);
+    });
+
+    it('should write numbers in plain decimal notation', () => {
+      expect(formatLine({ kind: 'BUY', date: '01/01/2024', asset: 'A', amount: 1e-7, price: 1.5, expenses: 0 })).toBe('BUY 01/01/2024 A 0.0000001 1.5 0');
+      expect(formatLine({ kind: 'COMMENT', text: 'note' })).toBe('# note');
+    });
+
+    it('should refuse to write lines cgtcalc would reject', () => {
+      expect(() => formatLine({ kind: 'BUY', date: '01/01/2024', asset: 'A B', amount: 1, price: 1, expenses: 0 })).toThrow("Invalid asset 'A B'");
+      expect(() => formatLine({ kind: 'SELL', date: '01/01/2024', asset: 'A', amount: 1, price: NaN, expenses: 0 })).toThrow("Invalid price 'NaN'");
+      expect(() => formatLine({ kind: 'BUY', date: '01/01/2024', asset: 'A', amount: 1, price: 1 })).toThrow("Invalid expenses 'undefined'");
+      expect(() => formatLine({ kind: 'TRANSFER', date: '01/01/2024', asset: 'A' })).toThrow('Unsupported transaction kind: TRANSFER');
+    });
+  });
+
+  describe('parseDocument', () => {
+    it('should skip blank lines and number every entry', () => {
+      const entries = parseDocument('# header\r\n\r\nBUY 01/01/2024 A 1 1 0\n');
+      expect(entries.map(e => [e.kind, e.lineNumber])).toEqual([['COMMENT', 1], ['BUY', 3]]);
+    });
+
+    it('should report every malformed line at once', () => {
+      expect(() => parseDocument('BUY 01/01/2024 A 1 1 0\nFOO\nSELL 01/01/2024 A x 1 0', 'data.txt')).toThrow(
+        "Malformed cgtcalc lines (2):\n  data.txt line 2: Unknown line kind 'FOO', expected one of BUY, SELL, SPLIT, UNSPLIT, CAPRETURN, DIVIDEND: 'FOO'\n" +
+        "  data.txt line 3: Invalid amount 'x', expected a non-negative decimal number: 'SELL 01/01/2024 A x 1 0'"
+      );
+    });
+  });
+
+  it('should key dates for sorting', () => {
+    expect(dateKey('05/04/2024')).toBe(20240405);
+  });
+
+  it('should give the split multiplier either way round and reject ratios that do not terminate', () => {
+    expect(splitMultiplier(1, 10)).toBe(10);
+    expect(splitMultiplier(20, 1)).toBe(20);
+    expect(splitMultiplier(2, 5)).toBe(2.5);
+    expect(splitMultiplier(3, 1)).toBe(3);
+    expect(splitMultiplier(3, 7)).toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+const { sortTransactionsChronologically } = require('../chronology');
+const BullionVaultParser = require('../bullionvault');
+const bullionvaultTestData = require('./data/bullionvault.json');
+
+describe('sortTransactionsChronologically', () => {
+  it('should sort plain lines by date and keep same-day lines in their order', () => {
+    expect(sortTransactionsChronologically([
+      'SELL 02/01/2024 B 1 1 0',
+      'BUY 01/01/2024 Z 1 1 0',
+      'BUY 01/01/2024 A 1 1 0',
+      'BUY 31/12/2023 C 1 1 0'
+    ])).toEqual([
+      'BUY 31/12/2023 C 1 1 0',
+      'BUY 01/01/2024 Z 1 1 0',
+      'BUY 01/01/2024 A 1 1 0',
+      'SELL 02/01/2024 B 1 1 0'
+    ]);
+  });
+
+  it('should order timed same-day entries by time, then source', () => {
+    const sorted = sortTransactionsChronologically([
+      { line: 'SELL 01/01/2024 A 1 1 0', time: 3000, source: 'freetrade:a.csv' },
+      { line: 'BUY 01/01/2024 GOLD 1 1 0', time: 1000, source: 'bullionvault:emails' },
+      { line: 'BUY 01/01/2024 B 1 1 0', time: 1000, source: 'bullionvault:archive' },
+      { line: 'BUY 01/01/2024 A 1 1 0', time: 2000, source: 'freetrade:a.csv' }
+    ]);
+    expect(sorted).toEqual([
+      'BUY 01/01/2024 B 1 1 0',
+      'BUY 01/01/2024 GOLD 1 1 0',
+      'BUY 01/01/2024 A 1 1 0',
+      'SELL 01/01/2024 A 1 1 0'
+    ]);
+  });
+
+  it('should keep untimed existing lines ahead of new timed entries on the same day', () => {
+    const sorted = sortTransactionsChronologically([
+      'SELL 01/01/2024 X 1 1 0',
+      'BUY 01/01/2024 Y 1 1 0',
+      { line: 'BUY 01/01/2024 A 1 1 0', time: 500, source: 'freetrade:a.csv' },
+      { line: 'BUY 01/01/2024 C 1 1 0', time: null, source: 'ii:b.csv' }
+    ]);
+    expect(sorted).toEqual([
+      'SELL 01/01/2024 X 1 1 0',
+      'BUY 01/01/2024 Y 1 1 0',
+      'BUY 01/01/2024 C 1 1 0',
+      'BUY 01/01/2024 A 1 1 0'
+    ]);
+  });
+
+  it('should give the same output whatever the input order of timed entries', () => {
+    const entries = [
+      { line: 'BUY 01/01/2024 A 1 1 0', time: 2, source: 'freetrade:a' },
+      { line: 'BUY 01/01/2024 B 1 1 0', time: 1, source: 'freetrade:a' },
+      { line: 'BUY 01/01/2024 C 1 1 0', time: 1, source: 'bullionvault:b' }
+    ];
+    expect(sortTransactionsChronologically([...entries].reverse())).toEqual(sortTransactionsChronologically(entries));
+  });
+
+  it('should fail on lines without a date', () => {
+    expect(() => sortTransactionsChronologically(['BUY', 'BUY 01/01/2024 A 1 1 0'])).toThrow('Missing or unparseable date');
+  });
+
+  it('should keep the BullionVault deal time on parsed transactions', async () => {
+    const [transaction] = await new BullionVaultParser().parseContent(bullionvaultTestData[0].input);
+    expect(new Date(transaction.time).toISOString()).toBe('2025-05-20T20:59:30.000Z');
+  });
+});
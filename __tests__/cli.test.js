@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runImport } = require('../cli');
+const freetradeTestData = require('./data/freetrade.json');
+
+const columns = freetradeTestData[0].input.split('\n')[0].split(',');
+const freetradeRow = values => columns.map(column => values[column] ?? '').join(',');
+const order = (id, side, timestamp, quantity, price) => freetradeRow({
+  Title: 'Vodafone', Type: 'ORDER', Timestamp: timestamp, 'Account Currency': 'GBP', 'Buy / Sell': side,
+  Ticker: 'VOD', ISIN: 'GB00BH4HKS39', 'Price per Share in Account Currency': price, 'Stamp Duty': '0.00',
+  Quantity: quantity, 'Order ID': id, 'Instrument Currency': 'GBP'
+});
+const dividend = (payDate, net) => freetradeRow({
+  Title: 'Vodafone', Type: 'DIVIDEND', Timestamp: `${payDate}T10:00:00.000Z`, 'Account Currency': 'GBP', 'Total Amount': net,
+  Ticker: 'VOD', ISIN: 'GB00BH4HKS39', 'Instrument Currency': 'GBP', 'Dividend Pay Date': payDate, 'Dividend Gross Distribution Amount': net
+});
+
+describe('runImport', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cgtcalc-cli-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const write = (name, lines) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, [columns.join(','), ...lines].join('\n') + '\n');
+    return filePath;
+  };
+
+  it('should count rows shared by two overlapping exports once', async () => {
+    const buy = order('ORDER-1', 'BUY', '2024-05-01T10:00:00.000Z', '100', '0.70');
+    const sell = order('ORDER-2', 'SELL', '2024-06-03T10:00:00.000Z', '40', '0.75');
+    const paid = dividend('2024-06-07', '4.00');
+    const sources = [
+      { type: 'freetrade', path: write('freetrade-2024.csv', [buy, sell, paid]) },
+      { type: 'freetrade', path: write('freetrade-all.csv', [buy, sell, paid, order('ORDER-3', 'SELL', '2024-07-01T10:00:00.000Z', '10', '0.80'), dividend('2024-08-02', '2.40')]) }
+    ];
+    const outputPath = path.join(dir, 'data.txt');
+    const report = path.join(dir, 'disposals.csv');
+    const dividends = path.join(dir, 'dividends.csv');
+
+    await runImport({ sources, outputPath, report, dividends });
+
+    expect(fs.readFileSync(outputPath, 'utf8').trim().split('\n')).toEqual([
+      'BUY 01/05/2024 GB00BH4HKS39 100 0.7 0',
+      'SELL 03/06/2024 GB00BH4HKS39 40 0.75 0',
+      'SELL 01/07/2024 GB00BH4HKS39 10 0.8 0'
+    ]);
+    expect(fs.readFileSync(report, 'utf8')).toBe(
+      'Tax year,Broker,Asset,Disposals,Proceeds,Expenses\n' +
+      '2024/25,freetrade,GB00BH4HKS39,2,38.00,0.00\n'
+    );
+    expect(fs.readFileSync(dividends, 'utf8')).toBe(
+      'Tax year,Broker,Asset,Payments,Gross,Withholding tax,Net received\n' +
+      '2024/25,freetrade,GB00BH4HKS39,2,6.40,0.00,6.40\n'
+    );
+    expect(Object.keys(JSON.parse(fs.readFileSync(path.join(dir, 'data.ledger.json'), 'utf8')).entries)).toEqual([
+      'freetrade:ORDER-1', 'freetrade:ORDER-2', 'freetrade:ORDER-3'
+    ]);
+  });
+
+  it('should report two dividends of one security paid on the same day', async () => {
+    const ordinary = dividend('2024-06-07', '4.00');
+    const special = dividend('2024-06-07', '1.50');
+    const sources = [
+      { type: 'freetrade', path: write('freetrade-2024.csv', [ordinary, special]) },
+      { type: 'freetrade', path: write('freetrade-all.csv', [ordinary, special, dividend('2024-08-02', '2.40')]) }
+    ];
+    const dividends = path.join(dir, 'dividends.csv');
+
+    await runImport({ sources, outputPath: path.join(dir, 'data.txt'), dividends });
+
+    expect(fs.readFileSync(dividends, 'utf8')).toBe(
+      'Tax year,Broker,Asset,Payments,Gross,Withholding tax,Net received\n' +
+      '2024/25,freetrade,GB00BH4HKS39,3,7.90,0.00,7.90\n'
+    );
+  });
+
+  it('should list unmapped identifiers with a hint when no mapping file is given', async () => {
+    const sources = [{ type: 'freetrade', path: write('freetrade.csv', [order('ORDER-1', 'BUY', '2024-05-01T10:00:00.000Z', '100', '0.70')]) }];
+
+    await runImport({ sources, outputPath: path.join(dir, 'data.txt') });
+
+    const lines = console.log.mock.calls.map(([line]) => line);
+    const at = lines.indexOf('Unmapped identifiers (1), to pool a security held at several brokers, list its identifiers in a mapping file and pass it with --assets:');
+    expect(at).toBeGreaterThan(-1);
+    expect(lines[at + 1]).toBe('  {"isin":"GB00BH4HKS39","ticker":"VOD"} -> GB00BH4HKS39');
+  });
+});
@@ -0,0 +1,69 @@
+const { consolidateSameDay } = require('../consolidation');
+const { mergeTransactions } = require('../index');
+
+describe('consolidateSameDay', () => {
+  const trade = (kind, date, asset, amount, price, expenses, extra = {}) => ({ kind, date, asset, amount, price, expenses, ...extra });
+
+  it('should merge same-day, same-asset, same-direction trades', () => {
+    const { transactions, merged } = consolidateSameDay([
+      trade('BUY', '05/03/2024', 'FUND', 20, 2.5, 0, { ref: 'REF1', source: 'fidelity:f.csv' }),
+      trade('SELL', '05/03/2024', 'FUND', 5, 2.7, 1),
+      trade('BUY', '05/03/2024', 'FUND', 30, 2.6, 1.5, { ref: 'REF2', source: 'fidelity:f.csv' }),
+      trade('BUY', '06/03/2024', 'FUND', 1, 2.6, 0),
+      trade('BUY', '05/03/2024', 'OTHER', 0.1, 10, 0),
+      trade('BUY', '05/03/2024', 'OTHER', 0.2, 10, 0)
+    ]);
+
+    expect(transactions.map(({ kind, date, asset, amount, price, expenses }) => [kind, date, asset, amount, price, expenses])).toEqual([
+      ['BUY', '05/03/2024', 'FUND', 50, 2.56, 1.5],
+      ['SELL', '05/03/2024', 'FUND', 5, 2.7, 1],
+      ['BUY', '06/03/2024', 'FUND', 1, 2.6, 0],
+      ['BUY', '05/03/2024', 'OTHER', 0.3, 10, 0]
+    ]);
+    expect(merged).toHaveLength(2);
+    expect(merged[0].consolidated.map(t => t.ref)).toEqual(['REF1', 'REF2']);
+    expect(merged[0].comments).toEqual([
+      '# BUY 05/03/2024 FUND: 2 same-day rows consolidated',
+      '#   fidelity:f.csv REF1: BUY 05/03/2024 FUND 20 2.5 0',
+      '#   fidelity:f.csv REF2: BUY 05/03/2024 FUND 30 2.6 1.5'
+    ]);
+    expect(merged[1].comments[1]).toBe('#   unreferenced row: BUY 05/03/2024 OTHER 0.1 10 0');
+  });
+
+  it('should leave single trades and other line kinds untouched', () => {
+    const buy = trade('BUY', '05/03/2024', 'FUND', 20, 2.5, 0);
+    const dividend = { kind: 'DIVIDEND', date: '05/03/2024', asset: 'FUND', amount: 20, value: 1 };
+    const split = { kind: 'SPLIT', date: '05/03/2024', asset: 'FUND', multiplier: 2 };
+    const { transactions, merged } = consolidateSameDay([buy, dividend, split, { ...dividend }]);
+    expect(transactions[0]).toBe(buy);
+    expect(transactions).toHaveLength(4);
+    expect(merged).toEqual([]);
+  });
+
+  it('should keep the earliest time only when every row has one', () => {
+    const { merged } = consolidateSameDay([
+      trade('BUY', '05/03/2024', 'FUND', 1, 3, 0, { time: 200 }),
+      trade('BUY', '05/03/2024', 'FUND', 3, 1, 0, { time: 100 }),
+      trade('SELL', '05/03/2024', 'FUND', 1, 3, 0, { time: 300 }),
+      trade('SELL', '05/03/2024', 'FUND', 1, 3, 0)
+    ]);
+    expect(merged.map(({ amount, price, time }) => ({ amount, price, time }))).toEqual([
+      { amount: 4, price: 1.5, time: 100 },
+      { amount: 2, price: 3, time: null }
+    ]);
+  });
+
+  it('should write the traceability comments above the merged line', () => {
+    const { transactions } = consolidateSameDay([
+      trade('BUY', '05/03/2024', 'FUND', 20, 2.5, 0, { ref: 'REF1' }),
+      trade('BUY', '05/03/2024', 'FUND', 30, 2.6, 0, { ref: 'REF2' })
+    ]);
+    expect(mergeTransactions(['BUY 01/03/2024 FUND 1 2 0'], transactions).lines).toEqual([
+      'BUY 01/03/2024 FUND 1 2 0',
+      '# BUY 05/03/2024 FUND: 2 same-day rows consolidated',
+      '#   REF1: BUY 05/03/2024 FUND 20 2.5 0',
+      '#   REF2: BUY 05/03/2024 FUND 30 2.6 0',
+      'BUY 05/03/2024 FUND 50 2.56 0'
+    ]);
+  });
+});
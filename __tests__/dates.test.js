@@ -0,0 +1,79 @@
+const { ukDateOfInstant, ukDateFromIso, ukDateFromDayMonthYear, ukDateFromText } = require('../dates');
+const FreetradeParser = require('../freetrade');
+const freetradeTestData = require('./data/freetrade.json');
+
+// The results must not depend on the machine's timezone, so every case runs under several TZ settings
+const TIMEZONES = ['UTC', 'Europe/London', 'America/Los_Angeles', 'Pacific/Auckland', 'Asia/Kolkata'];
+
+describe.each(TIMEZONES)('dates (TZ=%s)', (tz) => {
+  const originalTz = process.env.TZ;
+
+  beforeAll(() => {
+    process.env.TZ = tz;
+  });
+
+  afterAll(() => {
+    if (originalTz === undefined) delete process.env.TZ;
+    else process.env.TZ = originalTz;
+  });
+
+  describe('ukDateFromIso', () => {
+    it.each([
+      ['2025-03-30T23:30:00Z', '31/03/2025'],      // first night of BST: 00:30 in London
+      ['2025-03-30T00:30:00Z', '30/03/2025'],      // before the clocks change
+      ['2025-10-25T23:30:00.000Z', '26/10/2025'],  // last night of BST
+      ['2025-10-26T23:30:00.000Z', '26/10/2025'],  // back on GMT
+      ['2025-01-15T23:59:59.999Z', '15/01/2025'],
+      ['2025-06-01T00:30:00+02:00', '31/05/2025'],
+      ['2024-06-10', '10/06/2024'],
+      ['2024-06-10T23:30:00', '10/06/2024'],       // no zone: already UK local
+    ])('%s -> %s', (input, expected) => {
+      expect(ukDateFromIso(input)).toBe(expected);
+    });
+
+    it('should reject malformed timestamps', () => {
+      expect(() => ukDateFromIso('30/03/2025')).toThrow('Invalid timestamp');
+      expect(() => ukDateFromIso('2025-02-30')).toThrow('Invalid date');
+    });
+  });
+
+  describe('ukDateFromText', () => {
+    it.each([
+      ['16 Jun 2023', '16/06/2023'],
+      ['May 20, 2025 at 9:59:30 PM BST', '20/05/2025'],
+      ['May 20, 2025 at 11:30:00 PM UTC', '21/05/2025'],
+      ['Jan 20, 2025 at 11:30:00 PM UTC', '20/01/2025'],
+      ['21 August 2019 11:23:26 BST', '21/08/2019'],
+      ['Tue, 20 May 2025 23:02:22 +0000', '21/05/2025'],
+      ['Mar 10, 2025 at 12:15:00 AM EST<br>', '10/03/2025'],
+    ])('%s -> %s', (input, expected) => {
+      expect(ukDateFromText(input)).toBe(expected);
+    });
+
+    it('should reject unknown zones and unreadable dates', () => {
+      expect(() => ukDateFromText('May 20, 2025 at 9:59:30 PM XYZ')).toThrow("Unknown timezone 'XYZ'");
+      expect(() => ukDateFromText('sometime in May')).toThrow('Invalid date format');
+    });
+  });
+
+  describe('ukDateFromDayMonthYear', () => {
+    it('should pad and validate numeric dates', () => {
+      expect(ukDateFromDayMonthYear('4/1/2024')).toBe('04/01/2024');
+      expect(() => ukDateFromDayMonthYear('31/02/2024')).toThrow('Invalid date');
+    });
+  });
+
+  describe('ukDateOfInstant', () => {
+    it('should read the calendar date in Europe/London', () => {
+      expect(ukDateOfInstant(new Date(Date.UTC(2025, 6, 1, 23, 0, 0)))).toBe('02/07/2025');
+    });
+  });
+
+  describe('freetrade', () => {
+    it('should date a late-evening UTC order on the UK day', async () => {
+      const input = freetradeTestData[0].input.replace('2025-09-19T14:04:05.981Z', '2025-03-30T23:30:00.000Z');
+      const results = await new FreetradeParser().parseToFormat(input);
+      expect(results).toEqual(['BUY 31/03/2025 US05606L1008 1.32373113 10.8103524 0.14']);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+const { deriveExpenses } = require('../dealing-costs');
+const IIParser = require('../ii');
+const iiTestData = require('./data/ii.json');
+
+describe('deriveExpenses', () => {
+  const trade = overrides => ({ kind: 'BUY', quantity: 100, price: 10, priceRaw: '10.00', cash: 1000, label: 'row', ...overrides });
+
+  it('should take the excess cash on a BUY as expenses', () => {
+    expect(deriveExpenses(trade({ cash: 1011.99 }))).toEqual({ expenses: 11.99, warning: null });
+  });
+
+  it('should take the shortfall on a SELL as expenses', () => {
+    expect(deriveExpenses(trade({ kind: 'SELL', cash: 988.01 }))).toEqual({ expenses: 11.99, warning: null });
+  });
+
+  it('should not flag an exact match', () => {
+    expect(deriveExpenses(trade())).toEqual({ expenses: 0, warning: null });
+  });
+
+  it('should flag small differences as rounding', () => {
+    const result = deriveExpenses(trade({ cash: 1000.03 }));
+    expect(result.expenses).toBe(0);
+    expect(result.warning).toContain('treated as rounding');
+  });
+
+  it('should widen the tolerance for coarsely rounded prices', () => {
+    // 10000 units at a price rounded to 2dp can be out by up to £50
+    expect(deriveExpenses(trade({ quantity: 10000, cash: 100040 })).expenses).toBe(0);
+  });
+
+  it('should reject cash that contradicts the direction of the trade', () => {
+    expect(() => deriveExpenses(trade({ kind: 'SELL', cash: 1010 }))).toThrow('inconsistent');
+  });
+
+  it('should collect rounding warnings on the parser', async () => {
+    const parser = new IIParser();
+    await parser.parseContent(iiTestData.find(t => t.name === 'should parse SELL transaction correctly').input);
+    expect(parser.warnings).toEqual([
+      'SELL BYVGKV5 on 03/01/2024: cash 4173.27 differs from quantity x price 4173.25 by -0.02; treated as rounding, no expenses'
+    ]);
+  });
+});
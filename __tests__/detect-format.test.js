@@ -0,0 +1,48 @@
+const path = require('path');
+const { detectFormat, detectSources } = require('../detect-format');
+
+const fixtures = {
+  freetrade: require('./data/freetrade.json'),
+  ii: require('./data/ii.json'),
+  fidelity: require('./data/fidelity.json'),
+  trading212: require('./data/trading212.json'),
+  hl: require('./data/hl.json'),
+  ajbell: require('./data/ajbell.json'),
+  ibkr: require('./data/ibkr.json'),
+};
+
+describe('detectFormat', () => {
+  Object.entries(fixtures).forEach(([type, testData]) => {
+    it(`should detect every ${type} fixture`, () => {
+      testData.forEach(({ input }) => expect(detectFormat(input)).toBe(type));
+    });
+  });
+
+  it('should detect ii exports that start with a BOM', () => {
+    expect(detectFormat('\uFEFF' + fixtures.ii[0].input)).toBe('ii');
+  });
+
+  it('should detect BullionVault mbox archives and history CSVs', () => {
+    expect(detectFormat('From MAILER-DAEMON Tue May 20 21:02:22 2025\nSubject: Dealing advice 1\n')).toBe('bullionvault');
+    expect(detectFormat('Date,Reference,Type,Security,Quantity (kg),Price per kg,Currency,Consideration,Commission\n')).toBe('bullionvault');
+  });
+
+  it('should detect Vanguard XLSX workbooks', () => {
+    const workbook = path.join(__dirname, 'data', 'vanguard.xlsx');
+    expect(detectSources(workbook)).toEqual([{ type: 'vanguard', path: workbook }]);
+  });
+
+  it('should refuse to guess when nothing matches', () => {
+    expect(() => detectFormat('a,b,c\n1,2,3', 'export.csv')).toThrow('Unable to detect the broker format of export.csv');
+  });
+
+  it('should refuse to guess when several formats match', () => {
+    const ambiguous = 'Date,Settlement Date,Symbol,Sedol,Quantity\n\n\n\n\n\n\nOrder date,Completion date,Transaction type,Investments';
+    expect(() => detectFormat(ambiguous, 'export.csv')).toThrow('matches several broker formats (ii, fidelity)');
+  });
+
+  it('should not mistake a truncated Freetrade header for an export', () => {
+    const header = fixtures.freetrade[0].input.split('\n')[0].split(',').slice(0, 20).join(',');
+    expect(() => detectFormat(header)).toThrow('Unable to detect');
+  });
+});
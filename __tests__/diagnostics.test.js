@@ -0,0 +1,81 @@
+const { RowError, atColumn, formatDiagnostic } = require('../diagnostics');
+const { parseTransactions } = require('../index');
+const IIParser = require('../ii');
+const FidelityParser = require('../fidelity');
+const BullionVaultParser = require('../bullionvault');
+const iiTestData = require('./data/ii.json');
+const bullionvaultTestData = require('./data/bullionvault.json');
+
+const iiCsv = iiTestData[0].input;
+const iiRow = iiCsv.split('\n')[2];
+const fidelityCsv = rows => '\n\n\n\n\n\n\nOrder date,Completion date,Transaction type,Investments,Product Wrapper,Account Number,Source investment,Amount,Quantity,Price per unit,Reference Number,Status,\n\n' + rows.join('\n');
+
+describe('diagnostics', () => {
+  it('should attribute parse errors to a column', () => {
+    expect(() => atColumn('Price', 'x', () => { throw new Error('bad'); })).toThrow(expect.objectContaining({ column: 'Price', value: 'x', message: 'bad' }));
+    const own = new RowError('own', { column: 'Quantity', value: '0' });
+    expect(() => atColumn('Price', 'x', () => { throw own; })).toThrow(own);
+  });
+
+  it('should describe a diagnostic on one line', () => {
+    expect(formatDiagnostic({ file: 'ii.csv', line: 12, email: null, column: 'Price', value: '£1.2x', reason: 'Invalid Price: £1.2x' }))
+      .toBe("ii.csv line 12, column 'Price', value '£1.2x': Invalid Price: £1.2x");
+    expect(formatDiagnostic({ file: null, line: null, email: 'a.eml', column: 'Deal', value: null, reason: 'No deal' }))
+      .toBe("email a.eml, column 'Deal': No deal");
+  });
+
+  it('should fail fast with the CSV line by default', async () => {
+    const csv = `${iiCsv}\n${iiRow.replace('109.62806', 'abc')}`;
+    await expect(new IIParser().parseContent(csv)).rejects.toThrow("line 4, column 'Price', value 'abc': Invalid Price: abc");
+  });
+
+  it('should collect every bad ii row with its line, column and value', async () => {
+    const csv = [iiCsv, iiRow.replace('109.62806', 'abc'), iiRow.replace('04/01/2024', '32/01/2024')].join('\n');
+    const { transactions, diagnostics } = await parseTransactions('ii', Buffer.from(csv), { collectErrors: true });
+
+    expect(transactions).toHaveLength(1);
+    expect(diagnostics).toEqual([
+      { file: null, line: 4, email: null, sheet: null, column: 'Price', value: 'abc', reason: 'Invalid Price: abc' },
+      { file: null, line: 5, email: null, sheet: null, column: 'Settlement Date', value: '32/01/2024', reason: 'Invalid date: 32/01/2024' }
+    ]);
+  });
+
+  it('should collect bad Fidelity rows using file line numbers', async () => {
+    const parser = new FidelityParser({ collectErrors: true });
+    await parser.parseContent(fidelityCsv([
+      '16 Jun 2023,16 Jun 2023,Buy,Test Fund,Investment Account,ACC1,,-2350.60,500,4.7012,REF1,Completed',
+      '16 Jun 2023,16 Jun 2023,Buy,Test Fund,Investment Account,ACC1,,-2350.60,0,4.7012,REF2,Completed',
+      '16 Jun 2023,16 Jun 2023,Buy,Test Fund,Piggy Bank,ACC1,,-2350.60,500,4.7012,REF3,Completed'
+    ]));
+
+    expect(parser.diagnostics).toEqual([
+      { file: null, line: 11, email: null, sheet: null, column: 'Quantity', value: '0', reason: 'Zero Quantity is not a valid transaction' },
+      { file: null, line: 12, email: null, sheet: null, column: 'Product Wrapper', value: 'Piggy Bank', reason: "Unknown wrapper 'Piggy Bank'; expected GIA, ISA or SIPP" }
+    ]);
+  });
+
+  it('should collect bad BullionVault emails by file name', async () => {
+    const good = bullionvaultTestData[0].input;
+    const noDeal = good.replace(/=09Summary:[^\n]*\n/, '');
+    const parser = new BullionVaultParser({ collectErrors: true });
+    const transactions = await parser.parseContent([{ label: 'good.eml', content: good }, { label: 'bad.eml', content: noDeal }]);
+
+    expect(transactions).toHaveLength(1);
+    expect(parser.diagnostics).toEqual([{
+      file: null, line: null, email: 'bad.eml', sheet: null, column: 'Deal', value: null,
+      reason: "No 'Summary:' or 'Deal:' line with Buy/Sell, quantity and price per kg in bad.eml"
+    }]);
+  });
+
+  it('should collect bad BullionVault history rows by CSV line', async () => {
+    const csv = bullionvaultTestData.find(({ name }) => name.includes('history CSV')).input.replace('0.012', 'abc');
+    const parser = new BullionVaultParser({ collectErrors: true });
+    const transactions = await parser.parseContent(csv);
+
+    expect(transactions).toHaveLength(1);
+    expect(parser.diagnostics).toEqual([{
+      file: null, line: 3, email: null, sheet: null, column: 'Quantity (kg)', value: 'abc',
+      reason: 'Invalid quantity in deal 10443663: abc'
+    }]);
+  });
+});
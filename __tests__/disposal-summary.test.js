@@ -0,0 +1,52 @@
+const { ukTaxYear, summariseDisposals, formatDisposalTable, formatDisposalCsv } = require('../disposal-summary');
+
+describe('disposal summary', () => {
+  const sell = (date, asset, amount, price, expenses) => ({ kind: 'SELL', date, asset, amount, price, expenses });
+
+  it('should split tax years on 6 April', () => {
+    expect(ukTaxYear('05/04/2024')).toBe('2023/24');
+    expect(ukTaxYear('06/04/2024')).toBe('2024/25');
+    expect(ukTaxYear('31/12/1999')).toBe('1999/00');
+    expect(() => ukTaxYear('2024-04-06')).toThrow('Invalid date');
+  });
+
+  it('should group SELLs by tax year, broker and asset', () => {
+    const summary = summariseDisposals([
+      { broker: 'ii', transaction: sell('10/05/2024', 'VWRL', 10, 100.5, 5.95) },
+      { broker: 'ii', transaction: sell('01/03/2025', 'VWRL', 2, 110, 5.95) },
+      { broker: 'ii', transaction: { kind: 'BUY', date: '01/06/2024', asset: 'VWRL', amount: 1, price: 1, expenses: 0 } },
+      { broker: 'fidelity', transaction: sell('07/04/2024', 'FUND', 3, 1.1, 0) },
+      { broker: 'freetrade', transaction: sell('05/04/2024', 'AAPL', 1, 150, 0) }
+    ]);
+
+    expect(summary.rows).toEqual([
+      { taxYear: '2023/24', broker: 'freetrade', asset: 'AAPL', disposals: 1, proceeds: 150, expenses: 0 },
+      { taxYear: '2024/25', broker: 'fidelity', asset: 'FUND', disposals: 1, proceeds: 3.3, expenses: 0 },
+      { taxYear: '2024/25', broker: 'ii', asset: 'VWRL', disposals: 2, proceeds: 1225, expenses: 11.9 }
+    ]);
+    expect(summary.totals).toEqual([
+      { taxYear: '2023/24', disposals: 1, proceeds: 150, expenses: 0 },
+      { taxYear: '2024/25', disposals: 3, proceeds: 1228.3, expenses: 11.9 }
+    ]);
+  });
+
+  it('should render a table with per-year totals and a CSV', () => {
+    const summary = summariseDisposals([
+      { broker: 'ii', transaction: sell('10/05/2024', 'VWRL', 10, 100.5, 5.95) },
+      { broker: 'freetrade', transaction: sell('11/05/2024', 'AAPL', 1, 150, 0) }
+    ]);
+
+    expect(formatDisposalTable(summary).split('\n')).toEqual([
+      'Tax year  Broker     Asset  Disposals  Proceeds  Expenses',
+      '2024/25   freetrade  AAPL           1    150.00      0.00',
+      '2024/25   ii         VWRL           1   1005.00      5.95',
+      '2024/25   Total                     2   1155.00      5.95'
+    ]);
+    expect(formatDisposalCsv(summary)).toBe(
+      'Tax year,Broker,Asset,Disposals,Proceeds,Expenses\n' +
+      '2024/25,freetrade,AAPL,1,150.00,0.00\n' +
+      '2024/25,ii,VWRL,1,1005.00,5.95\n'
+    );
+    expect(formatDisposalTable(summariseDisposals([]))).toBe('No disposals');
+  });
+});
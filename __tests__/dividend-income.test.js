@@ -0,0 +1,98 @@
+const { dividendKeys, summariseDividends, formatDividendTable, formatDividendCsv } = require('../dividend-income');
+const FxRates = require('../fx-rates');
+const FreetradeParser = require('../freetrade');
+const IIParser = require('../ii');
+
+const freetradeHeader = 'Title,Type,Timestamp,Account Currency,Total Amount,Buy / Sell,Ticker,ISIN,Price per Share in Account Currency,Stamp Duty,Quantity,Venue,Order ID,Order Type,Instrument Currency,Total Shares Amount,Price per Share,FX Rate,Base FX Rate,FX Fee (BPS),FX Fee Amount,Dividend Ex Date,Dividend Pay Date,Dividend Eligible Quantity,Dividend Amount Per Share,Dividend Gross Distribution Amount,Dividend Net Distribution Amount,Dividend Withheld Tax Percentage,Dividend Withheld Tax Amount';
+const iiHeader = 'Date,Settlement Date,Symbol,Sedol,Quantity,Price,Description,Reference,Debit,Credit,Running Balance';
+
+describe('dividend income', () => {
+  const dividend = (date, asset, currency, gross, withheld, net) => ({ date, asset, currency, gross, withheld, net, wrapper: 'GIA' });
+  const fxRates = new FxRates([{ currency: 'USD', rate: 1.25, from: '01/05/2024', to: '31/05/2024' }]);
+
+  it('should group dividends by tax year, broker and asset in pounds', () => {
+    const summary = summariseDividends([
+      { broker: 'freetrade', dividend: dividend('16/05/2024', 'AAPL', 'USD', 2.4, 0.36, 1.62) },
+      { broker: 'freetrade', dividend: dividend('20/05/2024', 'AAPL', 'USD', 2.5, 0.375, 1.69) },
+      { broker: 'ii', dividend: dividend('05/04/2024', 'BARC', 'GBP', 5, 0, 5) },
+      { broker: 'ii', dividend: dividend('06/04/2024', 'BARC', 'GBP', 6, 0, 6) }
+    ], fxRates);
+
+    expect(summary.rows).toEqual([
+      { taxYear: '2023/24', broker: 'ii', asset: 'BARC', payments: 1, gross: 5, withheld: 0, net: 5 },
+      { taxYear: '2024/25', broker: 'freetrade', asset: 'AAPL', payments: 2, gross: 3.92, withheld: 0.59, net: 3.31 },
+      { taxYear: '2024/25', broker: 'ii', asset: 'BARC', payments: 1, gross: 6, withheld: 0, net: 6 }
+    ]);
+    expect(summary.totals).toEqual([
+      { taxYear: '2023/24', payments: 1, gross: 5, withheld: 0, net: 5 },
+      { taxYear: '2024/25', payments: 3, gross: 9.92, withheld: 0.59, net: 9.31 }
+    ]);
+  });
+
+  it('should key same-day payments of a security apart by amount and occurrence', () => {
+    const payment = gross => ({ ...dividend('20/03/2024', '3134865', 'GBP', gross, 0, gross), ref: 'dividend:3134865:20/03/2024' });
+    expect(dividendKeys('ii', [payment(10), payment(2.5), payment(10)])).toEqual([
+      'ii:dividend:3134865:20/03/2024:10#1',
+      'ii:dividend:3134865:20/03/2024:2.5#1',
+      'ii:dividend:3134865:20/03/2024:10#2'
+    ]);
+  });
+
+  it('should fail on a foreign dividend without a rate', () => {
+    const entries = [{ broker: 'freetrade', dividend: dividend('16/05/2024', 'AAPL', 'USD', 2.4, 0.36, 1.62) }];
+    expect(() => summariseDividends(entries)).toThrow('Dividend of AAPL on 16/05/2024 from freetrade was paid in USD; pass an FX rate file to convert it');
+    expect(() => summariseDividends([{ broker: 'freetrade', dividend: dividend('16/06/2024', 'AAPL', 'USD', 1, 0, 1) }], fxRates))
+      .toThrow('No USD rate covers 16/06/2024 in the FX rate file');
+  });
+
+  it('should render a table with per-year totals and a CSV', () => {
+    const summary = summariseDividends([
+      { broker: 'ii', dividend: dividend('10/05/2024', 'BARC', 'GBP', 5, 0, 5) },
+      { broker: 'freetrade', dividend: dividend('11/05/2024', 'VOD', 'GBP', 12.5, 0, 12.5) }
+    ]);
+
+    expect(formatDividendTable(summary).split('\n')).toEqual([
+      'Tax year  Broker     Asset  Payments  Gross  Withholding tax  Net received',
+      '2024/25   freetrade  VOD           1  12.50             0.00         12.50',
+      '2024/25   ii         BARC          1   5.00             0.00          5.00',
+      '2024/25   Total                    2  17.50             0.00         17.50'
+    ]);
+    expect(formatDividendCsv(summary)).toBe(
+      'Tax year,Broker,Asset,Payments,Gross,Withholding tax,Net received\n' +
+      '2024/25,freetrade,VOD,1,12.50,0.00,12.50\n' +
+      '2024/25,ii,BARC,1,5.00,0.00,5.00\n'
+    );
+    expect(formatDividendTable(summariseDividends([]))).toBe('No dividends');
+  });
+
+  it('should collect Freetrade dividends with their withholding tax', async () => {
+    const parser = new FreetradeParser({ collectDividends: true });
+    const transactions = await parser.parseContent([
+      freetradeHeader,
+      'Apple,DIVIDEND,2024-05-16T10:00:00.000Z,GBP,1.62,,AAPL,US0378331005,,,,,,,USD,,,,,,,2024-05-10,2024-05-16,10,0.24,2.40,2.04,15,0.36',
+      'Vodafone,DIVIDEND,2024-08-02T10:00:00.000Z,GBP,12.50,,VOD,GB00BH4HKS39,,,,,,,GBP,,,,,,,2024-06-06,2024-08-02,500,0.025,12.50,12.50,,'
+    ].join('\n'));
+
+    expect(transactions).toEqual([]);
+    expect(parser.dividends).toEqual([
+      { date: '16/05/2024', asset: 'US0378331005', currency: 'USD', gross: 2.4, withheld: 0.36, net: 1.62, ref: 'dividend:US0378331005:2024-05-16', wrapper: 'GIA' },
+      { date: '02/08/2024', asset: 'GB00BH4HKS39', currency: 'GBP', gross: 12.5, withheld: 0, net: 12.5, ref: 'dividend:GB00BH4HKS39:2024-08-02', wrapper: 'GIA' }
+    ]);
+  });
+
+  it('should collect ii dividends as credited', async () => {
+    const parser = new IIParser({ wrapper: 'ISA', collectDividends: true });
+    await parser.parseContent(`${iiHeader}\n\n20/03/2024,20/03/2024,BARC,3134865,n/a,n/a,Div BARC,n/a,n/a,"£1,005.00","£1,117.34"`);
+    expect(parser.dividends).toEqual([
+      { date: '20/03/2024', asset: '3134865', currency: 'GBP', gross: 1005, withheld: 0, net: 1005, ref: 'dividend:3134865:20/03/2024', wrapper: 'ISA' }
+    ]);
+  });
+
+  it('should only read dividend rows when collecting dividends', async () => {
+    const usdAccount = `${freetradeHeader}\nApple,DIVIDEND,2024-05-16T10:00:00.000Z,USD,2.04,,AAPL,US0378331005,,,,,,,USD,,,,,,,2024-05-10,2024-05-16,10,0.24,2.40,2.04,15,0.36`;
+    const parser = new FreetradeParser();
+    expect(await parser.parseContent(usdAccount)).toEqual([]);
+    expect(parser.dividends).toEqual([]);
+    await expect(new FreetradeParser({ collectDividends: true }).parseContent(usdAccount)).rejects.toThrow('received in USD; only GBP accounts are supported');
+  });
+});
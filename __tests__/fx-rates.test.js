@@ -0,0 +1,84 @@
+const FxRates = require('../fx-rates');
+const BullionVaultParser = require('../bullionvault');
+
+const rateFile = [
+  'Country/Territories,Currency,Currency Code,Currency Units per £1,Start date,End date',
+  'USA,Dollar,USD,1.25,01/05/2025,31/05/2025',
+  'Eurozone,Euro,EUR,1.18,01/05/2025,31/05/2025',
+  'Country/Territories,Currency,Currency Code,Currency Units per £1,Start date,End date',
+  '"Korea, South",Won,KRW,1850.1,01/06/2025,30/06/2025',
+  'USA,Dollar,USD,1.3,01/06/2025,30/06/2025'
+].join('\n');
+
+const usdEmail = [
+  'Date: Tue, 20 May 2025 21:02:22 +0000',
+  'Subject: Dealing advice 10443663',
+  '',
+  'Security: Fine gold kilos in New York vault',
+  'Summary: Buy 0.012kg @ USD 100,000.00/kg',
+  'Deal time: May 20, 2025 at 9:59:30 PM BST',
+  'Consideration: USD 1,200.00',
+  'Commission: USD 6.00'
+].join('\n');
+
+describe('FxRates', () => {
+  it('should parse concatenated HMRC monthly files', async () => {
+    const rates = await FxRates.parseRateFile(rateFile);
+    expect(rates).toHaveLength(4);
+    expect(rates[2]).toEqual({ currency: 'KRW', rate: 1850.1, from: '01/06/2025', to: '30/06/2025' });
+  });
+
+  it('should reject rate files without the rate columns', async () => {
+    await expect(FxRates.parseRateFile('Currency,Rate\nUSD,1.25\n')).rejects.toThrow('missing currency code, currency units per £1, start date, end date');
+  });
+
+  it('should find the rate covering a date and convert to GBP', async () => {
+    const fxRates = new FxRates(await FxRates.parseRateFile(rateFile));
+    expect(fxRates.rateOn('usd', '31/05/2025')).toEqual({ currency: 'USD', rate: 1.25, from: '01/05/2025', to: '31/05/2025' });
+    expect(fxRates.toGbp(125, 'USD', '01/06/2025').amount).toBeCloseTo(96.1538, 4);
+  });
+
+  it('should fail clearly when no rate covers the date', async () => {
+    const fxRates = new FxRates(await FxRates.parseRateFile(rateFile));
+    expect(() => fxRates.rateOn('USD', '01/07/2025')).toThrow('No USD rate covers 01/07/2025 in the FX rate file');
+    expect(() => fxRates.rateOn('CHF', '01/05/2025')).toThrow('No CHF rates in the FX rate file');
+  });
+
+  it('should reject overlapping rates that disagree', () => {
+    const fxRates = new FxRates([
+      { currency: 'USD', rate: 1.25, from: '01/05/2025', to: '31/05/2025' },
+      { currency: 'USD', rate: 1.26, from: '15/05/2025', to: '14/06/2025' }
+    ]);
+    expect(() => fxRates.rateOn('USD', '20/05/2025')).toThrow('Conflicting USD rates for 20/05/2025');
+    expect(() => new FxRates([{ currency: 'USD', rate: 1, from: '02/05/2025', to: '01/05/2025' }])).toThrow('starts after it ends');
+  });
+});
+
+describe('BullionVault deals in other currencies', () => {
+  it('should convert price and commission on the deal date and record the rate', async () => {
+    const fxRates = new FxRates(await FxRates.parseRateFile(rateFile));
+    const parser = new BullionVaultParser({ fxRates });
+    const [transaction] = await parser.parseContent(usdEmail);
+    expect(parser.formatTransaction(transaction)).toBe('BUY 20/05/2025 GOLD 0.012 80000 4.8');
+    expect(transaction.fx).toEqual({ currency: 'USD', rate: 1.25, from: '01/05/2025', to: '31/05/2025' });
+  });
+
+  it('should convert history CSV rows', async () => {
+    const fxRates = new FxRates(await FxRates.parseRateFile(rateFile));
+    const csv = 'Date,Reference,Type,Security,Quantity (kg),Price per kg,Currency,Consideration,Commission\n'
+      + '2025-05-28 14:30:00,10450012,Sell,AUXZU,0.01,"91,000.00",EUR,910.00,4.72\n';
+    expect(await new BullionVaultParser({ fxRates }).parseToFormat(csv)).toEqual(['SELL 28/05/2025 GOLD 0.01 77118.6441 4']);
+  });
+
+  it('should fail when no rate covers the deal date', async () => {
+    const fxRates = new FxRates([{ currency: 'USD', rate: 1.3, from: '01/06/2025', to: '30/06/2025' }]);
+    await expect(new BullionVaultParser({ fxRates }).parseContent(usdEmail))
+      .rejects.toThrow("column 'Consideration', value 'USD': No USD rate covers 20/05/2025 in the FX rate file");
+  });
+
+  it('should keep GBP deals unconverted and reject non-GBP deals without rates', async () => {
+    await expect(new BullionVaultParser().parseContent(usdEmail)).rejects.toThrow('Deal in USD in email needs an FX rate file to convert it to GBP');
+    const mixed = usdEmail.replace('Commission: USD', 'Commission: GBP');
+    await expect(new BullionVaultParser().parseContent(mixed)).rejects.toThrow('Commission in GBP but consideration in USD');
+  });
+});
@@ -0,0 +1,63 @@
+const IBKRParser = require('../ibkr');
+const ibkrTestData = require('./data/ibkr.json');
+
+const fixture = name => ibkrTestData.find(t => t.name === name).input;
+
+describe('IBKRParser', () => {
+  it('should report skipped options and FX conversions as warnings', async () => {
+    const parser = new IBKRParser();
+    await parser.parseContent(fixture('should skip options and FX conversions'));
+    expect(parser.warnings).toEqual([
+      'Skipped option trade AAPL  240119C00190000 on 05/01/2024 (trade 611000005); only stocks and ETFs are imported',
+      'Skipped FX conversion GBP.USD on 05/01/2024 (trade 611000006); only stocks and ETFs are imported'
+    ]);
+  });
+
+  it('should report corporate actions it cannot express', async () => {
+    const parser = new IBKRParser();
+    await parser.parseContent(fixture('should turn forward and reverse splits into SPLIT/UNSPLIT lines'));
+    expect(parser.warnings).toEqual([
+      'Skipped corporate action SO on 03/01/2024: GE(US3696043013) SPINOFF  1 FOR 3 (GEHC, GE HEALTHCARE, US36266G1076); enter it manually'
+    ]);
+  });
+
+  it('should record the rate used for non-GBP trades', async () => {
+    const parser = new IBKRParser();
+    const transactions = await parser.parseContent(fixture('should convert stock and ETF trades to GBP with commissions and taxes as expenses'));
+    expect(transactions.map(transaction => transaction.fx || null)).toEqual([
+      null,
+      { currency: 'USD', rate: 1.270003, from: '01/02/2024', to: '01/02/2024' },
+      null,
+      { currency: 'USD', rate: 1.25, from: '10/07/2024', to: '10/07/2024' }
+    ]);
+  });
+
+  it('should take the trade time from dateTime when the query includes it', async () => {
+    const parser = new IBKRParser();
+    const transactions = await parser.parseContent(fixture('should convert stock and ETF trades to GBP with commissions and taxes as expenses'));
+    expect(transactions.map(transaction => transaction.time ?? null)).toEqual([
+      Date.UTC(2024, 0, 15, 9, 30, 1),
+      null,
+      null,
+      null
+    ]);
+  });
+
+  it('should collect bad trades with their line when collecting errors', async () => {
+    const parser = new IBKRParser({ collectErrors: true });
+    expect(await parser.parseContent(fixture('should reject cancelled trades'))).toEqual([]);
+    expect(parser.diagnostics).toEqual([{
+      file: null,
+      line: 7,
+      email: null,
+      sheet: null,
+      column: 'buySell',
+      value: 'BUY (Ca.)',
+      reason: "Unsupported buySell 'BUY (Ca.)'; handle cancelled or corrected trades manually"
+    }]);
+  });
+
+  it('should reject XML that is not a Flex Query export', async () => {
+    await expect(new IBKRParser().parseContent('<Statement />')).rejects.toThrow('Not an IBKR Flex Query export');
+  });
+});
@@ -0,0 +1,86 @@
+const { parseIdentifierChanges, applyIdentifierChanges } = require('../identifier-changes');
+const FreetradeParser = require('../freetrade');
+const freetradeTestData = require('./data/freetrade.json');
+const IBKRParser = require('../ibkr');
+const ibkrTestData = require('./data/ibkr.json');
+
+describe('identifier changes', () => {
+  describe('parseIdentifierChanges', () => {
+    it('should parse a manual mapping file', () => {
+      const content = JSON.stringify([{ date: '10/06/2024', from: 'OLD1', to: 'NEW1' }]);
+      expect(parseIdentifierChanges(content)).toEqual([
+        { date: '10/06/2024', from: 'OLD1', to: 'NEW1', source: 'manual' }
+      ]);
+    });
+
+    it('should reject entries without a valid date', () => {
+      const content = JSON.stringify([{ date: '2024-06-10', from: 'OLD1', to: 'NEW1' }]);
+      expect(() => parseIdentifierChanges(content)).toThrow('Invalid date');
+    });
+  });
+
+  describe('applyIdentifierChanges', () => {
+    it('should move lines up to the change date onto the new identifier', () => {
+      const lines = [
+        'BUY 01/01/2024 OLD1 10 5 0',
+        'SPLIT 10/06/2024 OLD1 10',
+        'SELL 01/07/2024 NEW1 50 1 0',
+        'BUY 01/01/2024 OTHER 1 1 0'
+      ];
+      const result = applyIdentifierChanges(lines, [{ date: '10/06/2024', from: 'OLD1', to: 'NEW1' }]);
+      expect(result.lines).toEqual([
+        'BUY 01/01/2024 NEW1 10 5 0',
+        'SPLIT 10/06/2024 NEW1 10',
+        'SELL 01/07/2024 NEW1 50 1 0',
+        'BUY 01/01/2024 OTHER 1 1 0'
+      ]);
+      expect(result.rewritten).toBe(2);
+    });
+
+    it('should resolve chained changes to the latest identifier', () => {
+      const lines = ['BUY 01/01/2020 A 1 1 0'];
+      const changes = [
+        { date: '01/01/2023', from: 'B', to: 'C' },
+        { date: '01/01/2021', from: 'A', to: 'B' }
+      ];
+      expect(applyIdentifierChanges(lines, changes).lines).toEqual(['BUY 01/01/2020 C 1 1 0']);
+    });
+
+    it('should fail when the old identifier is used after the change', () => {
+      const lines = ['BUY 02/01/2024 A 1 1 0'];
+      expect(() => applyIdentifierChanges(lines, [{ date: '01/01/2024', from: 'A', to: 'B' }]))
+        .toThrow('after it changed');
+    });
+  });
+
+  describe('freetrade', () => {
+    it('should record ISIN changes from stock split rows', async () => {
+      const { input } = freetradeTestData.find(t => t.name === 'should emit SPLIT under the original ISIN when the split changes ISIN');
+      const parser = new FreetradeParser();
+      await parser.parseToFormat(input);
+      expect(parser.identifierChanges).toEqual([
+        { date: '10/06/2024', from: 'US67066G1040', to: 'US67066G2030', source: 'freetrade' }
+      ]);
+    });
+  });
+
+  describe('ibkr', () => {
+    const changesFrom = async name => {
+      const parser = new IBKRParser();
+      await parser.parseToFormat(ibkrTestData.find(t => t.name === name).input);
+      return parser.identifierChanges;
+    };
+
+    it('should record ISIN changes from reverse splits', async () => {
+      expect(await changesFrom('should turn forward and reverse splits into SPLIT/UNSPLIT lines')).toEqual([
+        { date: '05/08/2024', from: 'US0000000017', to: 'US0000000025', source: 'ibkr' }
+      ]);
+    });
+
+    it('should record ISIN change actions', async () => {
+      expect(await changesFrom('should emit nothing for an ISIN change')).toEqual([
+        { date: '02/04/2024', from: 'US0000000041', to: 'US0000000058', source: 'ibkr' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const ImportLedger = require('../import-ledger');
+const { ledgerPathFor, ledgerKeys } = ImportLedger;
+const BullionVaultParser = require('../bullionvault');
+const { formatTransaction } = require('../index');
+
+const format = t => `${t.kind} ${t.date} ${t.asset} ${t.amount} ${t.price} ${t.expenses}`;
+const trade = (ref, raw) => ({ kind: 'BUY', date: '01/01/2024', asset: 'A', amount: 1, price: 10, expenses: 0, ref, raw });
+
+describe('ImportLedger', () => {
+  it('should place the ledger next to the output file', () => {
+    expect(ledgerPathFor('out/data.txt')).toBe('out/data.ledger.json');
+    expect(ledgerPathFor('data.txt')).toBe('data.ledger.json');
+  });
+
+  it('should make re-importing the same rows a no-op', () => {
+    const ledger = new ImportLedger();
+    const rows = [trade('REF1', { id: 1 }), trade('REF2', { id: 2 })];
+    expect(ledger.record('ii', rows, format)).toEqual({ fresh: [format(rows[0]), format(rows[1])], freshTransactions: rows, seen: 0, conflicts: [] });
+    expect(ledger.record('ii', rows, format)).toEqual({ fresh: [], freshTransactions: [], seen: 2, conflicts: [] });
+  });
+
+  it('should keep two identical trades that have different references', () => {
+    const ledger = new ImportLedger();
+    const result = ledger.record('ii', [trade('REF1', { id: 1 }), trade('REF2', { id: 1 })], format);
+    expect(result.fresh).toHaveLength(2);
+  });
+
+  it('should keep identical rows without references apart by occurrence', () => {
+    const ledger = new ImportLedger();
+    const rows = [trade(null, { id: 1 }), trade(null, { id: 1 })];
+    expect(ledger.record('ii', rows, format).fresh).toHaveLength(2);
+    expect(ledger.record('ii', rows, format).seen).toBe(2);
+    expect(ledger.record('ii', [...rows, trade(null, { id: 1 })], format).fresh).toHaveLength(1);
+  });
+
+  it('should report a known reference whose line changed as a conflict', () => {
+    const ledger = new ImportLedger();
+    ledger.record('fidelity', [trade('REF1', { amount: 1 })], format);
+    const changed = { ...trade('REF1', { amount: 2 }), amount: 2 };
+    const result = ledger.record('fidelity', [changed], format);
+    expect(result.fresh).toEqual([]);
+    expect(result.conflicts).toEqual([{ key: 'fidelity:REF1', line: format(changed), existingLine: format(trade()) }]);
+  });
+
+  it('should skip a known reference whose row changed but whose line did not', () => {
+    const ledger = new ImportLedger();
+    ledger.record('fidelity', [trade('REF1', { amount: 1, note: 'a' })], format);
+    expect(ledger.record('fidelity', [trade('REF1', { amount: 1, note: 'b' })], format)).toEqual({ fresh: [], freshTransactions: [], seen: 1, conflicts: [] });
+  });
+
+  it('should see a BullionVault deal imported from its email again in the history CSV', async () => {
+    const email = [
+      'Date: Tue, 20 May 2025 21:02:22 +0000',
+      'Subject: Dealing advice 10443663',
+      '',
+      'Security: Fine gold kilos in London vault',
+      'Summary: Buy 0.012kg @ GBP 78,990.00/kg',
+      'Deal time: May 20, 2025 at 9:59:30 PM BST',
+      'Consideration: GBP 947.88',
+      'Commission: GBP 4.74'
+    ].join('\n');
+    const history = [
+      'Date,Reference,Type,Security,Quantity (kg),Price per kg,Currency,Consideration,Commission',
+      '2025-05-20 21:59:30,10443663,Buy,AUXLN,0.012,78990.00,GBP,947.88,4.74',
+      '2025-06-02 14:30:00,10450012,Sell,AUXLN,0.002,80000.00,GBP,160.00,0.80'
+    ].join('\n');
+    const parser = new BullionVaultParser();
+    const ledger = new ImportLedger();
+
+    expect(ledger.record('bullionvault', await parser.parseContent(email), formatTransaction).fresh).toEqual(['BUY 20/05/2025 GOLD 0.012 78990 4.74']);
+    expect(ledger.record('bullionvault', await parser.parseContent(history), formatTransaction)).toEqual(expect.objectContaining({
+      fresh: ['SELL 02/06/2025 GOLD 0.002 80000 0.8'],
+      seen: 1,
+      conflicts: []
+    }));
+  });
+
+  it('should record the FX rate a row was converted at', () => {
+    const ledger = new ImportLedger();
+    const fx = { currency: 'USD', rate: 1.25, from: '01/01/2024', to: '31/01/2024' };
+    ledger.record('bullionvault', [{ ...trade('deal:1', { id: 1 }), fx }, trade('deal:2', { id: 2 })], format);
+    expect(ledger.entries['bullionvault:deal:1'].fx).toEqual(fx);
+    expect(ledger.entries['bullionvault:deal:2']).not.toHaveProperty('fx');
+  });
+
+  it('should give rows the keys they are recorded under', () => {
+    const keys = ledgerKeys('ii', [trade('REF1', { id: 1 }), trade(null, { id: 2 }), trade(null, { id: 2 })]);
+    expect(keys[0]).toBe('ii:REF1');
+    expect(keys[1]).toMatch(/^ii:row:[0-9a-f]{40}#1$/);
+    expect(keys[2]).toBe(keys[1].replace(/#1$/, '#2'));
+  });
+
+  it('should scope references per broker', () => {
+    const ledger = new ImportLedger();
+    ledger.record('ii', [trade('REF1', { id: 1 })], format);
+    expect(ledger.record('fidelity', [trade('REF1', { id: 1 })], format).fresh).toHaveLength(1);
+  });
+});
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parsers,
+  createParser,
+  parseTransactions,
+  formatTransaction,
+  mergeTransactions,
+  parseLines,
+  serializeTransactions,
+  AssetResolver
+} = require('../index');
+const IIParser = require('../ii');
+
+const fixtures = {
+  freetrade: require('./data/freetrade.json'),
+  ii: require('./data/ii.json'),
+  fidelity: require('./data/fidelity.json'),
+  bullionvault: require('./data/bullionvault.json'),
+  trading212: require('./data/trading212.json'),
+  hl: require('./data/hl.json'),
+  ajbell: require('./data/ajbell.json'),
+  ibkr: require('./data/ibkr.json')
+};
+
+describe('library API', () => {
+  it('should register a parser per broker', () => {
+    expect(Object.keys(parsers)).toEqual(['freetrade', 'ii', 'fidelity', 'bullionvault', 'trading212', 'hl', 'ajbell', 'ibkr', 'vanguard']);
+    expect(createParser('II')).toBeInstanceOf(IIParser);
+    expect(() => createParser('hsbc')).toThrow("Unknown parser type 'hsbc'");
+  });
+
+  describe.each(Object.keys(fixtures))('%s', type => {
+    const cases = fixtures[type].filter(({ expectedError }) => !expectedError);
+    it.each(cases.map(c => [c.name, c]))('should parse a buffer and format it like the parser: %s', async (_, { input, expected }) => {
+      const { transactions } = await parseTransactions(type, Buffer.from(input));
+      expect(transactions.map(formatTransaction)).toEqual(expected);
+    });
+  });
+
+  it('should parse a path with shared parser options', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cgtcalc-lib-'));
+    try {
+      const file = path.join(dir, 'ii.csv');
+      fs.writeFileSync(file, fixtures.ii[0].input);
+      const resolver = new AssetResolver([{ id: 'TESTFUND', sedol: 'BKV0VZ0' }]);
+      const { transactions, identifierChanges, warnings } = await parseTransactions('ii', file, { assetResolver: resolver, wrapper: 'ISA' });
+      expect(transactions).toHaveLength(1);
+      expect(transactions[0]).toMatchObject({ asset: 'TESTFUND', wrapper: 'ISA' });
+      expect(identifierChanges).toEqual([]);
+      expect(warnings).toEqual([]);
+      await expect(parseTransactions('ii', path.join(dir, 'missing.csv'))).rejects.toThrow('does not exist');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should read BullionVault emails from a folder or an mbox archive', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cgtcalc-lib-'));
+    try {
+      const emails = path.join(dir, 'emails');
+      fs.mkdirSync(emails);
+      fs.writeFileSync(path.join(emails, 'a.eml'), fixtures.bullionvault[0].input);
+      fs.writeFileSync(path.join(emails, 'b.eml'), fixtures.bullionvault[1].input);
+      const fromFolder = await parseTransactions('bullionvault', emails);
+      expect(fromFolder.transactions.map(formatTransaction)).toEqual([...fixtures.bullionvault[0].expected, ...fixtures.bullionvault[1].expected]);
+
+      const mbox = fixtures.bullionvault.find(({ name }) => name.includes('mbox'));
+      const archive = path.join(dir, 'deals.mbox');
+      fs.writeFileSync(archive, mbox.input);
+      const fromArchive = await parseTransactions('bullionvault', archive);
+      expect(fromArchive.transactions.map(formatTransaction)).toEqual(mbox.expected);
+
+      // An 8-bit ISO-8859-1 body is decoded from its bytes, not as UTF-8
+      const latin1 = path.join(__dirname, 'data', 'bullionvault-latin1.eml');
+      const expected = ['BUY 20/05/2025 GOLD 0.012 78990 4.74'];
+      expect((await parseTransactions('bullionvault', latin1)).transactions.map(formatTransaction)).toEqual(expected);
+      fs.copyFileSync(latin1, path.join(emails, 'c.eml'));
+      expect((await parseTransactions('bullionvault', emails)).transactions.map(formatTransaction).slice(-1)).toEqual(expected);
+
+      const empty = path.join(dir, 'empty');
+      fs.mkdirSync(empty);
+      await expect(parseTransactions('bullionvault', empty)).rejects.toThrow('does not contain any .eml files');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should read XLSX workbooks for the parsers that take them', async () => {
+    const workbook = path.join(__dirname, 'data', 'vanguard.xlsx');
+    const fromPath = await parseTransactions('vanguard', workbook);
+    const fromBuffer = await parseTransactions('vanguard', fs.readFileSync(workbook));
+    expect(fromPath.transactions.map(formatTransaction)).toHaveLength(3);
+    expect(fromBuffer.transactions.map(formatTransaction)).toEqual(fromPath.transactions.map(formatTransaction));
+
+    await expect(parseTransactions('ii', workbook)).rejects.toThrow('is an XLSX workbook; only vanguard exports are read from workbooks');
+    await expect(parseTransactions('vanguard', Buffer.from(fixtures.ii[0].input))).rejects.toThrow('the input is not an XLSX workbook');
+  });
+
+  it('should format splits and reject unknown kinds', () => {
+    expect(formatTransaction({ kind: 'SPLIT', date: '01/01/2024', asset: 'A', multiplier: 4 })).toBe('SPLIT 01/01/2024 A 4');
+    expect(formatTransaction({ kind: 'SELL', date: '01/01/2024', asset: 'A', amount: 2, price: 3, expenses: 0 })).toBe('SELL 01/01/2024 A 2 3 0');
+    expect(() => formatTransaction({ kind: 'TRANSFER', date: '01/01/2024', asset: 'A' })).toThrow('Unsupported transaction kind');
+  });
+
+  it('should merge new transactions after existing same-day lines, relink and serialize', () => {
+    const existing = parseLines('BUY 02/01/2024 OLD 1 1 0\n\n  BUY 01/01/2024 OLD 5 1 0  \n');
+    const { lines, rewritten } = mergeTransactions(existing, [
+      { kind: 'SELL', date: '02/01/2024', asset: 'NEW', amount: 1, price: 2, expenses: 0, time: 2000, source: 'b' },
+      { kind: 'BUY', date: '02/01/2024', asset: 'NEW', amount: 1, price: 2, expenses: 0, time: 1000, source: 'b' }
+    ], [{ date: '02/01/2024', from: 'OLD', to: 'NEW' }]);
+
+    expect(rewritten).toBe(2);
+    expect(serializeTransactions(lines)).toBe([
+      'BUY 01/01/2024 NEW 5 1 0',
+      'BUY 02/01/2024 NEW 1 1 0',
+      'BUY 02/01/2024 NEW 1 2 0',
+      'SELL 02/01/2024 NEW 1 2 0',
+      ''
+    ].join('\n'));
+  });
+
+  it('should keep hand-written lines and comments when merging', () => {
+    const existing = parseLines([
+      '# opening balance transferred in',
+      'BUY  01/01/2024 A 10 1.50 0',
+      'CAPRETURN 01/03/2024 A 10 2.5',
+      '# dividend checked by hand',
+      'DIVIDEND 02/01/2024 A 10 3',
+      'SPLIT 01/02/2024 A 2',
+      '# end of file'
+    ].join('\n'), 'data.txt');
+    const { lines } = mergeTransactions(existing, [
+      { kind: 'SELL', date: '15/01/2024', asset: 'A', amount: 5, price: 2, expenses: 0, time: null }
+    ]);
+
+    expect(lines).toEqual([
+      '# opening balance transferred in',
+      'BUY 01/01/2024 A 10 1.50 0',
+      '# dividend checked by hand',
+      'DIVIDEND 02/01/2024 A 10 3',
+      'SELL 15/01/2024 A 5 2 0',
+      'SPLIT 01/02/2024 A 2',
+      'CAPRETURN 01/03/2024 A 10 2.5',
+      '# end of file'
+    ]);
+  });
+
+  it('should report malformed existing lines with their line numbers', () => {
+    expect(() => parseLines('BUY 01/01/2024 A 1 1 0\n\nBUY 01/01/2024 A 1\nSELL 31/02/2024 A 1 1 0\n', 'data.txt'))
+      .toThrow(/data\.txt line 3: BUY needs date, asset, amount, price, expenses; found 3 fields[\s\S]*data\.txt line 4: Invalid date '31\/02\/2024'/);
+  });
+});
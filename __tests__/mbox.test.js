@@ -0,0 +1,39 @@
+const { isMbox, splitMbox } = require('../mbox');
+
+describe('mbox', () => {
+  const archive = [
+    'From alice@example.com Tue May 20 21:02:22 2025',
+    'Subject: one',
+    '',
+    '>From the desk',
+    '>>From quoted',
+    '',
+    'From bob@example.com Wed May 21 09:15:00 2025',
+    'Subject: two',
+    '',
+    'body',
+    ''
+  ].join('\r\n');
+
+  it('should recognise an archive by its first separator line', () => {
+    expect(isMbox(archive)).toBe(true);
+    expect(isMbox('\uFEFF' + archive)).toBe(true);
+    expect(isMbox('Subject: one\n\nFrom the desk')).toBe(false);
+  });
+
+  it('should split messages and unescape one level of >From', () => {
+    expect(splitMbox(archive)).toEqual([
+      { label: 'message 1', content: 'Subject: one\n\nFrom the desk\n>From quoted\n' },
+      { label: 'message 2', content: 'Subject: two\n\nbody\n' }
+    ]);
+  });
+
+  it('should split an archive read as bytes into byte messages', () => {
+    const bytes = Buffer.concat([Buffer.from('From a@example.com Tue May 20 21:02:22 2025\nSubject: one\n\n'), Buffer.from([0xA3, 0x0A])]);
+    expect(splitMbox(bytes)).toEqual([{ label: 'message 1', content: Buffer.from([...Buffer.from('Subject: one\n\n'), 0xA3, 0x0A]) }]);
+  });
+
+  it('should reject text that is not an archive', () => {
+    expect(() => splitMbox('Subject: one\n')).toThrow("Not an mbox archive");
+  });
+});
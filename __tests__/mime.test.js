@@ -0,0 +1,83 @@
+const { parseMessage, parseHeaders, decodeQuotedPrintable, htmlToText } = require('../mime');
+
+describe('mime', () => {
+  it('should unfold headers and decode encoded words', () => {
+    const headers = parseHeaders('Subject: =?UTF-8?Q?Dealing_advice?=\n =?UTF-8?B?IDEyMw==?=\nContent-Type: text/plain;\n\tcharset=utf-8\nX-Dup: first\nX-Dup: second');
+    expect(headers.subject).toBe('Dealing advice 123');
+    expect(headers['content-type']).toBe('text/plain; charset=utf-8');
+    expect(headers['x-dup']).toBe('first');
+  });
+
+  it('should decode quoted-printable bytes and soft line breaks', () => {
+    expect(decodeQuotedPrintable('=C2=A31,0=\n80.00').toString('utf8')).toBe('£1,080.00');
+    expect(decodeQuotedPrintable('a=3Db  \nc').toString('utf8')).toBe('a=b\nc');
+  });
+
+  it('should convert HTML to text lines', () => {
+    expect(htmlToText('<html><head><style>p{}</style></head><body><p>Consideration:&nbsp;&pound;80.14</p><br/>Deal time: 1 May<!-- x --></body></html>'))
+      .toBe('Consideration: £80.14\nDeal time: 1 May');
+    expect(htmlToText('<table><tr><td>A</td><td>B &amp; C</td></tr></table>&#163;&#x41;')).toBe('A B & C\n£A');
+    expect(htmlToText('&#99999999; &#xD800; &#0; &bogus;')).toBe('&#99999999; &#xD800; &#0; &bogus;');
+  });
+
+  it('should prefer the text/plain part of a multipart/alternative message', () => {
+    const raw = [
+      'Message-ID: <id@example.com>',
+      'Content-Type: multipart/alternative; boundary="alt"',
+      '',
+      '--alt',
+      'Content-Type: text/html; charset=utf-8',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      '<p>Price: =C2=A3720.00</p>',
+      '--alt',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from('Price: £720.00').toString('base64'),
+      '--alt--',
+      ''
+    ].join('\r\n');
+    const message = parseMessage(raw);
+    expect(message.headers['message-id']).toBe('<id@example.com>');
+    expect(message.text).toBe('Price: £720.00');
+  });
+
+  it('should fall back to HTML parts and skip attachments', () => {
+    const raw = [
+      'Content-Type: multipart/mixed; boundary=outer',
+      '',
+      '--outer',
+      'Content-Type: text/html; charset=iso-8859-1',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      '<p>Commission: =A35.40</p>',
+      '--outer',
+      'Content-Type: text/plain',
+      'Content-Disposition: attachment; filename=notes.txt',
+      '',
+      'not part of the message',
+      '--outer--'
+    ].join('\n');
+    expect(parseMessage(raw).text).toBe('Commission: £5.40');
+  });
+
+  it('should decode an 8-bit body from its bytes in the declared charset', () => {
+    const headers = 'Content-Type: text/plain; charset=iso-8859-1\nContent-Transfer-Encoding: 8bit\n\n';
+    expect(parseMessage(Buffer.concat([Buffer.from(headers), Buffer.from([0xA3]), Buffer.from('100.00')])).text).toBe('£100.00');
+    expect(parseMessage(Buffer.from('Subject: Caf\u00e9\nContent-Type: text/plain; charset=utf-8\n\n\u00a3100.00', 'utf8'))).toEqual({
+      headers: { subject: 'Café', 'content-type': 'text/plain; charset=utf-8' },
+      text: '£100.00'
+    });
+  });
+
+  it('should treat a body without Content-Type that looks like HTML as HTML', () => {
+    expect(parseMessage('Date: Tue, 20 May 2025 21:02:22 +0000\n\n<html><body><p>Deal: Buy</p></body></html>').text).toBe('Deal: Buy');
+  });
+
+  it('should fail on what it cannot decode', () => {
+    expect(() => parseMessage('Content-Type: text/plain; charset=x-klingon\n\nhi')).toThrow("Unsupported charset 'x-klingon'");
+    expect(() => parseMessage('Content-Transfer-Encoding: uuencode\n\nhi')).toThrow("Unsupported Content-Transfer-Encoding 'uuencode'");
+    expect(() => parseMessage('Content-Type: multipart/mixed\n\nhi')).toThrow('multipart/mixed part has no boundary');
+  });
+});
@@ -0,0 +1,25 @@
+const { penceToPounds } = require('../pence');
+
+describe('penceToPounds', () => {
+  it('should move the decimal point two places', () => {
+    expect(penceToPounds('178.45')).toEqual({ pounds: 1.7845, text: '1.7845' });
+    expect(penceToPounds('612.4')).toEqual({ pounds: 6.124, text: '6.124' });
+    expect(penceToPounds(4350)).toEqual({ pounds: 43.5, text: '43.50' });
+  });
+
+  it('should accept thousands separators and a trailing p', () => {
+    expect(penceToPounds('9,852.00p')).toEqual({ pounds: 98.52, text: '98.5200' });
+  });
+
+  it('should keep prices under a pound exact', () => {
+    expect(penceToPounds('5')).toEqual({ pounds: 0.05, text: '0.05' });
+    expect(penceToPounds('0.1')).toEqual({ pounds: 0.001, text: '0.001' });
+    expect(penceToPounds('56.7')).toEqual({ pounds: 0.567, text: '0.567' });
+  });
+
+  it('should reject prices that are not numbers', () => {
+    expect(() => penceToPounds('n/a')).toThrow("Invalid price in pence: 'n/a'");
+    expect(() => penceToPounds('')).toThrow('Invalid price in pence');
+    expect(() => penceToPounds('-12')).toThrow('Invalid price in pence');
+  });
+});
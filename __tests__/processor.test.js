@@ -10,18 +10,38 @@ const fidelityTestData = require('./data/fidelity.json');
 const BullionVaultParser = require('../bullionvault');
 const bullionvaultTestData = require('./data/bullionvault.json');
 
+const Trading212Parser = require('../trading212');
+const trading212TestData = require('./data/trading212.json');
+
+const HLParser = require('../hl');
+const hlTestData = require('./data/hl.json');
+
+const AJBellParser = require('../ajbell');
+const ajbellTestData = require('./data/ajbell.json');
+
+const IBKRParser = require('../ibkr');
+const ibkrTestData = require('./data/ibkr.json');
+
 const processors = [
   { name: 'ii', processor: new IIParser(), testData: iiTestData },
   { name: 'freetrade', processor: new FreetradeParser(), testData: freetradeTestData },
   { name: 'fidelity', processor: new FidelityParser(), testData: fidelityTestData },
   { name: 'bullionvault', processor: new BullionVaultParser(), testData: bullionvaultTestData },
+  { name: 'trading212', processor: new Trading212Parser(), testData: trading212TestData },
+  { name: 'hl', processor: new HLParser(), testData: hlTestData },
+  { name: 'ajbell', processor: new AJBellParser(), testData: ajbellTestData },
+  { name: 'ibkr', processor: new IBKRParser(), testData: ibkrTestData },
 ]
 
 processors.forEach(({ name, processor, testData }) => {
   describe(name, () => {
     describe('parseToFormat', () => {
-      testData.forEach(({ name, input, expected }) => {
+      testData.forEach(({ name, input, expected, expectedError }) => {
         it(name, async () => {
+          if (expectedError) {
+            await expect(processor.parseToFormat(input)).rejects.toThrow(expectedError);
+            return;
+          }
           const results = await processor.parseToFormat(input);
           expect(results).toEqual(expected);
         });
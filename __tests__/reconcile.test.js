@@ -0,0 +1,79 @@
+const { replayHoldings, formatRunningHoldings, parseHoldingsSnapshot, compareWithSnapshot } = require('../reconcile');
+const AssetResolver = require('../asset-resolver');
+
+describe('reconciliation', () => {
+  describe('replayHoldings', () => {
+    it('should track running and closing holdings through splits', () => {
+      const { positions, negatives } = replayHoldings([
+        'BUY 01/01/2024 A 10 5 0',
+        'SPLIT 01/02/2024 A 4',
+        'SELL 01/03/2024 A 15 2 0',
+        'UNSPLIT 01/04/2024 A 5',
+        'DIVIDEND 01/05/2024 A 5 1',
+        'BUY 01/01/2024 B 0.1 3 0',
+        'BUY 02/01/2024 B 0.2 3 0'
+      ]);
+      expect(positions.A.closing).toBe(5);
+      expect(positions.A.history.map(h => h.holding)).toEqual([10, 40, 25, 5]);
+      expect(positions.B.closing).toBe(0.3);
+      expect(negatives).toEqual([]);
+    });
+
+    it('should flag a SELL with no earlier BUY', () => {
+      const { negatives } = replayHoldings([
+        'SELL 01/01/2024 A 3 1 0',
+        'BUY 02/01/2024 A 3 1 0'
+      ]);
+      expect(negatives).toEqual([{ asset: 'A', line: 'SELL 01/01/2024 A 3 1 0', date: '01/01/2024', holding: -3 }]);
+    });
+
+    it('should list the lines of each asset with the holding after each', () => {
+      const { positions } = replayHoldings([
+        'BUY 01/01/2024 B 10 5 0',
+        'BUY 01/01/2024 A 3 1 0',
+        'SPLIT 01/02/2024 B 2',
+        'SELL 01/03/2024 B 5 2 0'
+      ]);
+      expect(formatRunningHoldings(positions)).toEqual([
+        'A',
+        '  BUY 01/01/2024 A 3 1 0 -> 3',
+        'B',
+        '  BUY 01/01/2024 B 10 5 0 -> 10',
+        '  SPLIT 01/02/2024 B 2 -> 20',
+        '  SELL 01/03/2024 B 5 2 0 -> 15'
+      ]);
+    });
+
+    it('should reject lines with unusable quantities', () => {
+      expect(() => replayHoldings(['SPLIT 01/01/2024 A 0'])).toThrow('Invalid multiplier');
+    });
+  });
+
+  describe('parseHoldingsSnapshot', () => {
+    it('should resolve snapshot identifiers through the asset mapping', async () => {
+      const resolver = new AssetResolver([{ id: 'TESTFUND', sedol: 'BKV0VZ0' }]);
+      const snapshot = await parseHoldingsSnapshot('Sedol,Name,Quantity\nBKV0VZ0,Test,"1,000.5"\nB000001,Other,2\n', resolver);
+      expect(snapshot).toEqual({ TESTFUND: 1000.5, B000001: 2 });
+    });
+
+    it('should require identifier and quantity columns', async () => {
+      await expect(parseHoldingsSnapshot('Foo,Bar\n1,2\n', new AssetResolver())).rejects.toThrow('needs an identifier column');
+    });
+  });
+
+  describe('compareWithSnapshot', () => {
+    it('should report assets whose closing position differs', () => {
+      const { positions } = replayHoldings(['BUY 01/01/2024 A 10 1 0', 'BUY 01/01/2024 B 1 1 0', 'SELL 02/01/2024 B 1 1 0']);
+      expect(compareWithSnapshot(positions, { A: 10 })).toEqual({ mismatches: [], unlisted: [] });
+      expect(compareWithSnapshot(positions, { A: 9, C: 1, B: 0 }).mismatches).toEqual([
+        { asset: 'A', ledger: 10, snapshot: 9 },
+        { asset: 'C', ledger: 0, snapshot: 1 }
+      ]);
+    });
+
+    it('should only compare the assets in the snapshot and list other open positions', () => {
+      const { positions } = replayHoldings(['BUY 01/01/2024 GOLD 1 1 0', 'BUY 01/01/2024 VWRL 10 1 0', 'BUY 01/01/2024 A 1 1 0', 'SELL 02/01/2024 A 1 1 0']);
+      expect(compareWithSnapshot(positions, { VWRL: 10 })).toEqual({ mismatches: [], unlisted: [{ asset: 'GOLD', ledger: 1 }] });
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const ShareClasses = require('../share-classes');
+const FreetradeParser = require('../freetrade');
+const IIParser = require('../ii');
+const FidelityParser = require('../fidelity');
+
+const shareClasses = new ShareClasses(ShareClasses.parseShareClassFile(JSON.stringify([
+  { isin: 'GB00B3X7QG63', sedol: 'B3X7QG6', class: 'accumulation' },
+  { isin: 'GB0031348658', ticker: 'BARC', class: 'income' },
+  { name: 'Fidelity Index World Fund P Accumulation', class: 'Accumulation' },
+  { name: ['Fidelity Index World Fund P Income'], class: 'income' }
+])));
+
+const freetradeHeader = 'Title,Type,Timestamp,Account Currency,Total Amount,Buy / Sell,Ticker,ISIN,Price per Share in Account Currency,Stamp Duty,Quantity,Venue,Order ID,Order Type,Instrument Currency,Total Shares Amount,Price per Share,FX Rate,Base FX Rate,FX Fee (BPS),FX Fee Amount,Dividend Ex Date,Dividend Pay Date,Dividend Eligible Quantity,Dividend Amount Per Share,Dividend Gross Distribution Amount,Dividend Net Distribution Amount';
+const iiHeader = 'Date,Settlement Date,Symbol,Sedol,Quantity,Price,Description,Reference,Debit,Credit,Running Balance';
+const fidelityHeader = '\n\n\n\n\n\n\nOrder date,Completion date,Transaction type,Investments,Product Wrapper,Account Number,Source investment,Amount,Quantity,Price per unit,Reference Number,Status,\n';
+
+describe('ShareClasses', () => {
+  it('should look up the class by any identifier', () => {
+    expect(shareClasses.classOf({ sedol: 'b3x7qg6' })).toBe('accumulation');
+    expect(shareClasses.classOf({ ticker: 'BARC' })).toBe('income');
+    expect(shareClasses.classOf({ name: 'fidelity index world fund p  accumulation' })).toBe('accumulation');
+    expect(shareClasses.classOf({ isin: 'US0378331005' })).toBeNull();
+  });
+
+  it('should pick the cgtcalc line kind from the class', () => {
+    expect(shareClasses.lineKindFor({ type: 'distribution', identifiers: { isin: 'GB00B3X7QG63' }, asset: 'A' })).toBe('DIVIDEND');
+    expect(shareClasses.lineKindFor({ type: 'distribution', identifiers: { isin: 'GB0031348658' }, asset: 'B' })).toBeNull();
+    expect(shareClasses.lineKindFor({ type: 'capital', identifiers: { isin: 'GB0031348658' }, asset: 'B' })).toBe('CAPRETURN');
+    expect(() => shareClasses.lineKindFor({ type: 'distribution', identifiers: { isin: 'US0378331005' }, asset: 'AAPL' }))
+      .toThrow('AAPL is not in the share-class file; list it as income or accumulation');
+  });
+
+  it('should reject invalid entries', () => {
+    expect(() => ShareClasses.parseShareClassFile('{}')).toThrow('must contain a JSON array');
+    expect(() => new ShareClasses([{ isin: 'GB00B3X7QG63', class: 'growth' }])).toThrow("needs a 'class' of income or accumulation");
+    expect(() => new ShareClasses([{ class: 'income' }])).toThrow('has no isin, sedol, ticker or name');
+    expect(() => new ShareClasses([
+      { isin: 'GB00B3X7QG63', class: 'income' },
+      { isin: 'gb00b3x7qg63', class: 'accumulation' }
+    ])).toThrow('lists isin:GB00B3X7QG63 as both income and accumulation');
+  });
+});
+
+describe('freetrade distributions', () => {
+  const input = [
+    freetradeHeader,
+    'Acc Fund,DIVIDEND,2024-03-15T10:00:00.000Z,GBP,12.34,,,GB00B3X7QG63,,,,,,,GBP,,,,,,,2024-02-01,2024-03-15,100,0.1234,12.34,12.34',
+    'Barclays,DIVIDEND,2024-03-20T10:00:00.000Z,GBP,5.00,,BARC,GB0031348658,,,,,,,GBP,,,,,,,2024-02-20,2024-03-20,200,0.025,5.00,5.00',
+    'Acc Fund,CAPITAL_RETURN,2024-04-02T10:00:00.000Z,GBP,1.50,,,GB00B3X7QG63,,,,,,,GBP,,,,,,,2024-03-01,2024-04-02,100,0.015,1.50,1.50'
+  ].join('\n');
+
+  it('should leave dividend rows out without share classes', async () => {
+    expect(await new FreetradeParser().parseToFormat(input)).toEqual([]);
+  });
+
+  it('should emit DIVIDEND and CAPRETURN lines by share class', async () => {
+    const parser = new FreetradeParser({ shareClasses });
+    expect(await parser.parseToFormat(input)).toEqual([
+      'DIVIDEND 15/03/2024 GB00B3X7QG63 100 12.34',
+      'CAPRETURN 02/04/2024 GB00B3X7QG63 100 1.5'
+    ]);
+    const [dividend] = await parser.parseContent(input);
+    expect(dividend.ref).toBe('distribution:GB00B3X7QG63:2024-03-15');
+  });
+
+  it('should fail on a security missing from the share-class file', async () => {
+    const unlisted = `${freetradeHeader}\nApple,DIVIDEND,2024-05-16T10:00:00.000Z,GBP,1.80,,AAPL,US0378331005,,,,,,,USD,,,,,,,2024-05-10,2024-05-16,10,0.24,2.40,1.80`;
+    await expect(new FreetradeParser({ shareClasses }).parseToFormat(unlisted)).rejects.toThrow('US0378331005 is not in the share-class file');
+  });
+
+  it('should reject an accumulation distribution paid in another currency', async () => {
+    const usd = `${freetradeHeader}\nAcc Fund,DIVIDEND,2024-03-15T10:00:00.000Z,GBP,12.34,,,GB00B3X7QG63,,,,,,,USD,,,,,,,2024-02-01,2024-03-15,100,0.1234,15.60,12.34`;
+    await expect(new FreetradeParser({ shareClasses }).parseToFormat(usd)).rejects.toThrow('paid in USD; handle manually');
+  });
+});
+
+describe('ii distributions', () => {
+  const input = [
+    iiHeader,
+    '',
+    '15/03/2024,15/03/2024,ACC,B3X7QG6,100,n/a,Div ACC,n/a,n/a,"£12.34","£112.34"',
+    '20/03/2024,20/03/2024,BARC,n/a,n/a,n/a,Div BARC,n/a,n/a,"£5.00","£117.34"',
+    '02/04/2024,02/04/2024,ACC,B3X7QG6,100,n/a,Equalisation ACC,REF-EQ,n/a,"£1.50","£118.84"'
+  ].join('\n');
+
+  it('should skip dividend rows without a quantity when there are no share classes', async () => {
+    expect(await new IIParser().parseToFormat(`${iiHeader}\n\n20/03/2024,20/03/2024,BARC,n/a,n/a,n/a,Div BARC,n/a,n/a,"£5.00","£117.34"`)).toEqual([]);
+  });
+
+  it('should emit DIVIDEND and CAPRETURN lines by share class', async () => {
+    expect(await new IIParser({ shareClasses }).parseToFormat(input)).toEqual([
+      'DIVIDEND 15/03/2024 B3X7QG6 100 12.34',
+      'CAPRETURN 02/04/2024 B3X7QG6 100 1.5'
+    ]);
+  });
+
+  it('should fail when an accumulation distribution has no quantity', async () => {
+    const noQuantity = `${iiHeader}\n\n15/03/2024,15/03/2024,ACC,B3X7QG6,n/a,n/a,Div ACC,n/a,n/a,"£12.34","£112.34"`;
+    await expect(new IIParser({ shareClasses }).parseToFormat(noQuantity)).rejects.toThrow('DIVIDEND for B3X7QG6 on 15/03/2024 needs the units held in Quantity');
+  });
+
+  it('should report an unlisted security as a diagnostic when collecting errors', async () => {
+    const parser = new IIParser({ shareClasses, collectErrors: true });
+    await parser.parseContent(`${iiHeader}\n\n15/03/2024,15/03/2024,VOD,BH4HKS3,n/a,n/a,Div VOD,n/a,n/a,"£3.00","£3.00"`);
+    expect(parser.diagnostics).toEqual([expect.objectContaining({ line: 3, column: 'Sedol', value: 'BH4HKS3' })]);
+  });
+});
+
+describe('fidelity distributions', () => {
+  const input = fidelityHeader + [
+    '',
+    '01 Mar 2024,01 Mar 2024,Income distribution,Fidelity Index World Fund P Accumulation,Investment Account,AGXXXXXXXX,,8.20,410.5,,DIST1,Completed,',
+    '01 Mar 2024,01 Mar 2024,Income distribution,Fidelity Index World Fund P Income,Investment Account,AGXXXXXXXX,,4.10,205,,DIST2,Completed,',
+    '01 Mar 2024,01 Mar 2024,Equalisation,Fidelity Index World Fund P Accumulation,Investment Account,AGXXXXXXXX,,0.35,20,,EQ1,Completed,'
+  ].join('\n');
+
+  it('should skip distribution rows without share classes', async () => {
+    expect(await new FidelityParser().parseToFormat(input)).toEqual([]);
+  });
+
+  it('should emit DIVIDEND and CAPRETURN lines by share class', async () => {
+    const parser = new FidelityParser({ shareClasses });
+    expect(await parser.parseToFormat(input)).toEqual([
+      'DIVIDEND 01/03/2024 Fidelity_Index_World_Fund_P_Accumulation 410.5 8.2',
+      'CAPRETURN 01/03/2024 Fidelity_Index_World_Fund_P_Accumulation 20 0.35'
+    ]);
+    const transactions = await parser.parseContent(input);
+    expect(transactions.map(t => t.wrapper)).toEqual(['GIA', 'GIA']);
+  });
+});
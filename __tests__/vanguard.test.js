@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const VanguardParser = require('../vanguard');
+const { readWorkbook } = require('../xlsx');
+
+const workbook = name => fs.readFileSync(path.join(__dirname, 'data', name));
+
+describe('VanguardParser', () => {
+  it('should parse the investment transactions of every account sheet', async () => {
+    const parser = new VanguardParser();
+    expect(await parser.parseToFormat(workbook('vanguard.xlsx'))).toEqual([
+      'BUY 15/01/2024 Vanguard_FTSE_Global_All_Cap_Index_Fund_-_Accumulation 5.1234 195.1234 0',
+      'BUY 20/03/2024 Vanguard_FTSE_All-World_UCITS_ETF_(USD)_Distributing 10 101.56 7.5',
+      'SELL 03/06/2024 Vanguard_FTSE_Global_All_Cap_Index_Fund_-_Accumulation 2 210.4765 0'
+    ]);
+    expect(parser.warnings).toEqual([
+      'BUY Vanguard_FTSE_Global_All_Cap_Index_Fund_-_Accumulation on 15/01/2024: cash 999.71 differs from quantity x price 999.70 by 0.01; treated as rounding, no expenses'
+    ]);
+  });
+
+  it('should take the wrapper from the sheet name', async () => {
+    const transactions = await new VanguardParser().parseContent(readWorkbook(workbook('vanguard.xlsx')));
+    expect(transactions.map(transaction => transaction.wrapper)).toEqual(['ISA', 'ISA', 'GIA']);
+    expect(transactions[2].raw.Sheet).toBe('General Account');
+  });
+
+  it('should reject sheets that do not match the declared wrapper', async () => {
+    await expect(new VanguardParser({ wrapper: 'ISA' }).parseContent(workbook('vanguard.xlsx')))
+      .rejects.toThrow("Sheet 'General Account' does not match the declared ISA wrapper");
+  });
+
+  it('should fail on the first bad row with its sheet and row', async () => {
+    await expect(new VanguardParser().parseContent(workbook('vanguard-errors.xlsx')))
+      .rejects.toThrow("sheet 'General Account', row 6, column 'TransactionDetails'");
+  });
+
+  it('should collect bad rows when collecting errors', async () => {
+    const parser = new VanguardParser({ collectErrors: true });
+    expect(await parser.parseToFormat(workbook('vanguard-errors.xlsx'))).toEqual([
+      'BUY 02/04/2024 Vanguard_FTSE_Global_All_Cap_Index_Fund_-_Accumulation 1 200 0'
+    ]);
+    expect(parser.diagnostics.map(({ sheet, line, column, value }) => ({ sheet, line, column, value }))).toEqual([
+      { sheet: 'General Account', line: 6, column: 'TransactionDetails', value: 'Transfer in Vanguard FTSE Global All Cap Index Fund - Accumulation' },
+      { sheet: 'General Account', line: 7, column: 'Price', value: 'n/a' }
+    ]);
+  });
+
+  it('should reject text and workbooks without an investment table', async () => {
+    await expect(new VanguardParser().parseContent('Date,Details\n')).rejects.toThrow('Vanguard exports are XLSX workbooks');
+    await expect(new VanguardParser().parseContent({ sheets: [{ name: 'ISA', rows: [['Cash Transactions']] }] }))
+      .rejects.toThrow("No sheet with an 'Investment Transactions' table");
+  });
+});
@@ -0,0 +1,64 @@
+const { normaliseWrapper, partitionByWrapper } = require('../wrappers');
+const FidelityParser = require('../fidelity');
+const IIParser = require('../ii');
+const iiTestData = require('./data/ii.json');
+
+const fidelityCsv = rows => '\n\n\n\n\n\n\nOrder date,Completion date,Transaction type,Investments,Product Wrapper,Account Number,Source investment,Amount,Quantity,Price per unit,Reference Number,Status,\n\n' + rows.join('\n');
+
+describe('wrappers', () => {
+  describe('normaliseWrapper', () => {
+    it.each([
+      ['Investment Account', 'GIA'],
+      ['gia', 'GIA'],
+      ['Stocks and Shares ISA', 'ISA'],
+      ['ISA', 'ISA'],
+      ['SIPP', 'SIPP'],
+      ['Self Invested Personal Pension', 'SIPP'],
+    ])('should map %s to %s', (value, expected) => {
+      expect(normaliseWrapper(value)).toBe(expected);
+    });
+
+    it('should reject unknown wrappers', () => {
+      expect(() => normaliseWrapper('Offshore Bond')).toThrow("Unknown wrapper 'Offshore Bond'");
+    });
+  });
+
+  describe('partitionByWrapper', () => {
+    it('should keep GIA trades and count the rest per wrapper', () => {
+      const { taxable, excluded } = partitionByWrapper([
+        { wrapper: 'GIA' }, { wrapper: 'ISA' }, { wrapper: 'ISA' }, { wrapper: 'SIPP' }, {}
+      ]);
+      expect(taxable).toEqual([{ wrapper: 'GIA' }, {}]);
+      expect(excluded).toEqual({ ISA: 2, SIPP: 1 });
+    });
+  });
+
+  describe('fidelity', () => {
+    it('should read the wrapper and account from each row', async () => {
+      const transactions = await new FidelityParser().parseContent(fidelityCsv([
+        '15 Jun 2023,16 Jun 2023,Buy,Test Fund,Investment Account,AG1,,1000.00,100,10.00,REF1,Completed,',
+        '15 Jun 2023,16 Jun 2023,Buy,Test Fund,Stocks and Shares ISA,AG2,,1000.00,100,10.00,REF2,Completed,'
+      ]));
+      expect(transactions.map(t => [t.wrapper, t.account])).toEqual([['GIA', 'AG1'], ['ISA', 'AG2']]);
+    });
+
+    it('should reject rows that contradict the declared wrapper', async () => {
+      const parser = new FidelityParser({ wrapper: 'GIA' });
+      await expect(parser.parseContent(fidelityCsv([
+        '15 Jun 2023,16 Jun 2023,Buy,Test Fund,SIPP,AG3,,1000.00,100,10.00,REF3,Completed,'
+      ]))).rejects.toThrow('does not match the declared GIA wrapper');
+    });
+  });
+
+  describe('ii', () => {
+    it('should apply the declared wrapper to every row', async () => {
+      const transactions = await new IIParser({ wrapper: 'Stocks and Shares ISA' }).parseContent(iiTestData[0].input);
+      expect(transactions.map(t => t.wrapper)).toEqual(['ISA']);
+    });
+
+    it('should default to GIA when no wrapper is declared', async () => {
+      const transactions = await new IIParser().parseContent(iiTestData[0].input);
+      expect(transactions.map(t => t.wrapper)).toEqual(['GIA']);
+    });
+  });
+});
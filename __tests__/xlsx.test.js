@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const { isXlsx, readWorkbook, serialToIso } = require('../xlsx');
+const { readZip } = require('../zip');
+
+const workbookPath = path.join(__dirname, 'data', 'vanguard.xlsx');
+
+describe('readZip', () => {
+  it('should list and inflate every part of a workbook', () => {
+    const files = readZip(fs.readFileSync(workbookPath));
+    expect([...files.keys()]).toContain('xl/workbook.xml');
+    expect(files.get('xl/workbook.xml').toString('utf8')).toContain('<sheet name="ISA"');
+  });
+
+  it('should reject buffers that are not ZIP archives', () => {
+    expect(() => readZip(Buffer.alloc(64))).toThrow('Not a ZIP archive');
+  });
+});
+
+describe('readWorkbook', () => {
+  it('should read every sheet as rows of cell text by row number', () => {
+    const { sheets } = readWorkbook(fs.readFileSync(workbookPath));
+    expect(sheets.map(sheet => sheet.name)).toEqual(['ISA', 'General Account']);
+    const gia = sheets[1].rows;
+    expect(gia[0]).toEqual(['Vanguard Investor - General Account']);
+    expect(gia[1]).toEqual([]);
+    expect(gia[7]).toEqual(['Date', 'InvestmentName', 'TransactionDetails', 'Quantity', 'Price', 'Cost']);
+    expect(gia[8]).toEqual([
+      '2024-06-03',
+      'Vanguard FTSE Global All Cap Index Fund - Accumulation',
+      'Sold 2 Vanguard FTSE Global All Cap Index Fund - Accumulation',
+      '-2',
+      '210.4765',
+      '-420.95'
+    ]);
+  });
+
+  it('should recognise workbooks by their ZIP signature', () => {
+    expect(isXlsx(fs.readFileSync(workbookPath))).toBe(true);
+    expect(isXlsx(Buffer.from('Date,Details\n'))).toBe(false);
+    expect(() => readWorkbook(Buffer.from('Date,Details\n'))).toThrow('Not an XLSX workbook');
+  });
+});
+
+describe('serialToIso', () => {
+  it('should convert 1900 and 1904 date serials', () => {
+    expect(serialToIso(45306, false)).toBe('2024-01-15');
+    expect(serialToIso(45306.396527777775, false)).toBe('2024-01-15T09:31:00');
+    expect(serialToIso(43844, true)).toBe('2024-01-15');
+  });
+});
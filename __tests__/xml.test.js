@@ -0,0 +1,49 @@
+const { parseXml, findAll, decodeEntities } = require('../xml');
+
+describe('parseXml', () => {
+  it('should build elements with attributes, children, text and lines', () => {
+    const root = parseXml('<?xml version="1.0"?>\n<!-- export -->\n<a id="1">\n  <b name=\'x\' />\n  <c>text</c>\n</a>\n');
+    expect(root.name).toBe('a');
+    expect(root.attributes).toEqual({ id: '1' });
+    expect(root.line).toBe(3);
+    expect(root.children.map(child => [child.name, child.line])).toEqual([['b', 4], ['c', 5]]);
+    expect(root.children[1].text).toBe('text');
+  });
+
+  it('should decode entities, character references and CDATA', () => {
+    const root = parseXml('<a title="S&amp;P 500 &#163;&#x20AC;"><![CDATA[<raw> & more]]> &lt;ok&gt;</a>');
+    expect(root.attributes.title).toBe('S&P 500 £€');
+    expect(root.text).toBe('<raw> & more <ok>');
+  });
+
+  it('should drop namespace prefixes and skip a BOM', () => {
+    const root = parseXml('\uFEFF<x:worksheet xmlns:x="urn:x"><x:row r="1"/></x:worksheet>');
+    expect(root.name).toBe('worksheet');
+    expect(root.children[0]).toMatchObject({ name: 'row', attributes: { r: '1' } });
+  });
+
+  it('should reject documents that are not well-formed', () => {
+    expect(() => parseXml('<a>\n<b></a>')).toThrow('Malformed XML: unexpected </a> on line 2');
+    expect(() => parseXml('<a>\n<b>')).toThrow('Malformed XML: <b> on line 2 is never closed');
+    expect(() => parseXml('<a/><b/>')).toThrow('second root element');
+    expect(() => parseXml('<a><</a>')).toThrow('Malformed XML on line 1');
+    expect(() => parseXml('no xml here')).toThrow('text outside the root element');
+    expect(() => parseXml('<a>&nbsp;</a>')).toThrow('Unknown XML entity &nbsp;');
+    expect(() => parseXml('<a>&#99999999;</a>')).toThrow('Invalid XML character reference &#99999999;');
+    expect(() => parseXml('<a b="&#xD800;"/>')).toThrow('Invalid XML character reference &#xD800;');
+    expect(() => parseXml('<a>&#0;</a>')).toThrow('Invalid XML character reference &#0;');
+  });
+});
+
+describe('findAll', () => {
+  it('should find descendants in document order', () => {
+    const root = parseXml('<a><t n="1"/><b><t n="2"/></b><t n="3"/></a>');
+    expect(findAll(root, 't').map(element => element.attributes.n)).toEqual(['1', '2', '3']);
+  });
+});
+
+describe('decodeEntities', () => {
+  it('should leave text without entities alone', () => {
+    expect(decodeEntities('plain text')).toBe('plain text');
+  });
+});
@@ -0,0 +1,155 @@
+const { parse } = require('csv-parse');
+const { formatLine } = require('./cgtcalc-format');
+const AssetResolver = require('./asset-resolver');
+const { TAXABLE_WRAPPER, normaliseWrapper } = require('./wrappers');
+const { deriveExpenses } = require('./dealing-costs');
+const { ukDateFromDayMonthYear } = require('./dates');
+const { penceToPounds } = require('./pence');
+const { RowError, atColumn, recordRowError } = require('./diagnostics');
+
+/**
+ * AJ Bell export notes
+ * --------------------
+ * The transaction history CSV has one row per cash movement:
+ *
+ *   Date,Settlement date,Reference,Description,Money out (£),Money in (£),Balance (£)
+ *
+ * The trade details only appear in Description, e.g.
+ *
+ *   Purchase 25 Vanguard FTSE All-World UCITS ETF (VWRL) @ 9,852.00p
+ *   Sale 1,204.113 Fundsmith Equity I Acc @ 612.4p
+ *
+ * i.e. quantity, security name with an optional ticker in brackets, and
+ * the price in pence. Rows whose Description isn't a purchase or sale
+ * (cash in/out, interest, custody charges, dividends) have no quantity and
+ * are skipped. Dealing charges and stamp duty are in Money out / Money in,
+ * so the expenses are derived from it (see dealing-costs.js).
+ */
+
+const TRADE_RE = /^(Purchase|Sale)\s+([\d,]+(?:\.\d+)?)\s+(.+?)\s+@\s+([\d,]+(?:\.\d+)?p?)$/i;
+const TICKER_RE = /\(([A-Z0-9.]+)\)$/;
+
+/**
+ * AJ Bell Parser
+ * Converts AJ Bell CSV format to standardized transaction format
+ */
+class AJBellParser {
+    /**
+     * @param {Object} [options]
+     * @param {AssetResolver} [options.assetResolver] - Shared cross-broker asset resolver
+     * @param {string} [options.wrapper] - Account wrapper of the file (GIA, ISA or SIPP); defaults to GIA
+     * @param {boolean} [options.collectErrors] - Skip bad rows and collect them in `diagnostics` instead of failing
+     */
+    constructor(options = {}) {
+        this.assetResolver = options.assetResolver || new AssetResolver();
+        // AJ Bell exports are per account, so the wrapper is declared for the whole file
+        this.wrapper = options.wrapper ? normaliseWrapper(options.wrapper) : TAXABLE_WRAPPER;
+        // Rows whose cash amount only differs from quantity x price by rounding, from the last parsed file
+        this.warnings = [];
+        this.collectErrors = Boolean(options.collectErrors);
+        // Bad rows from the last parsed file when collecting errors (see diagnostics.js)
+        this.diagnostics = [];
+    }
+
+    /**
+     * Parse CSV content string and return parsed transactions
+     * @param {string} content - CSV content as string
+     * @returns {Promise<Array>} parsed transactions
+     */
+    async parseContent(content) {
+        this.warnings = [];
+        this.diagnostics = [];
+        return new Promise((resolve, reject) => {
+            const results = [];
+            parse(content.replace(/^[\uFEFF\u200B\u200E\u200F]+/, ''), {
+                columns: true,
+                skip_empty_lines: true,
+                trim: true,
+                relax_column_count: true,
+                relax_quotes: true,
+                info: true
+            }, (err, records) => {
+                if (err) return reject(err);
+                try {
+                    for (const { record: row, info } of records) {
+                        // Only purchases and sales carry a quantity
+                        if (!/^(purchase|sale)\b/i.test(row['Description'] || '')) continue;
+                        try {
+                            results.push(this.parseRow(row));
+                        } catch (e) {
+                            recordRowError(this, e, { line: info.lines });
+                        }
+                    }
+                } catch (e) {
+                    return reject(e);
+                }
+                resolve(results);
+            });
+        });
+    }
+
+    /**
+     * Parse a single purchase or sale row
+     * @param {Object} row - CSV row object
+     * @returns {Object} Parsed transaction
+     */
+    parseRow(row) {
+        const description = row['Description'];
+        const trade = description.match(TRADE_RE);
+        if (!trade) {
+            throw new RowError("Description doesn't read '<Purchase|Sale> <quantity> <security> @ <price>p'", { column: 'Description', value: description });
+        }
+        const [, action, quantityRaw, security, priceRaw] = trade;
+        const kind = action.toLowerCase() === 'purchase' ? 'BUY' : 'SELL';
+
+        const date = atColumn('Date', row['Date'], ukDateFromDayMonthYear);
+
+        const ticker = (security.match(TICKER_RE) || [])[1];
+        const name = security.replace(TICKER_RE, '').trim();
+        const asset = this.assetResolver.resolve({ ticker, name }, ticker || name.replace(/\s+/g, '_'));
+
+        const amount = Number(quantityRaw.replace(/,/g, ''));
+        if (!(amount > 0)) throw new RowError(`Invalid quantity: ${quantityRaw}`, { column: 'Description', value: description });
+
+        const price = atColumn('Description', description, () => penceToPounds(priceRaw));
+        if (price.pounds <= 0) throw new RowError(`Invalid price: ${priceRaw}`, { column: 'Description', value: description });
+
+        const cashColumn = kind === 'BUY' ? 'Money out (£)' : 'Money in (£)';
+        const cashRaw = row[cashColumn] || '';
+        const cash = Number(cashRaw.replace(/[£,]/g, ''));
+        if (!cashRaw || !isFinite(cash)) throw new RowError(`Missing ${cashColumn} for a ${kind}`, { column: cashColumn, value: cashRaw });
+        const { expenses, warning } = atColumn(cashColumn, cashRaw, () => deriveExpenses({
+            kind,
+            quantity: amount,
+            price: price.pounds,
+            priceRaw: price.text,
+            cash,
+            label: `${kind} ${asset} on ${date}`
+        }));
+        if (warning) this.warnings.push(warning);
+
+        const ref = row['Reference'] || null;
+        return { kind, date, asset, amount, price: price.pounds, expenses, ref, raw: row, wrapper: this.wrapper };
+    }
+
+    /**
+     * Format transaction to the required output format
+     * @param {Object} transaction - Parsed transaction
+     * @returns {string} Formatted transaction string
+     */
+    formatTransaction(transaction) {
+        return formatLine(transaction);
+    }
+
+    /**
+     * Parse CSV and return formatted transaction strings
+     * @param {string} content - CSV content
+     * @returns {Promise<Array>} Array of formatted transaction strings
+     */
+    async parseToFormat(content) {
+        const transactions = await this.parseContent(content);
+        return transactions.map(transaction => this.formatTransaction(transaction));
+    }
+}
+
+module.exports = AJBellParser;
@@ -0,0 +1,119 @@
+/**
+ * Cross-broker asset identity
+ * ---------------------------
+ * Each broker identifies a security differently: ii by SEDOL, Freetrade by
+ * ISIN, Fidelity by fund name. cgtcalc pools by the asset string, so the
+ * same fund held at two brokers must resolve to one canonical ID. Parsers
+ * pass every identifier they have to `AssetResolver.resolve`, which looks
+ * them up in a user-maintained mapping file:
+ *
+ *   [
+ *     {
+ *       "id": "VWRL",
+ *       "isin": "IE00B3RBWM25",
+ *       "sedol": ["B3RBWM2"],
+ *       "ticker": "VWRL",
+ *       "name": "Vanguard FTSE All-World UCITS ETF"
+ *     }
+ *   ]
+ *
+ * Each of isin/sedol/ticker/name may be a string or an array. Identifiers
+ * with no mapping keep the parser's own fallback and are recorded in
+ * `unmapped` so they can be reported.
+ */
+
+const IDENTIFIER_TYPES = ['isin', 'sedol', 'ticker', 'name'];
+
+/**
+ * Normalise an identifier value for lookup. Names are compared
+ * case-insensitively with collapsed whitespace; codes are upper-cased.
+ * @param {string} type - Identifier type (isin, sedol, ticker, name)
+ * @param {string} value - Raw identifier value
+ * @returns {string} Lookup key
+ */
+function identifierKey(type, value) {
+    const trimmed = String(value).trim();
+    if (type === 'name') return `name:${trimmed.replace(/\s+/g, ' ').toLowerCase()}`;
+    return `${type}:${trimmed.toUpperCase()}`;
+}
+
+/**
+ * Parse the asset mapping file
+ * @param {string} content - JSON file content
+ * @returns {Array<Object>} Mapping entries
+ */
+function parseAssetMapping(content) {
+    const parsed = JSON.parse(content);
+    if (!Array.isArray(parsed)) throw new Error('Asset mapping file must contain a JSON array');
+    return parsed;
+}
+
+class AssetResolver {
+    /**
+     * @param {Array<Object>} mapping - Mapping entries ({ id, isin?, sedol?, ticker?, name? })
+     */
+    constructor(mapping = []) {
+        this.lookup = new Map();
+        this.unmappedByKey = new Map();
+
+        for (const entry of mapping) {
+            const id = String(entry.id || '').trim();
+            if (!id) throw new Error(`Asset mapping entry is missing 'id': ${JSON.stringify(entry)}`);
+            // cgtcalc lines are space-separated, so the canonical ID must be a single token
+            if (/\s/.test(id)) throw new Error(`Asset mapping id '${id}' must not contain whitespace`);
+
+            for (const type of IDENTIFIER_TYPES) {
+                const values = [].concat(entry[type] || []);
+                for (const value of values) {
+                    const key = identifierKey(type, value);
+                    const existing = this.lookup.get(key);
+                    if (existing && existing !== id) {
+                        throw new Error(`Asset mapping ${type} '${value}' maps to both '${existing}' and '${id}'`);
+                    }
+                    this.lookup.set(key, id);
+                }
+            }
+        }
+    }
+
+    /**
+     * Resolve a security to its canonical ID
+     * @param {Object} identifiers - Any of { isin, sedol, ticker, name }
+     * @param {string} fallback - ID to use when nothing is mapped
+     * @returns {string} Canonical asset ID
+     */
+    resolve(identifiers, fallback) {
+        const present = IDENTIFIER_TYPES
+            .filter(type => identifiers[type] && String(identifiers[type]).trim())
+            .map(type => ({ type, value: String(identifiers[type]).trim() }));
+
+        const matches = new Set();
+        for (const { type, value } of present) {
+            const id = this.lookup.get(identifierKey(type, value));
+            if (id) matches.add(id);
+        }
+        if (matches.size > 1) {
+            throw new Error(`Identifiers ${JSON.stringify(identifiers)} map to several assets: ${[...matches].join(', ')}`);
+        }
+        if (matches.size === 1) return [...matches][0];
+
+        if (!fallback) throw new Error(`Missing asset identifier: ${JSON.stringify(identifiers)}`);
+        const key = JSON.stringify(present);
+        if (!this.unmappedByKey.has(key)) {
+            this.unmappedByKey.set(key, { identifiers: Object.fromEntries(present.map(p => [p.type, p.value])), fallback });
+        }
+        return fallback;
+    }
+
+    /**
+     * Identifiers that had no mapping entry, with the fallback ID used
+     * @returns {Array<{identifiers: Object, fallback: string}>} Unmapped identifiers
+     */
+    get unmapped() {
+        return [...this.unmappedByKey.values()];
+    }
+}
+
+module.exports = AssetResolver;
+module.exports.parseAssetMapping = parseAssetMapping;
+module.exports.identifierKey = identifierKey;
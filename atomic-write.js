@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Put back the files a failed commit already replaced, newest first
+ * @param {Array<Object>} replaced - Staged files whose target was moved aside or replaced
+ * @returns {Array<string>} Targets that couldn't be restored, with where their old content is
+ */
+function restoreReplaced(replaced) {
+    const failures = [];
+    for (const file of [...replaced].reverse()) {
+        try {
+            if (file.hadOriginal) fs.renameSync(file.backupPath, file.path);
+            else fs.rmSync(file.path, { force: true });
+        } catch {
+            failures.push(file.hadOriginal ? `${file.path} (previous content in ${file.backupPath})` : file.path);
+        }
+    }
+    return failures;
+}
+
+/**
+ * Write several files so that a failure never leaves a half-written one.
+ * Every file is first written to a temporary sibling, creating its folder
+ * if needed; only once all of them are on disk are they renamed over their
+ * targets, in the order given. Each existing target is moved aside first,
+ * so if a rename fails the files already replaced are put back. Pass the
+ * file recording what was written (the import ledger) last, so it is only
+ * replaced once everything else has been.
+ * @param {Array<{path: string, content: string}>} files - Files to write
+ */
+function writeFilesAtomically(files) {
+    const staged = [];
+    try {
+        for (const file of files) {
+            fs.mkdirSync(path.dirname(file.path), { recursive: true });
+            const tmpPath = `${file.path}.${process.pid}.tmp`;
+            fs.writeFileSync(tmpPath, file.content, 'utf8');
+            staged.push({ tmpPath, backupPath: `${file.path}.${process.pid}.bak`, path: file.path, hadOriginal: false });
+        }
+    } catch (e) {
+        staged.forEach(({ tmpPath }) => fs.rmSync(tmpPath, { force: true }));
+        throw e;
+    }
+
+    const replaced = [];
+    for (const file of staged) {
+        try {
+            file.hadOriginal = fs.existsSync(file.path);
+            if (file.hadOriginal) fs.renameSync(file.path, file.backupPath);
+            replaced.push(file);
+            fs.renameSync(file.tmpPath, file.path);
+        } catch (e) {
+            const failures = restoreReplaced(replaced);
+            staged.forEach(({ tmpPath }) => fs.rmSync(tmpPath, { force: true }));
+            const outcome = failures.length > 0
+                ? `could not restore ${failures.join(', ')}`
+                : 'the files already replaced were restored';
+            throw new Error(`Could not replace ${file.path}: ${e.message}; ${outcome}`);
+        }
+    }
+    replaced.forEach(({ hadOriginal, backupPath }) => {
+        if (hadOriginal) fs.rmSync(backupPath, { force: true });
+    });
+}
+
+module.exports = {
+    writeFilesAtomically
+};
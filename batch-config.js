@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { detectSources } = require('./detect-format');
+
+/**
+ * Batch import configuration
+ * --------------------------
+ * Rebuilding a household's history means importing many exports from
+ * several brokers. A batch config lists them all with the output file:
+ *
+ *   {
+ *     "output": "data.txt",
+ *     "assets": "assets.json",
+ *     "fxRates": "hmrc-rates.csv",
+ *     "shareClasses": "share-classes.json",
+ *     "isinChanges": "isin-changes.json",
+ *     "holdings": "positions.csv",
+ *     "report": "disposals.csv",
+ *     "dividends": "dividends.csv",
+ *     "consolidate": true,
+ *     "sources": [
+ *       { "broker": "freetrade", "path": "exports/freetrade-*.csv", "account": "Alice GIA", "wrapper": "GIA" },
+ *       { "path": "exports/ii.csv", "account": "Bob GIA", "wrapper": "GIA" },
+ *       { "broker": "bullionvault", "path": "exports/bullionvault", "account": "Alice BV" }
+ *     ]
+ *   }
+ *
+ * Paths are relative to the config file. `broker` may be omitted to detect
+ * the format, and `path` may use `*` and `?` wildcards in its last segment.
+ * `output` defaults to data.txt next to the config file.
+ *
+ * Configs are JSON only. YAML is left out on purpose: reading it would
+ * take a parser dependency for what is a short, rarely edited file, so a
+ * .yaml/.yml config is rejected with a hint to write it as JSON.
+ */
+
+/**
+ * Convert a single path segment with * and ? wildcards into a RegExp
+ * @param {string} pattern - File name pattern
+ * @returns {RegExp} Matching regular expression
+ */
+function wildcardToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+/**
+ * Expand a path whose last segment may contain wildcards
+ * @param {string} pattern - Path or pattern
+ * @returns {Array<string>} Matching paths, sorted
+ */
+function expandPath(pattern) {
+    const dir = path.dirname(pattern);
+    const base = path.basename(pattern);
+    if (/[*?]/.test(dir)) throw new Error(`Wildcards are only supported in the last path segment: '${pattern}'`);
+    if (!/[*?]/.test(base)) return [pattern];
+    if (!fs.existsSync(dir)) throw new Error(`Folder '${dir}' does not exist`);
+
+    const regex = wildcardToRegExp(base);
+    const matches = fs.readdirSync(dir).filter(f => regex.test(f)).sort().map(f => path.join(dir, f));
+    if (matches.length === 0) throw new Error(`No files match '${pattern}'`);
+    return matches;
+}
+
+/**
+ * Load and validate a batch config, expanding wildcards and detecting
+ * brokers where none is given
+ * @param {string} configPath - Path to the JSON config
+ * @returns {{outputPath: string, assets: string|null, fxRates: string|null, shareClasses: string|null, isinChanges: string|null, holdings: string|null, report: string|null, dividends: string|null, consolidate: boolean, sources: Array<Object>}} Batch plan
+ */
+function loadBatchConfig(configPath) {
+    if (!fs.existsSync(configPath)) throw new Error(`File '${configPath}' does not exist`);
+    if (/\.ya?ml$/i.test(configPath)) throw new Error(`Batch config ${configPath} is YAML; only JSON configs are supported`);
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const baseDir = path.dirname(configPath);
+    const resolvePath = p => path.resolve(baseDir, p);
+
+    if (!Array.isArray(config.sources) || config.sources.length === 0) {
+        throw new Error(`Batch config ${configPath} must list at least one source`);
+    }
+
+    const sources = [];
+    config.sources.forEach((source, index) => {
+        if (!source.path) throw new Error(`Source #${index + 1} in ${configPath} is missing 'path'`);
+        const account = source.account || `source #${index + 1}`;
+        for (const sourcePath of expandPath(resolvePath(source.path))) {
+            const detected = source.broker
+                ? [{ type: source.broker.toLowerCase(), path: sourcePath }]
+                : detectSources(sourcePath);
+            detected.forEach(({ type, path: detectedPath }) => sources.push({
+                type,
+                path: detectedPath,
+                account,
+                wrapper: source.wrapper || null
+            }));
+        }
+    });
+
+    return {
+        outputPath: resolvePath(config.output || 'data.txt'),
+        assets: config.assets ? resolvePath(config.assets) : null,
+        fxRates: config.fxRates ? resolvePath(config.fxRates) : null,
+        shareClasses: config.shareClasses ? resolvePath(config.shareClasses) : null,
+        isinChanges: config.isinChanges ? resolvePath(config.isinChanges) : null,
+        holdings: config.holdings ? resolvePath(config.holdings) : null,
+        report: config.report ? resolvePath(config.report) : null,
+        dividends: config.dividends ? resolvePath(config.dividends) : null,
+        consolidate: Boolean(config.consolidate),
+        sources
+    };
+}
+
+module.exports = {
+    loadBatchConfig,
+    expandPath
+};
@@ -1,3 +1,12 @@
+const { parse } = require('csv-parse');
+const AssetResolver = require('./asset-resolver');
+const { TAXABLE_WRAPPER, normaliseWrapper } = require('./wrappers');
+const { ukDateFromText, tradeInstantFromText, ukDateFromIso, tradeInstantFromIso } = require('./dates');
+const { formatLine } = require('./cgtcalc-format');
+const { RowError, atColumn, recordRowError } = require('./diagnostics');
+const { parseMessage } = require('./mime');
+const { isMbox, splitMbox } = require('./mbox');
+
 // Match either 'Summary:' or 'Deal:' and capture Buy/Sell, quantity and price-per-kg
 const SUMMARY_OR_DEAL_RE = /(?:Summary|Deal):\s*(Buy|Sell)\s*([0-9.,]+)\s*kg\s*@[^/]*?([0-9,]+(?:\.[0-9]+)?)\s*\/kg/i;
 // Match consideration / net consideration lines: optional Security{...}, optional 3-letter currency, then amount
@@ -5,47 +14,208 @@ const CONSIDERATION_RE = /(?:Net\s+consideration|Consideration):\s*(?:.*=')?([A-
 // Commission line: optional Security{...}, optional currency, then amount
 const COMMISSION_RE = /(?:Commission):\s*(?:.*=')?([A-Z]{3})(?:'})?\s([0-9,]+(?:\.[0-9]+)?)/i;
 // Capture the deal time line up to newline
-const DEALTIME_RE = /Deal time:\s*([^\r\n]+)(?:<br>)?/i;
+const DEALTIME_RE = /Deal time:\s*([^\r\n]+)/i;
+// Deal reference from the 'Dealing advice NNN' subject, falling back to the Message-ID header
+const DEAL_REF_RE = /Dealing advice\s+([0-9]+)/i;
 
 // Simple number parser to normalize commas and parse floats
 function parseNumber(str) {
     return parseFloat(String(str).replace(/,/g, ''));
 }
 
-// Asset matchers used to detect GOLD / SILVER from Security line or body
+// Asset matchers used to detect GOLD / SILVER from the security name or code (AUXLN, AGXZU, ...)
 const ASSET_MATCHERS = [
-    { asset: 'GOLD', regex: /\b(gold?)\b/i },
-    { asset: 'SILVER', regex: /\b(silver?)\b/i },
+    { asset: 'GOLD', regex: /\b(gold?|AUX[A-Z]{2})\b/i },
+    { asset: 'SILVER', regex: /\b(silver?|AGX[A-Z]{2})\b/i },
 ];
 
+// Columns of the account history CSV, one row per deal or cash movement
+const HISTORY_COLUMNS = ['Date', 'Reference', 'Type', 'Security', 'Quantity (kg)', 'Price per kg', 'Currency', 'Consideration', 'Commission'];
+
+/**
+ * Whether text is the account history CSV
+ * @param {string} content - File content
+ * @returns {boolean} True when the first line is the history header
+ */
+function isHistoryCsv(content) {
+    const header = String(content).replace(/^[\uFEFF\u200B\u200E\u200F]+/, '').split(/\r?\n/)[0];
+    return header.split(',').map(column => column.replace(/"/g, '').trim()).join(',') === HISTORY_COLUMNS.join(',');
+}
+
+function assetFromSecurity(security, label) {
+    for (const m of ASSET_MATCHERS) if (m.regex.test(security)) return m.asset;
+    throw new RowError(`Unable to detect asset type (gold/silver) in ${label}`, { column: 'Security', value: security.trim() });
+}
+
 function detectAsset(text, filePath) {
     const securityMatchLocal = text.match(/Security:\s*([^\r\n]+)/i);
-    const toCheck = securityMatchLocal[1];
-    for (const m of ASSET_MATCHERS) if (m.regex.test(toCheck)) return m.asset;
-    throw new Error(`Unable to detect asset type (gold/silver) in ${filePath}`);
+    if (!securityMatchLocal) throw new RowError(`No 'Security:' line in ${filePath}`, { column: 'Security' });
+    return assetFromSecurity(securityMatchLocal[1], filePath);
 }
 
 /**
- * BullionVault Email Parser
- * Extracts gold transaction data from BullionVault email files
+ * BullionVault Parser
+ * Extracts gold and silver deals from BullionVault "Dealing advice" emails
+ * (single .eml files or an mbox archive) or from the account history CSV
  */
 class BullionVaultParser {
-    async parseToFormat(emailString) {
-        const emailStrings = emailString.split('\nEOF\n');
-        // parseEmailString is async; run them in parallel and wait for all to complete
-        const transactions = await Promise.all(
-            emailStrings.map((email, index) => this.parseEmailString(email, `email[${index}]`))
-        );
+    /**
+     * @param {Object} [options]
+     * @param {AssetResolver} [options.assetResolver] - Shared cross-broker asset resolver
+     * @param {string} [options.wrapper] - Account wrapper of the file (GIA, ISA or SIPP); defaults to GIA
+     * @param {boolean} [options.collectErrors] - Skip bad emails and collect them in `diagnostics` instead of failing
+     * @param {FxRates} [options.fxRates] - Rates for converting USD/EUR vault deals to GBP; without them only GBP deals are accepted
+     */
+    constructor(options = {}) {
+        this.assetResolver = options.assetResolver || new AssetResolver();
+        this.wrapper = options.wrapper ? normaliseWrapper(options.wrapper) : TAXABLE_WRAPPER;
+        this.fxRates = options.fxRates || null;
+        this.collectErrors = Boolean(options.collectErrors);
+        // Bad emails from the last parse when collecting errors (see diagnostics.js)
+        this.diagnostics = [];
+    }
+
+    /**
+     * Parse BullionVault input into transaction objects. The input is one of:
+     *  - a list of raw emails [{ label, content }], e.g. the .eml files of a folder
+     *  - an mbox archive
+     *  - the account history CSV
+     *  - a single raw email
+     * @param {Buffer|string|Array<{label: string, content: Buffer|string}>} input - Emails, or file content
+     * @returns {Promise<Array>} Parsed transactions
+     */
+    async parseContent(input) {
+        this.diagnostics = [];
+        if (Array.isArray(input)) return this.parseMessages(input);
+        // Emails are passed on as bytes and decoded by their declared charset (see mime.js)
+        const bytes = Buffer.isBuffer(input) ? input : null;
+        const content = bytes ? bytes.toString('utf8') : String(input);
+        if (isMbox(content)) return this.parseMessages(splitMbox(bytes || content));
+        if (isHistoryCsv(content)) return this.parseHistoryCsv(content);
+        return this.parseMessages([{ label: 'email', content: bytes || content }]);
+    }
+
+    /**
+     * Parse raw emails, one deal each
+     * @param {Array<{label: string, content: Buffer|string}>} messages - Raw emails and their names for error messages
+     * @returns {Promise<Array>} Parsed transactions
+     */
+    async parseMessages(messages) {
+        const results = [];
+        for (const { label, content } of messages) {
+            try {
+                results.push(await this.parseEmailString(content, label));
+            } catch (e) {
+                recordRowError(this, e, { email: label });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Parse the account history CSV. Buy and Sell rows are deals; deposits,
+     * withdrawals, storage fees and other cash movements are skipped.
+     * @param {string} content - CSV content
+     * @returns {Promise<Array>} Parsed transactions
+     */
+    async parseHistoryCsv(content) {
+        return new Promise((resolve, reject) => {
+            const results = [];
+            parse(content, {
+                columns: true,
+                skip_empty_lines: true,
+                trim: true,
+                bom: true,
+                info: true
+            }, (err, records) => {
+                if (err) return reject(err);
+                try {
+                    for (const { record: row, info } of records) {
+                        try {
+                            const parsed = this.parseHistoryRow(row);
+                            if (parsed) results.push(parsed);
+                        } catch (e) {
+                            recordRowError(this, e, { line: info.lines });
+                        }
+                    }
+                } catch (e) {
+                    return reject(e);
+                }
+                resolve(results);
+            });
+        });
+    }
+
+    /**
+     * Parse a single account history row
+     * @param {Object} row - CSV row object
+     * @returns {Object|null} Parsed transaction, or null for a cash movement
+     */
+    parseHistoryRow(row) {
+        const type = row['Type'] || '';
+        if (!/^(buy|sell)$/i.test(type)) return null;
+        const kind = type.toUpperCase();
+        const label = `deal ${row['Reference'] || row['Date']}`;
+
+        // Deal times are UK local, written as YYYY-MM-DD HH:MM:SS
+        const date = atColumn('Date', row['Date'], ukDateFromIso);
+        const time = tradeInstantFromIso(row['Date']);
+        const asset = assetFromSecurity(row['Security'] || '', label);
+
+        const currency = (row['Currency'] || '').toUpperCase();
+        if (!/^[A-Z]{3}$/.test(currency)) throw new RowError(`Invalid currency in ${label}`, { column: 'Currency', value: row['Currency'] });
+
+        const quantity = parseNumber(row['Quantity (kg)']);
+        if (!isFinite(quantity) || quantity <= 0) {
+            throw new RowError(`Invalid quantity in ${label}: ${row['Quantity (kg)']}`, { column: 'Quantity (kg)', value: row['Quantity (kg)'] });
+        }
+        const pricePerKg = parseNumber(row['Price per kg']);
+        if (!isFinite(pricePerKg) || pricePerKg <= 0) {
+            throw new RowError(`Invalid price in ${label}: ${row['Price per kg']}`, { column: 'Price per kg', value: row['Price per kg'] });
+        }
+        const commission = parseNumber(row['Commission']);
+        if (!isFinite(commission) || commission < 0) {
+            throw new RowError(`Missing or unparsable commission/expenses in ${label}`, { column: 'Commission', value: row['Commission'] });
+        }
+        const { price, expenses, fx } = this.convertToGbp({ price: pricePerKg, expenses: commission, currency, date, label, column: 'Currency' });
+
+        return {
+            kind,
+            date,
+            asset: this.assetResolver.resolve({ name: asset }, asset),
+            amount: quantity,
+            price,
+            expenses,
+            fx,
+            time,
+            // Same reference as the deal's email; the ledger skips it when the line matches the one imported from the email
+            ref: row['Reference'] ? `deal:${row['Reference']}` : null,
+            raw: row,
+            wrapper: this.wrapper
+        };
+    }
+
+    async parseToFormat(input) {
+        const transactions = await this.parseContent(input);
         return transactions.map(transaction => this.formatTransaction(transaction));
     }
 
-    // Parse a single email provided as a raw string. sourceLabel is used for error messages.
+    // Parse a single email provided as raw bytes or a string. sourceLabel is used for error messages.
     async parseEmailString(content, sourceLabel) {
-        // Use module-level regexes and helpers (SUMMARY_OR_DEAL_RE, CONSIDERATION_RE, etc.)
-        const summaryOrDealMatch = content.match(SUMMARY_OR_DEAL_RE);
-        const considerationMatch = content.match(CONSIDERATION_RE);
-        const commissionMatch = content.match(COMMISSION_RE);
-        const dealTimeMatch = content.match(DEALTIME_RE);
+        // Decode the MIME structure first so the regexes below only ever see plain text
+        const message = atColumn('Body', null, () => parseMessage(content));
+        // HTML emails write the currency as a pound sign rather than its code
+        const text = message.text.replace(/£\s*/g, 'GBP ');
+        const summaryOrDealMatch = text.match(SUMMARY_OR_DEAL_RE);
+        const considerationMatch = text.match(CONSIDERATION_RE);
+        const commissionMatch = text.match(COMMISSION_RE);
+        const dealTimeMatch = text.match(DEALTIME_RE);
+        // Fail-fast: every field below is required, so a missing line is named rather than crashing on null
+        if (!summaryOrDealMatch) {
+            throw new RowError(`No 'Summary:' or 'Deal:' line with Buy/Sell, quantity and price per kg in ${sourceLabel}`, { column: 'Deal' });
+        }
+        if (!considerationMatch) throw new RowError(`No 'Consideration:' line in ${sourceLabel}`, { column: 'Consideration' });
+        if (!commissionMatch) throw new RowError(`No 'Commission:' line in ${sourceLabel}`, { column: 'Commission' });
         const kind = summaryOrDealMatch[1].toUpperCase();
         const quantity = parseNumber(summaryOrDealMatch[2]);
         const pricePerKg = parseNumber(summaryOrDealMatch[3]);
@@ -53,69 +223,95 @@ class BullionVaultParser {
         const commissionCurrency = commissionMatch[1].toUpperCase();
         const commission = parseNumber(commissionMatch[2]);
 
-        // Fail-fast: commissions/consideration must be in GBP for this dataset. If any present currency is not GBP, fail.
-        const currencies = [considerationCurrency, commissionCurrency].filter(Boolean);
-        for (const cur of currencies) {
-            if (cur !== 'GBP') {
-                throw new Error(`Unsupported currency '${cur}' in ${sourceLabel} — only GBP allowed`);
-            }
+        // Fail-fast: the deal is struck in one currency, so the commission must be charged in it too
+        if (commissionCurrency !== considerationCurrency) {
+            throw new RowError(`Commission in ${commissionCurrency} but consideration in ${considerationCurrency} in ${sourceLabel}`, { column: 'Commission', value: commissionCurrency });
         }
 
         // Fail-fast: commission (expenses) must be present and numeric for bullionvault emails
         if (!isFinite(commission) || Number.isNaN(commission)) {
-            throw new Error(`Missing or unparsable commission/expenses in ${sourceLabel}`);
+            throw new RowError(`Missing or unparsable commission/expenses in ${sourceLabel}`, { column: 'Commission', value: commissionMatch[2] });
         }
 
-        const assetDetected = detectAsset(content, sourceLabel);
+        const assetDetected = detectAsset(text, sourceLabel);
 
         if (!isFinite(quantity) || Number.isNaN(quantity) || quantity === 0) {
-            throw new Error(`Invalid quantity parsed from email ${sourceLabel}: ${quantity}`);
+            throw new RowError(`Invalid quantity parsed from email ${sourceLabel}: ${quantity}`, { column: 'Deal', value: summaryOrDealMatch[2] });
         }
         if (!isFinite(pricePerKg) || Number.isNaN(pricePerKg) || pricePerKg <= 0) {
-            throw new Error(`Invalid price parsed from email ${sourceLabel}: ${pricePerKg}`);
+            throw new RowError(`Invalid price parsed from email ${sourceLabel}: ${pricePerKg}`, { column: 'Deal', value: summaryOrDealMatch[3] });
         }
 
         let date = null;
+        let time = null;
 
         if (dealTimeMatch) {
             const dealTime = dealTimeMatch[1].trim();
-            date = this.formatDate(dealTime);
+            date = atColumn('Deal time', dealTime, ukDateFromText);
+            time = tradeInstantFromText(dealTime);
+        } else if (message.headers.date) {
+            // No deal time in the body: the email is sent at the deal, so its Date header dates it
+            date = atColumn('Date', message.headers.date, ukDateFromText);
+            time = tradeInstantFromText(message.headers.date);
         }
 
         if (!date) {
-            throw new Error(`No parsable date found in ${sourceLabel}`);
+            throw new RowError(`No parsable date found in ${sourceLabel}`, { column: 'Deal time' });
         }
+        const { price, expenses, fx } = this.convertToGbp({
+            price: pricePerKg, expenses: commission, currency: considerationCurrency, date, label: sourceLabel, column: 'Consideration'
+        });
 
         return {
             kind,
             date,
-            asset: assetDetected,
+            asset: this.assetResolver.resolve({ name: assetDetected }, assetDetected),
             amount: quantity,
-            price: pricePerKg,
-            expenses: commission
+            price,
+            expenses,
+            fx,
+            time,
+            ref: this.dealReference(message),
+            raw: content,
+            wrapper: this.wrapper
         };
 
     }
 
-    formatDate(dateString) {
-        // Normalize: remove stray 'at' tokens and common timezone abbreviations so parsing is unified
-        const normalized = dateString.replace(/\bat\b\s/gi, '');
-        let date = new Date(normalized);
-        if (isNaN(date.getTime())) {
-            const dateSegments = dateString.split(' ');
-            date = new Date(`${dateSegments[1]} ${dateSegments[0]}, ${dateSegments[2]}`);
+    /**
+     * Convert a deal's price and commission to GBP on the deal date. The
+     * price is kept to 4 decimal places and the commission to the penny.
+     * @param {Object} deal - { price, expenses, currency, date, label, column }
+     * @returns {{price: number, expenses: number, fx: Object|null}} GBP values and the rate used (null for GBP deals)
+     */
+    convertToGbp({ price, expenses, currency, date, label, column }) {
+        if (currency === 'GBP') return { price, expenses, fx: null };
+        if (!this.fxRates) {
+            throw new RowError(`Deal in ${currency} in ${label} needs an FX rate file to convert it to GBP`, { column, value: currency });
         }
-        const day = String(date.getDate()).padStart(2, '0');
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const year = date.getFullYear();
-        return `${day}/${month}/${year}`;
+        const fx = atColumn(column, currency, () => this.fxRates.rateOn(currency, date));
+        return {
+            price: Math.round(price / fx.rate * 10000) / 10000,
+            expenses: Math.round(expenses / fx.rate * 100) / 100,
+            fx
+        };
+    }
+
+    /**
+     * Deal reference used to recognise an email that was already imported
+     * @param {Object} message - Decoded email { headers, text } from mime.js
+     * @returns {string|null} 'deal:NNN', 'message:<id>' or null
+     */
+    dealReference(message) {
+        const dealMatch = String(message.headers.subject || '').match(DEAL_REF_RE) || message.text.match(DEAL_REF_RE);
+        if (dealMatch) return `deal:${dealMatch[1]}`;
+        const messageId = String(message.headers['message-id'] || '').split(/\s+/)[0];
+        if (messageId) return `message:${messageId}`;
+        return null;
     }
 
     formatTransaction(transaction) {
-        if (transaction.kind === 'BUY' || transaction.kind === 'SELL') {
-            return `${transaction.kind} ${transaction.date} ${transaction.asset} ${transaction.amount} ${transaction.price} ${transaction.expenses}`;
-        }
-        throw new Error(`Unsupported transaction kind: ${transaction.kind}`);
+        return formatLine(transaction);
     }
 
 }
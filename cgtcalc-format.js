@@ -0,0 +1,184 @@
+/**
+ * cgtcalc input format
+ * --------------------
+ * One line per event, fields separated by whitespace:
+ *
+ *   BUY|SELL        DD/MM/YYYY ASSET AMOUNT PRICE EXPENSES
+ *   SPLIT|UNSPLIT   DD/MM/YYYY ASSET MULTIPLIER
+ *   CAPRETURN       DD/MM/YYYY ASSET AMOUNT VALUE
+ *   DIVIDEND        DD/MM/YYYY ASSET AMOUNT VALUE
+ *   # comment
+ *
+ * Lines are parsed into entries { kind, date, asset, ...fields } (comments
+ * into { kind: 'COMMENT', text }) and serialized back in one canonical
+ * form: single spaces, numbers written in plain decimal notation. Numeric
+ * fields read from text keep the digits as written, so hand-edited lines
+ * round-trip unchanged apart from whitespace. Parsing and serializing are
+ * both strict; anything cgtcalc would reject fails here first.
+ */
+
+// Numeric fields of each line kind, in column order
+const LINE_KINDS = Object.freeze({
+    BUY: ['amount', 'price', 'expenses'],
+    SELL: ['amount', 'price', 'expenses'],
+    SPLIT: ['multiplier'],
+    UNSPLIT: ['multiplier'],
+    CAPRETURN: ['amount', 'value'],
+    DIVIDEND: ['amount', 'value'],
+});
+
+// Fields that must be greater than zero; the others may be zero
+const POSITIVE_FIELDS = ['amount', 'multiplier'];
+
+// Split ratios are written as decimals; anything that doesn't terminate
+// within this many places is treated as ambiguous
+const SPLIT_RATIO_DECIMALS = 8;
+
+const DATE_RE = /^(\d{2})\/(\d{2})\/(\d{4})$/;
+const NUMBER_RE = /^\d+(\.\d+)?$/;
+
+/**
+ * Validate a DD/MM/YYYY date
+ * @param {string} date - Date text
+ * @returns {string} The date
+ */
+function validateDate(date) {
+    const match = String(date).match(DATE_RE);
+    if (!match) throw new Error(`Invalid date '${date}', expected DD/MM/YYYY`);
+    const [, day, month, year] = match.map(Number);
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+        throw new Error(`Invalid date '${date}'`);
+    }
+    return date;
+}
+
+/**
+ * Sortable YYYYMMDD key of a DD/MM/YYYY date
+ * @param {string} date - Date text
+ * @returns {number} Date key
+ */
+function dateKey(date) {
+    const [, day, month, year] = validateDate(date).match(DATE_RE).map(Number);
+    return year * 10000 + month * 100 + day;
+}
+
+/**
+ * Write a numeric field in plain decimal notation
+ * @param {string} field - Field name for messages
+ * @param {number|string} value - Number, or numeric text as written
+ * @returns {string} Field text
+ */
+function formatNumber(field, value) {
+    let text;
+    if (typeof value === 'number') {
+        if (!isFinite(value)) throw new Error(`Invalid ${field} '${value}'`);
+        text = String(value);
+        // Very small or large numbers stringify with an exponent, which cgtcalc can't read
+        if (/e/i.test(text)) text = value.toFixed(20).replace(/\.?0+$/, '');
+    } else {
+        text = String(value ?? '').trim();
+    }
+    if (!NUMBER_RE.test(text)) throw new Error(`Invalid ${field} '${value}', expected a non-negative decimal number`);
+    if (POSITIVE_FIELDS.includes(field) && Number(text) === 0) throw new Error(`Invalid ${field} '${value}', must be greater than zero`);
+    return text;
+}
+
+/**
+ * Compute the SPLIT/UNSPLIT multiplier for a split ratio (always >= 1; the
+ * direction is carried by SPLIT vs UNSPLIT)
+ * @param {number} from - Shares before the split
+ * @param {number} to - Shares after the split
+ * @returns {number|null} Multiplier, or null when the ratio doesn't terminate
+ */
+function splitMultiplier(from, to) {
+    const scale = 10 ** SPLIT_RATIO_DECIMALS;
+    const scaled = Math.max(from, to) / Math.min(from, to) * scale;
+    if (Math.abs(scaled - Math.round(scaled)) > 1e-6) return null;
+    return Math.round(scaled) / scale;
+}
+
+/**
+ * Validate the asset identifier
+ * @param {string} asset - Asset ID
+ * @returns {string} The asset
+ */
+function validateAsset(asset) {
+    const text = String(asset ?? '');
+    if (!text || /\s/.test(text)) throw new Error(`Invalid asset '${text}', expected an identifier without spaces`);
+    return text;
+}
+
+/**
+ * Parse one cgtcalc line
+ * @param {string} line - Line text
+ * @returns {Object} Entry { kind, date, asset, ...fields } or { kind: 'COMMENT', text }
+ */
+function parseLine(line) {
+    const text = String(line).trim();
+    if (text.startsWith('#')) return { kind: 'COMMENT', text };
+    if (!text) throw new Error('Empty line');
+
+    const parts = text.split(/\s+/);
+    const [kind, date, asset, ...values] = parts;
+    const fields = LINE_KINDS[kind];
+    if (!fields) throw new Error(`Unknown line kind '${kind}', expected one of ${Object.keys(LINE_KINDS).join(', ')}`);
+    if (parts.length !== fields.length + 3) {
+        throw new Error(`${kind} needs date, asset, ${fields.join(', ')}; found ${parts.length - 1} fields`);
+    }
+
+    const entry = { kind, date: validateDate(date), asset: validateAsset(asset) };
+    fields.forEach((field, i) => { entry[field] = formatNumber(field, values[i]); });
+    return entry;
+}
+
+/**
+ * Serialize an entry as a canonical cgtcalc line
+ * @param {Object} entry - Entry { kind, date, asset, ...fields } or { kind: 'COMMENT', text }
+ * @returns {string} Line text
+ */
+function formatLine(entry) {
+    if (entry.kind === 'COMMENT') {
+        const text = String(entry.text ?? '').trim();
+        if (/[\r\n]/.test(text)) throw new Error('Comments must be a single line');
+        return text.startsWith('#') ? text : `# ${text}`;
+    }
+    const fields = LINE_KINDS[entry.kind];
+    if (!fields) throw new Error(`Unsupported transaction kind: ${entry.kind}`);
+    const values = fields.map(field => formatNumber(field, entry[field]));
+    return [entry.kind, validateDate(entry.date), validateAsset(entry.asset), ...values].join(' ');
+}
+
+/**
+ * Parse the content of a cgtcalc file. Blank lines are skipped; every
+ * malformed line is collected and reported together with its line number.
+ * @param {string} content - File content
+ * @param {string} [label] - File name used in messages
+ * @returns {Array<Object>} Entries, each with its 1-based `lineNumber`
+ */
+function parseDocument(content, label = 'input') {
+    const entries = [];
+    const errors = [];
+    String(content).split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+            entries.push({ ...parseLine(line), lineNumber: index + 1 });
+        } catch (e) {
+            errors.push(`${label} line ${index + 1}: ${e.message}: '${line.trim()}'`);
+        }
+    });
+    if (errors.length > 0) {
+        throw new Error(`Malformed cgtcalc lines (${errors.length}):\n  ${errors.join('\n  ')}`);
+    }
+    return entries;
+}
+
+module.exports = {
+    LINE_KINDS,
+    SPLIT_RATIO_DECIMALS,
+    dateKey,
+    splitMultiplier,
+    parseLine,
+    formatLine,
+    parseDocument
+};
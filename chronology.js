@@ -0,0 +1,82 @@
+/**
+ * Chronological ordering of cgtcalc lines
+ * ---------------------------------------
+ * Lines are ordered by trade date, and within a day by the full trade time
+ * where the broker gave one (Freetrade `Timestamp`, IBKR `dateTime`,
+ * BullionVault deal time), with the source as a tie-breaker. The order is
+ * therefore reproducible and re-running an import doesn't reshuffle
+ * same-day lines in the output.
+ */
+
+const { parseLine, dateKey } = require('./cgtcalc-format');
+
+/**
+ * Extract a sortable YYYYMMDD key from a transaction line ("BUY DD/MM/YYYY ...")
+ * @param {string} line - Transaction line
+ * @returns {number} Date key
+ */
+function lineDateKey(line) {
+    let entry;
+    try {
+        entry = parseLine(line || '');
+    } catch (e) {
+        // If any line is missing a date, fail fast — this is unrecoverable per user policy.
+        throw new Error(`Missing or unparseable date in transaction line: '${line}' (${e.message})`);
+    }
+    if (entry.kind === 'COMMENT') {
+        throw new Error(`Comment has no date to sort by: '${line}'`);
+    }
+    return dateKey(entry.date);
+}
+
+/**
+ * Order two entries from the same day. Entries without a known time (lines
+ * already in the output, brokers that only give a date) keep their relative
+ * order and come first; timed entries follow by time, then source, then
+ * input order.
+ * @param {Object} a - Entry { time, source, seq }
+ * @param {Object} b - Entry { time, source, seq }
+ * @returns {number} Comparison result
+ */
+function compareWithinDay(a, b) {
+    const aTimed = a.time !== null;
+    const bTimed = b.time !== null;
+    if (aTimed !== bTimed) return aTimed ? 1 : -1;
+    if (aTimed && a.time !== b.time) return a.time - b.time;
+    if (aTimed && a.source !== b.source) return a.source < b.source ? -1 : 1;
+    return a.seq - b.seq;
+}
+
+/**
+ * Sort entries chronologically by date, with a deterministic order within each day
+ * @param {Array<Object>} entries - { line, time, source } entries where time is epoch milliseconds
+ *   (null when unknown) and source breaks ties between brokers; other properties are kept
+ * @returns {Array<Object>} The entries, sorted
+ */
+function sortEntriesChronologically(entries) {
+    const keyed = entries.map((entry, seq) => ({
+        entry,
+        time: entry.time ?? null,
+        source: entry.source || '',
+        seq,
+        dateKey: lineDateKey(entry.line)
+    }));
+    keyed.sort((a, b) => (a.dateKey - b.dateKey) || compareWithinDay(a, b));
+    return keyed.map(({ entry }) => entry);
+}
+
+/**
+ * Sort transactions chronologically by date, with a deterministic order within each day
+ * @param {Array<string|Object>} transactions - Transaction strings, or { line, time, source } entries
+ *   (see sortEntriesChronologically)
+ * @returns {Array<string>} Sorted transaction strings
+ */
+function sortTransactionsChronologically(transactions) {
+    const entries = transactions.map(transaction => (typeof transaction === 'string' ? { line: transaction } : transaction));
+    return sortEntriesChronologically(entries).map(entry => entry.line);
+}
+
+module.exports = {
+    sortEntriesChronologically,
+    sortTransactionsChronologically
+};
@@ -0,0 +1,42 @@
+/**
+ * Type declarations for the CLI in cli.js
+ */
+
+export interface ImportSource {
+    type: string;
+    path: string;
+    account?: string;
+    wrapper?: string | null;
+}
+
+export interface ImportPlan {
+    sources: ImportSource[];
+    /** cgtcalc output file */
+    outputPath: string;
+    /** Asset mapping file */
+    assets?: string | null;
+    /** FX rate file for converting non-GBP deals to GBP */
+    fxRates?: string | null;
+    /** Share-class file for turning distributions into CAPRETURN/DIVIDEND lines */
+    shareClasses?: string | null;
+    /** Manual identifier change file */
+    isinChanges?: string | null;
+    /** Holdings snapshot CSV to reconcile closing positions against */
+    holdings?: string | null;
+    /** CSV file for the per-tax-year disposal summary */
+    report?: string | null;
+    /** CSV file for the per-tax-year dividend income report */
+    dividends?: string | null;
+    /** Parse every row of every source and report all bad rows together */
+    validate?: boolean;
+    /** Merge same-day, same-asset, same-direction trades into one line */
+    consolidate?: boolean;
+}
+
+export function parseArgs(argv: string[]): { positional: string[]; options: Record<string, string | true> };
+
+/** Parse every source, merge the new rows into the output file and write it */
+export function runImport(plan: ImportPlan): Promise<void>;
+
+/** Run the CLI with process.argv */
+export function main(): Promise<void>;
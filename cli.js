@@ -0,0 +1,391 @@
+#!/usr/bin/env node
+const {
+    SUPPORTED_TYPES,
+    validateSourcePath,
+    parseTransactions,
+    formatTransaction,
+    mergeTransactions,
+    parseLines,
+    serializeTransactions,
+    parseIdentifierChanges,
+    formatDiagnostic,
+    AssetResolver,
+    FxRates,
+    ShareClasses
+} = require('./index');
+const ImportLedger = require('./import-ledger');
+const { ledgerPathFor, ledgerKeys } = ImportLedger;
+const { detectSources } = require('./detect-format');
+const { loadBatchConfig } = require('./batch-config');
+const { writeFilesAtomically } = require('./atomic-write');
+const { partitionByWrapper } = require('./wrappers');
+const { consolidateSameDay } = require('./consolidation');
+const { replayHoldings, formatRunningHoldings, parseHoldingsSnapshot, compareWithSnapshot } = require('./reconcile');
+const { summariseDisposals, formatDisposalTable, formatDisposalCsv } = require('./disposal-summary');
+const { dividendKeys, summariseDividends, formatDividendTable, formatDividendCsv } = require('./dividend-income');
+const fs = require('fs');
+
+// Options that take no value
+const FLAGS = ['validate', 'consolidate'];
+
+/**
+ * Split CLI arguments into positional values, `--name value` options and `--flag` switches
+ * @param {Array<string>} argv - Raw arguments
+ * @returns {{positional: Array<string>, options: Object}} Parsed arguments; flags are set to true
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.startsWith('--') && FLAGS.includes(arg.slice(2))) {
+            options[arg.slice(2)] = true;
+        } else if (arg.startsWith('--')) {
+            const value = argv[i + 1];
+            if (value === undefined || value.startsWith('--')) {
+                throw new Error(`Option '${arg}' requires a value`);
+            }
+            options[arg.slice(2)] = value;
+            i++;
+        } else {
+            positional.push(arg);
+        }
+    }
+    return { positional, options };
+}
+
+/**
+ * Parse every source, merge the new rows into the output file and write it.
+ * All sources are parsed before anything is written, and the output and
+ * its import ledger are replaced atomically, so a failing source leaves the
+ * existing files untouched.
+ * @param {Object} plan
+ * @param {Array<{type: string, path: string, account?: string, wrapper?: string}>} plan.sources - Sources to import
+ * @param {string} plan.outputPath - cgtcalc output file
+ * @param {string|null} plan.assets - Asset mapping file
+ * @param {string|null} plan.fxRates - FX rate file for converting non-GBP deals (see fx-rates.js)
+ * @param {string|null} plan.shareClasses - Share-class file for classifying distributions (see share-classes.js)
+ * @param {string|null} plan.isinChanges - Manual identifier change file
+ * @param {string|null} plan.holdings - Holdings snapshot CSV to reconcile closing positions against
+ * @param {string|null} plan.report - CSV file for the per-tax-year disposal summary
+ * @param {string|null} plan.dividends - CSV file for the per-tax-year dividend income report
+ * @param {boolean} [plan.validate] - Parse every row of every source and report all bad rows together
+ * @param {boolean} [plan.consolidate] - Merge same-day, same-asset, same-direction trades into one line (see consolidation.js)
+ */
+async function runImport({ sources, outputPath, assets, fxRates, shareClasses, isinChanges, holdings, report, dividends, validate = false, consolidate = false }) {
+    // Validate every source up front so nothing is parsed when one of them is unusable
+    sources.forEach(source => {
+        if (!SUPPORTED_TYPES.includes(source.type)) {
+            throw new Error(`Unknown parser type '${source.type}'. Supported types: ${SUPPORTED_TYPES.join(', ')}`);
+        }
+        validateSourcePath(source.type, source.path);
+    });
+
+    // One resolver shared by every parser so the same security gets the same ID at every broker
+    let assetResolver = new AssetResolver();
+    if (assets) {
+        if (!fs.existsSync(assets)) {
+            throw new Error(`File '${assets}' does not exist`);
+        }
+        assetResolver = new AssetResolver(AssetResolver.parseAssetMapping(fs.readFileSync(assets, 'utf8')));
+    }
+
+    // Rates for converting deals in other currencies to GBP; without them such deals fail
+    let fxRateTable = null;
+    if (fxRates) {
+        if (!fs.existsSync(fxRates)) {
+            throw new Error(`File '${fxRates}' does not exist`);
+        }
+        fxRateTable = new FxRates(await FxRates.parseRateFile(fs.readFileSync(fxRates, 'utf8')));
+    }
+
+    // Share classes for turning distributions into CAPRETURN/DIVIDEND lines; without them those rows are skipped
+    let shareClassTable = null;
+    if (shareClasses) {
+        if (!fs.existsSync(shareClasses)) {
+            throw new Error(`File '${shareClasses}' does not exist`);
+        }
+        shareClassTable = new ShareClasses(ShareClasses.parseShareClassFile(fs.readFileSync(shareClasses, 'utf8')));
+    }
+
+    // Identifier changes (old -> new as of date) from the manual mapping file and from the parsed input
+    const identifierChanges = [];
+    if (isinChanges) {
+        if (!fs.existsSync(isinChanges)) {
+            throw new Error(`File '${isinChanges}' does not exist`);
+        }
+        identifierChanges.push(...parseIdentifierChanges(fs.readFileSync(isinChanges, 'utf8')));
+    }
+
+    // Only rows whose broker reference isn't in the import ledger are added to the output
+    const ledgerPath = ledgerPathFor(outputPath);
+    const ledger = ImportLedger.load(ledgerPath);
+    const results = [];
+    const conflicts = [];
+    const summaries = [];
+    const warnings = [];
+    const disposals = [];
+    // Ledger keys of the rows already in the disposal summary, so a row in two overlapping exports counts once
+    const disposalKeys = new Set();
+    const dividendIncome = [];
+    // Keys of the dividends already in the report, for the same reason
+    const incomeKeys = new Set();
+    const diagnostics = [];
+
+    for (const source of sources) {
+        let parsed;
+        try {
+            parsed = await parseTransactions(source.type, source.path, {
+                assetResolver,
+                wrapper: source.wrapper || null,
+                collectErrors: validate,
+                fxRates: fxRateTable,
+                shareClasses: shareClassTable,
+                // Dividend income is only read for the report, so bad dividend rows can't fail a plain import
+                collectDividends: Boolean(dividends)
+            });
+        } catch (e) {
+            if (!validate) throw new Error(`Failed to import ${source.type} source '${source.path}': ${e.message}`);
+            // The whole source is unreadable; report it with the rest and carry on with the others
+            diagnostics.push({ file: source.path, line: null, email: null, sheet: null, column: null, value: null, reason: e.message });
+            continue;
+        }
+        diagnostics.push(...parsed.diagnostics);
+        const { transactions } = parsed;
+        identifierChanges.push(...parsed.identifierChanges);
+        warnings.push(...parsed.warnings.map(warning => `${source.path}: ${warning}`));
+
+        // ISA and SIPP trades are outside CGT; only taxable (GIA) trades reach the output
+        const { taxable, excluded } = partitionByWrapper(transactions);
+        // The disposal summary covers every taxable row in the exports, including ones imported before
+        const keys = ledgerKeys(source.type, taxable);
+        taxable.forEach((transaction, i) => {
+            if (disposalKeys.has(keys[i])) return;
+            disposalKeys.add(keys[i]);
+            disposals.push({ broker: source.type, transaction });
+        });
+        // Dividends in an ISA or SIPP are tax free, so like trades only GIA ones are reported
+        const taxableDividends = partitionByWrapper(parsed.dividends).taxable;
+        const paymentKeys = dividendKeys(source.type, taxableDividends);
+        taxableDividends.forEach((dividend, i) => {
+            if (incomeKeys.has(paymentKeys[i])) return;
+            incomeKeys.add(paymentKeys[i]);
+            dividendIncome.push({ broker: source.type, dividend });
+        });
+
+        const recorded = ledger.record(source.type, taxable, formatTransaction);
+        results.push(...recorded.freshTransactions.map(transaction => ({ ...transaction, source: `${source.type}:${source.path}` })));
+        conflicts.push(...recorded.conflicts);
+        summaries.push({ source, parsed: transactions.length, excluded, fresh: recorded.fresh.length, seen: recorded.seen, conflicts: recorded.conflicts.length });
+    }
+
+    if (diagnostics.length > 0) {
+        console.log(`Validation errors (${diagnostics.length}):`);
+        diagnostics.forEach(diagnostic => console.log(`  ${formatDiagnostic(diagnostic)}`));
+        throw new Error(`${diagnostics.length} validation errors; nothing was written`);
+    }
+    if (validate) {
+        console.log(`Validated ${sources.length} sources: no errors`);
+    }
+
+    const describeExcluded = excluded => Object.entries(excluded).map(([wrapper, count]) => `${count} ${wrapper}`).join(', ');
+    if (sources.length > 1) {
+        console.log('Per-source summary:');
+        summaries.forEach(({ source, parsed, excluded, fresh, seen, conflicts }) => {
+            const label = [source.account, source.wrapper].filter(Boolean).join(', ');
+            const excludedText = Object.keys(excluded).length > 0 ? `, excluded ${describeExcluded(excluded)}` : '';
+            console.log(`  ${source.type} ${source.path}${label ? ` (${label})` : ''}: ${parsed} parsed${excludedText}, ${fresh} new, ${seen} already seen, ${conflicts} conflicting`);
+        });
+    }
+    const totalExcluded = {};
+    summaries.forEach(({ excluded }) => Object.entries(excluded).forEach(([wrapper, count]) => {
+        totalExcluded[wrapper] = (totalExcluded[wrapper] || 0) + count;
+    }));
+    if (Object.keys(totalExcluded).length > 0) {
+        console.log(`Excluded tax-sheltered trades (outside CGT): ${describeExcluded(totalExcluded)}`);
+    }
+    if (warnings.length > 0) {
+        console.log(`Warnings (${warnings.length}):`);
+        warnings.forEach(warning => console.log(`  ${warning}`));
+    }
+    const seen = summaries.reduce((total, summary) => total + summary.seen, 0);
+    console.log(`Import ledger: ${results.length} new, ${seen} already seen, ${conflicts.length} conflicting`);
+    if (conflicts.length > 0) {
+        conflicts.forEach(({ key, line, existingLine }) => console.log(`  ${key}: imported as '${existingLine}', now '${line}'`));
+        throw new Error(`${conflicts.length} rows conflict with earlier imports; nothing was written`);
+    }
+
+    // Read existing transactions from the output file, merge the new ones and sort chronologically
+    const existingArr = fs.existsSync(outputPath) ? parseLines(fs.readFileSync(outputPath, 'utf8'), outputPath) : [];
+    // HMRC treats same-day trades in one direction as one; optionally write them as one line
+    const consolidation = consolidate ? consolidateSameDay(results) : { transactions: results, merged: [] };
+    const relinked = mergeTransactions(existingArr, consolidation.transactions, identifierChanges);
+    const sortedTransactions = relinked.lines;
+
+    // Replay the merged ledger to catch impossible positions before anything is written
+    const { positions, negatives } = replayHoldings(sortedTransactions);
+    if (negatives.length > 0) {
+        console.log(`Negative holdings (${negatives.length}) — is an older export missing?`);
+        negatives.forEach(({ asset, line, holding }) => console.log(`  ${asset}: ${holding} after '${line}'`));
+    }
+    if (holdings) {
+        if (!fs.existsSync(holdings)) {
+            throw new Error(`File '${holdings}' does not exist`);
+        }
+        const snapshot = await parseHoldingsSnapshot(fs.readFileSync(holdings, 'utf8'), assetResolver);
+        // The snapshot may come from one broker, so assets it doesn't list are reported but not compared
+        const { mismatches, unlisted } = compareWithSnapshot(positions, snapshot);
+        if (unlisted.length > 0) {
+            console.log(`Open positions not in ${holdings} (not compared):`);
+            unlisted.forEach(u => console.log(`  ${u.asset}: ledger ${u.ledger}`));
+        }
+        if (mismatches.length > 0) {
+            console.log(`Closing positions that differ from ${holdings}:`);
+            mismatches.forEach(m => console.log(`  ${m.asset}: ledger ${m.ledger}, snapshot ${m.snapshot}`));
+            throw new Error(`${mismatches.length} closing positions don't match ${holdings}; nothing was written`);
+        }
+        console.log(`Closing positions of the assets in ${holdings} match`);
+    }
+
+    // Write all transactions back to the output file in chronological order, with the ledger last
+    const files = [{ path: outputPath, content: serializeTransactions(sortedTransactions) }];
+    const disposalSummary = report ? summariseDisposals(disposals) : null;
+    if (report) files.push({ path: report, content: formatDisposalCsv(disposalSummary) });
+    const dividendSummary = dividends ? summariseDividends(dividendIncome, fxRateTable) : null;
+    if (dividends) files.push({ path: dividends, content: formatDividendCsv(dividendSummary) });
+    if (results.length > 0) files.push({ path: ledgerPath, content: ledger.serialize() });
+    writeFilesAtomically(files);
+
+    console.log(`Successfully parsed ${results.length} new transactions`);
+    const converted = results.filter(transaction => transaction.fx);
+    if (converted.length > 0) {
+        console.log(`Converted to GBP (${converted.length}):`);
+        converted.forEach(transaction => {
+            const { currency, rate, from, to } = transaction.fx;
+            console.log(`  ${formatTransaction(transaction)}: ${currency} at ${rate} per £1 (${from} to ${to})`);
+        });
+    }
+    if (consolidation.merged.length > 0) {
+        const rows = consolidation.merged.reduce((total, transaction) => total + transaction.consolidated.length, 0);
+        console.log(`Consolidated ${rows} same-day trades into ${consolidation.merged.length} lines:`);
+        consolidation.merged.forEach(transaction => console.log(`  ${formatTransaction(transaction)} (${transaction.consolidated.length} rows)`));
+    }
+    identifierChanges.forEach(change => console.log(`Identifier change (${change.source}): ${change.from} -> ${change.to} as of ${change.date}`));
+    if (identifierChanges.length > 0) {
+        console.log(`Relinked ${relinked.rewritten} lines across identifier changes`);
+    }
+    if (assetResolver.unmapped.length > 0) {
+        const hint = assets
+            ? `add them to ${assets}`
+            : 'to pool a security held at several brokers, list its identifiers in a mapping file and pass it with --assets';
+        console.log(`Unmapped identifiers (${assetResolver.unmapped.length}), ${hint}:`);
+        assetResolver.unmapped.forEach(({ identifiers, fallback }) => console.log(`  ${JSON.stringify(identifiers)} -> ${fallback}`));
+    }
+    if (Object.keys(positions).length > 0) {
+        console.log('Running holdings (holding after each line):');
+        formatRunningHoldings(positions).forEach(line => console.log(`  ${line}`));
+    }
+    const openPositions = Object.entries(positions).filter(([, position]) => position.closing !== 0);
+    if (openPositions.length > 0) {
+        console.log('Closing positions:');
+        openPositions.sort(([a], [b]) => (a < b ? -1 : 1)).forEach(([asset, position]) => console.log(`  ${asset}: ${position.closing}`));
+    }
+    if (report) {
+        console.log('Disposals per tax year:');
+        console.log(formatDisposalTable(disposalSummary));
+        console.log(`Disposal summary written to ${report}`);
+    }
+    if (dividends) {
+        console.log('Dividends per tax year:');
+        console.log(formatDividendTable(dividendSummary));
+        console.log(`Dividend income report written to ${dividends}`);
+    }
+    console.log(`Total transactions: ${sortedTransactions.length} (all sorted chronologically) in ${outputPath}`);
+    console.log('Sample output:');
+    sortedTransactions.slice(0, 5).forEach(line => console.log(line));
+    if (sortedTransactions.length > 5) {
+        console.log(`... and ${sortedTransactions.length - 5} more transactions`);
+    }
+}
+
+/**
+ * CLI for parsing financial transaction data
+ * Usage: node index.js [type] <path> [--isin-changes <file>] [--assets <file>] [--fx-rates <file>] [--share-classes <file>] [--wrapper <GIA|ISA|SIPP>] [--holdings <file>] [--report <file>] [--dividends <file>] [--validate] [--consolidate]
+ *        node index.js --config <file> [--validate] [--consolidate]
+ * 
+ * Types:
+ * - freetrade: Parse Freetrade CSV format
+ * - ii: Parse Interactive Investor CSV format
+ * - fidelity: Parse Fidelity CSV format
+ * - trading212: Parse Trading 212 CSV format
+ * - hl: Parse Hargreaves Lansdown CSV format
+ * - ajbell: Parse AJ Bell CSV format
+ * - ibkr: Parse Interactive Brokers Flex Query XML
+ * - vanguard: Parse Vanguard UK XLSX workbooks (one sheet per account)
+ * - bullionvault: Parse BullionVault "Dealing advice" emails (a folder of .eml files or an mbox archive) or the account history CSV
+ *
+ * When the type is omitted it is detected from the input (see detect-format.js).
+ * A folder may then mix exports from several brokers.
+ *
+ * Options:
+ * - --isin-changes: JSON file of manual identifier changes (see identifier-changes.js)
+ * - --assets: JSON file mapping broker identifiers to canonical asset IDs (see asset-resolver.js)
+ * - --fx-rates: CSV of exchange rates (HMRC monthly layout) for converting non-GBP deals to GBP (see fx-rates.js)
+ * - --share-classes: JSON file of income/accumulation share classes; Freetrade, ii and Fidelity distributions become CAPRETURN/DIVIDEND lines (see share-classes.js)
+ * - --config: JSON batch config listing every source and the output (see batch-config.js)
+ * - --holdings: holdings snapshot CSV; the import fails if the closing position of an asset it lists doesn't match (see reconcile.js)
+ * - --report: CSV file for a per-tax-year summary of disposals in the input (see disposal-summary.js)
+ * - --dividends: CSV file for a per-tax-year report of dividends in the input (Freetrade, ii; see dividend-income.js)
+ * - --wrapper: account wrapper of the input (GIA, ISA or SIPP); ISA/SIPP trades are excluded (see wrappers.js)
+ * - --validate: parse every row and list all bad rows with file, line, column and value before failing (see diagnostics.js)
+ * - --consolidate: merge new same-day BUYs (and SELLs) of an asset into one line, with comments tracing each source row (see consolidation.js)
+ */
+async function main() {
+    const { positional: args, options } = parseArgs(process.argv.slice(2));
+
+    if (options.config) {
+        if (args.length > 0) {
+            throw new Error('--config cannot be combined with a type or path; list the sources in the config file');
+        }
+        const plan = loadBatchConfig(options.config);
+        await runImport({ ...plan, validate: Boolean(options.validate), consolidate: plan.consolidate || Boolean(options.consolidate) });
+        return;
+    }
+    
+    if (args.length < 1) { 
+        throw new Error(`Usage: node index.js [type] <path> [--isin-changes <file>] [--assets <file>] [--fx-rates <file>] [--share-classes <file>] [--wrapper <GIA|ISA|SIPP>] [--holdings <file>] [--report <file>] [--dividends <file>] [--validate] [--consolidate]\n       node index.js --config <file> [--validate] [--consolidate]\nTypes: ${SUPPORTED_TYPES.join(', ')}\nNote: bullionvault parser reads a folder of .eml files, an mbox archive or the account history CSV\nWhen the type is omitted it is detected from the file or from each file in the folder`);
+    }
+
+    let sources;
+    if (args.length === 1 && !SUPPORTED_TYPES.includes(args[0].toLowerCase())) {
+        sources = detectSources(args[0]).map(source => ({ ...source, wrapper: options.wrapper || null }));
+        sources.forEach(source => console.log(`Detected ${source.type}: ${source.path}`));
+    } else {
+        const [type, filePath] = args;
+        sources = [{ type: type.toLowerCase(), path: filePath, wrapper: options.wrapper || null }];
+    }
+
+    await runImport({
+        sources,
+        outputPath: 'data.txt',
+        assets: options.assets || null,
+        fxRates: options['fx-rates'] || null,
+        shareClasses: options['share-classes'] || null,
+        isinChanges: options['isin-changes'] || null,
+        holdings: options.holdings || null,
+        report: options.report || null,
+        dividends: options.dividends || null,
+        validate: Boolean(options.validate),
+        consolidate: Boolean(options.consolidate)
+    });
+}
+
+module.exports = {
+    parseArgs,
+    runImport,
+    main
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,126 @@
+/**
+ * Same-day consolidation
+ * ----------------------
+ * HMRC's same-day rule treats every acquisition of a security on one day as
+ * a single acquisition, and every disposal as a single disposal. Regular
+ * savings plans and fractional top-ups can produce many small lines for the
+ * same asset on the same day, so when asked to, new BUY and SELL
+ * transactions with the same date, asset and direction are merged into one:
+ *
+ *   amount   = total quantity
+ *   price    = quantity-weighted average price
+ *   expenses = total expenses
+ *
+ * The merged transaction keeps the transactions it replaced in
+ * `consolidated`, and is written with comment lines above it naming each
+ * source row (broker reference and original line), so every line in the
+ * output can still be traced back to the export. Other line kinds are
+ * never merged. Only transactions imported in the same run are merged;
+ * lines already in the output are left as they are.
+ */
+
+const { formatLine } = require('./cgtcalc-format');
+
+const CONSOLIDATED_KINDS = ['BUY', 'SELL'];
+
+// Quantities and expenses are summed exactly enough for any broker; prices are averages
+const TOTAL_DECIMALS = 10;
+const PRICE_DECIMALS = 8;
+
+const round = (n, places) => Number(n.toFixed(places));
+
+/**
+ * Describe where a transaction came from, for the traceability comments
+ * @param {Object} transaction - Transaction, optionally with `source` and `ref`
+ * @returns {string} e.g. 'freetrade:exports/ft.csv ORDER-1: BUY 01/02/2024 VWRL 0.5 100 0'
+ */
+function describeRow(transaction) {
+    const origin = [transaction.source, transaction.ref].filter(Boolean).join(' ') || 'unreferenced row';
+    return `${origin}: ${formatLine(transaction)}`;
+}
+
+/**
+ * Quantity, price and expenses of a BUY/SELL as numbers
+ * @param {Object} transaction - Parsed transaction
+ * @returns {{amount: number, price: number, expenses: number}} Numeric fields
+ */
+function numericFields(transaction) {
+    const amount = Number(transaction.amount);
+    const price = Number(transaction.price);
+    const expenses = Number(transaction.expenses || 0);
+    if (![amount, price, expenses].every(isFinite)) {
+        throw new Error(`Invalid ${transaction.kind} ${transaction.date} ${transaction.asset} for consolidation`);
+    }
+    return { amount, price, expenses };
+}
+
+/**
+ * Merge one group of same-day, same-asset, same-direction transactions
+ * @param {Array<Object>} group - Transactions in input order
+ * @returns {Object} Merged transaction
+ */
+function mergeGroup(group) {
+    const [first] = group;
+    const fields = group.map(numericFields);
+    const amount = fields.reduce((total, f) => total + f.amount, 0);
+    const cost = fields.reduce((total, f) => total + f.amount * f.price, 0);
+    const expenses = fields.reduce((total, f) => total + f.expenses, 0);
+    // The merged line sorts as the earliest row when every row has a time, otherwise as an untimed line
+    const times = group.map(t => t.time ?? null);
+    const time = times.includes(null) ? null : Math.min(...times);
+
+    const merged = {
+        kind: first.kind,
+        date: first.date,
+        asset: first.asset,
+        amount: round(amount, TOTAL_DECIMALS),
+        price: round(cost / amount, PRICE_DECIMALS),
+        expenses: round(expenses, TOTAL_DECIMALS),
+        time,
+        source: first.source,
+        wrapper: first.wrapper,
+        consolidated: group
+    };
+    merged.comments = [
+        `# ${merged.kind} ${merged.date} ${merged.asset}: ${group.length} same-day rows consolidated`,
+        ...group.map(t => `#   ${describeRow(t)}`)
+    ];
+    return merged;
+}
+
+/**
+ * Merge same-day, same-asset, same-direction BUY/SELL transactions
+ * @param {Array<Object>} transactions - Parsed transactions, optionally with `source` labels
+ * @returns {{transactions: Array<Object>, merged: Array<Object>}} Transactions with each group
+ *   replaced by its merged transaction at the position of its first row, and the merged ones
+ */
+function consolidateSameDay(transactions) {
+    const groups = new Map();
+    const order = [];
+    for (const transaction of transactions) {
+        if (!CONSOLIDATED_KINDS.includes(transaction.kind)) {
+            order.push(transaction);
+            continue;
+        }
+        const key = [transaction.kind, transaction.date, transaction.asset].join('\u0000');
+        if (!groups.has(key)) {
+            groups.set(key, []);
+            order.push(groups.get(key));
+        }
+        groups.get(key).push(transaction);
+    }
+
+    const merged = [];
+    const result = order.map(entry => {
+        if (!Array.isArray(entry)) return entry;
+        if (entry.length === 1) return entry[0];
+        const consolidated = mergeGroup(entry);
+        merged.push(consolidated);
+        return consolidated;
+    });
+    return { transactions: result, merged };
+}
+
+module.exports = {
+    consolidateSameDay
+};
@@ -0,0 +1,254 @@
+/**
+ * UK trade dates
+ * --------------
+ * cgtcalc matches same-day and 30-day disposals on the UK calendar date,
+ * so every broker timestamp must be converted to its date in Europe/London
+ * regardless of the machine's timezone. `new Date(str)` with
+ * getDate()/getMonth() reads the local zone and can move a late-evening
+ * UTC trade onto the wrong day; nothing here depends on the local zone.
+ *
+ *  - Instants with an explicit zone (ISO `Z`/`+01:00`, RFC 2822 `+0000`,
+ *    BST/GMT/UTC and a few other abbreviations) are converted to the
+ *    Europe/London date, which handles the BST changes.
+ *  - Dates and wall-clock times without a zone are taken as already being
+ *    UK local and keep the date as written.
+ *
+ * The ukDate* functions return DD/MM/YYYY and throw on anything they
+ * can't read. The tradeInstant* functions return the trade time as epoch
+ * milliseconds (null when the input has no time of day), used to order
+ * trades within a day.
+ */
+
+const UK_TIMEZONE = 'Europe/London';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Offsets in minutes east of UTC
+const ZONE_OFFSETS = {
+    Z: 0, UT: 0, UTC: 0, GMT: 0,
+    BST: 60, CET: 60, CEST: 120,
+    EST: -300, EDT: -240, CST: -360, CDT: -300, PST: -480, PDT: -420,
+};
+
+const ukDateFormatter = new Intl.DateTimeFormat('en-GB', {
+    timeZone: UK_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+});
+
+const ukTimeFormatter = new Intl.DateTimeFormat('en-GB', {
+    timeZone: UK_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+});
+
+/**
+ * Build a DD/MM/YYYY string from numeric parts, validating the calendar date
+ * @param {number} year - Four-digit year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {string} source - Original input for error messages
+ * @returns {string} Formatted date
+ */
+function formatParts(year, month, day, source) {
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (!year || check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+        throw new Error(`Invalid date: ${source}`);
+    }
+    return `${String(day).padStart(2, '0')}/${String(month).padStart(2, '0')}/${year}`;
+}
+
+/**
+ * The Europe/London calendar date of an instant
+ * @param {Date} date - Instant
+ * @returns {string} DD/MM/YYYY
+ */
+function ukDateOfInstant(date) {
+    if (Number.isNaN(date.getTime())) throw new Error('Invalid instant');
+    const parts = Object.fromEntries(ukDateFormatter.formatToParts(date).map(p => [p.type, p.value]));
+    return `${parts.day}/${parts.month}/${parts.year}`;
+}
+
+/**
+ * Parse a zone suffix into minutes east of UTC
+ * @param {string} zone - Zone abbreviation or numeric offset (+0100, +01:00)
+ * @param {string} source - Original input for error messages
+ * @returns {number} Offset in minutes
+ */
+function zoneOffset(zone, source) {
+    const numeric = zone.match(/^([+-])(\d{2}):?(\d{2})$/);
+    if (numeric) {
+        const minutes = parseInt(numeric[2], 10) * 60 + parseInt(numeric[3], 10);
+        return numeric[1] === '-' ? -minutes : minutes;
+    }
+    const offset = ZONE_OFFSETS[zone.toUpperCase()];
+    if (offset === undefined) throw new Error(`Unknown timezone '${zone}' in ${source}`);
+    return offset;
+}
+
+/**
+ * Minutes Europe/London is ahead of UTC at an instant (0 for GMT, 60 for BST)
+ * @param {number} millis - Epoch milliseconds
+ * @returns {number} Offset in minutes
+ */
+function ukOffsetAt(millis) {
+    const parts = Object.fromEntries(ukTimeFormatter.formatToParts(new Date(millis)).map(p => [p.type, p.value]));
+    const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour % 24, +parts.minute, +parts.second);
+    return Math.round((asUtc - Math.floor(millis / 1000) * 1000) / 60000);
+}
+
+/**
+ * Instant of a wall-clock time; without a zone the time is UK local
+ * @param {Object} parts - { year, month, day, hour, minute, second, zone }
+ * @param {string} source - Original input for error messages
+ * @returns {number} Epoch milliseconds
+ */
+function instantFromWallClock({ year, month, day, hour, minute, second, zone }, source) {
+    formatParts(year, month, day, source);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    if (zone) return asUtc - zoneOffset(zone, source) * 60000;
+    return asUtc - ukOffsetAt(asUtc - ukOffsetAt(asUtc) * 60000) * 60000;
+}
+
+/**
+ * Date from a wall-clock time, converted to the UK date when a zone is given
+ * @param {Object} parts - { year, month, day, hour, minute, second, zone }
+ * @param {string} source - Original input for error messages
+ * @returns {string} DD/MM/YYYY
+ */
+function ukDateFromWallClock({ year, month, day, hour, minute, second, zone }, source) {
+    const written = formatParts(year, month, day, source);
+    if (!zone) return written;
+    const utcMillis = Date.UTC(year, month - 1, day, hour, minute, second) - zoneOffset(zone, source) * 60000;
+    return ukDateOfInstant(new Date(utcMillis));
+}
+
+/**
+ * Month number from an English month name or abbreviation
+ * @param {string} name - Month name
+ * @returns {number} Month (1-12), or 0 when not a month
+ */
+function monthNumber(name) {
+    return MONTHS.indexOf(String(name).slice(0, 3).toLowerCase()) + 1;
+}
+
+/**
+ * ISO 8601 date or timestamp (Freetrade `Timestamp`, `Stock Split Ex Date`)
+ * @param {string} value - e.g. 2025-03-30T23:30:00.000Z or 2024-06-10
+ * @returns {string} DD/MM/YYYY
+ */
+function ukDateFromIso(value) {
+    return ukDateFromWallClock(parseIso(value), value);
+}
+
+/**
+ * Trade instant of an ISO 8601 timestamp
+ * @param {string} value - e.g. 2025-03-30T23:30:00.000Z
+ * @returns {number|null} Epoch milliseconds, or null for a date without a time
+ */
+function tradeInstantFromIso(value) {
+    const parts = parseIso(value);
+    return parts.hasTime ? instantFromWallClock(parts, value) + parts.millis : null;
+}
+
+/**
+ * Split an ISO 8601 date or timestamp into its parts
+ * @param {string} value - ISO date or timestamp
+ * @returns {Object} { year, month, day, hour, minute, second, millis, zone, hasTime }
+ */
+function parseIso(value) {
+    const match = String(value || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i);
+    if (!match) throw new Error(`Invalid timestamp: ${value}`);
+    const [, year, month, day, hour, minute = '0', second = '0', fraction = '0', zone] = match;
+    return {
+        year: +year, month: +month, day: +day,
+        hour: +(hour || 0), minute: +minute, second: +second,
+        millis: Math.round(Number(`0.${fraction}`) * 1000),
+        zone,
+        hasTime: hour !== undefined
+    };
+}
+
+/**
+ * Numeric UK date (ii `Settlement Date`)
+ * @param {string} value - D/M/YYYY or DD/MM/YYYY
+ * @returns {string} DD/MM/YYYY
+ */
+function ukDateFromDayMonthYear(value) {
+    const match = String(value || '').trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (!match) throw new Error(`Invalid date format: ${value}`);
+    return formatParts(+match[3], +match[2], +match[1], value);
+}
+
+/**
+ * Free-text date and optional time, as written in Fidelity exports and
+ * BullionVault emails. Accepts day-first or month-first month names, an
+ * optional weekday, 'at', 12- or 24-hour time and a zone suffix:
+ *   16 Jun 2023
+ *   May 20, 2025 at 9:59:30 PM BST
+ *   21 August 2019 11:23:26 BST
+ *   Tue, 20 May 2025 21:02:22 +0000
+ * @param {string} value - Date text
+ * @returns {string} DD/MM/YYYY
+ */
+function ukDateFromText(value) {
+    return ukDateFromWallClock(parseText(value), value);
+}
+
+/**
+ * Trade instant of a free-text date and time (see ukDateFromText)
+ * @param {string} value - Date text
+ * @returns {number|null} Epoch milliseconds, or null for a date without a time
+ */
+function tradeInstantFromText(value) {
+    const parts = parseText(value);
+    return parts.hasTime ? instantFromWallClock(parts, value) : null;
+}
+
+/**
+ * Split a free-text date and optional time into its parts
+ * @param {string} value - Date text
+ * @returns {Object} { year, month, day, hour, minute, second, zone, hasTime }
+ */
+function parseText(value) {
+    const normalised = String(value || '')
+        .replace(/<br>/gi, ' ')
+        .replace(/,/g, ' ')
+        .replace(/\bat\b/gi, ' ')
+        .replace(/^\s*(mon|tue|wed|thu|fri|sat|sun)[a-z]*\s+/i, '')
+        .trim()
+        .replace(/\s+/g, ' ');
+
+    const match = normalised.match(/^(?:(\d{1,2}) ([a-z]+)|([a-z]+) (\d{1,2})) (\d{4})(?: (\d{1,2}):(\d{2})(?::(\d{2}))?(?: ?(am|pm))?)?(?: ([a-z]+|[+-]\d{2}:?\d{2}))?$/i);
+    if (!match) throw new Error(`Invalid date format: ${value}`);
+
+    const [, dayFirst, monthSecond, monthFirst, daySecond, year, hourRaw, minute = '0', second = '0', meridiem, zone] = match;
+    const month = monthNumber(monthSecond || monthFirst);
+    if (!month) throw new Error(`Invalid date format: ${value}`);
+
+    let hour = hourRaw ? parseInt(hourRaw, 10) : 0;
+    if (meridiem) {
+        if (hour < 1 || hour > 12) throw new Error(`Invalid time in ${value}`);
+        hour = hour % 12 + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+    }
+    return {
+        year: +year, month, day: +(dayFirst || daySecond), hour, minute: +minute, second: +second, zone,
+        hasTime: hourRaw !== undefined
+    };
+}
+
+module.exports = {
+    UK_TIMEZONE,
+    ukDateOfInstant,
+    ukDateFromIso,
+    ukDateFromDayMonthYear,
+    ukDateFromText,
+    tradeInstantFromIso,
+    tradeInstantFromText
+};
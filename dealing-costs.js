@@ -0,0 +1,63 @@
+/**
+ * Dealing costs from cash movements
+ * ---------------------------------
+ * ii and Fidelity exports have no commission column, but the cash debited
+ * or credited for a trade includes dealing charges and stamp duty on top
+ * of quantity x price. The allowable expenses are the difference:
+ *
+ *   BUY:  expenses = cash paid - quantity x price
+ *   SELL: expenses = quantity x price - cash received
+ *
+ * Quantities and prices are themselves rounded in the export, so small
+ * differences are rounding rather than a real charge. Those become zero
+ * expenses and are flagged. A difference in the wrong direction beyond
+ * the tolerance means the row doesn't add up and fails fast.
+ */
+
+// Cash amounts are rounded to the penny by the broker; allow a few pence of slack
+const CASH_TOLERANCE = 0.05;
+
+/**
+ * Number of decimal places in a numeric string
+ * @param {string} raw - Raw numeric string
+ * @returns {number} Decimal places
+ */
+function decimalPlaces(raw) {
+    const match = String(raw).replace(/[£,\s]/g, '').match(/\.(\d+)$/);
+    return match ? match[1].length : 0;
+}
+
+/**
+ * Derive allowable expenses for a trade from its cash amount
+ * @param {Object} trade
+ * @param {string} trade.kind - BUY or SELL
+ * @param {number} trade.quantity - Units traded (positive)
+ * @param {number} trade.price - Price per unit
+ * @param {string} trade.priceRaw - Price as written in the export (for its precision)
+ * @param {number} trade.cash - Cash paid or received (positive)
+ * @param {string} trade.label - Row description used in messages
+ * @returns {{expenses: number, warning: string|null}} Expenses and a rounding warning, if any
+ */
+function deriveExpenses({ kind, quantity, price, priceRaw, cash, label }) {
+    if (!isFinite(cash) || cash <= 0) throw new Error(`Invalid cash amount for ${label}: ${cash}`);
+
+    const gross = quantity * price;
+    const difference = kind === 'BUY' ? cash - gross : gross - cash;
+    // Rounding in the published price can move the gross by half a unit of its last decimal per share
+    const tolerance = CASH_TOLERANCE + quantity * 0.5 * 10 ** -decimalPlaces(priceRaw);
+
+    if (Math.abs(difference) <= tolerance) {
+        const warning = Math.abs(difference) >= 0.005
+            ? `${label}: cash ${cash.toFixed(2)} differs from quantity x price ${gross.toFixed(2)} by ${difference.toFixed(2)}; treated as rounding, no expenses`
+            : null;
+        return { expenses: 0, warning };
+    }
+    if (difference < 0) {
+        throw new Error(`${label}: cash ${cash.toFixed(2)} is inconsistent with quantity x price ${gross.toFixed(2)} for a ${kind}`);
+    }
+    return { expenses: Math.round(difference * 100) / 100, warning: null };
+}
+
+module.exports = {
+    deriveExpenses
+};
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Broker format detection
+ * -----------------------
+ * Each supported export has a clear signature:
+ *  - freetrade: a 44-column header starting `Title,Type,Timestamp` and
+ *    carrying the `Order ID` and `Stock Split *` columns
+ *  - ii: a header starting `Date,Settlement Date,Symbol,Sedol`
+ *  - fidelity: a preamble, then the `Order date,Completion date,Transaction type`
+ *    header on row 8 (the parser reads data from row 9)
+ *  - trading212: a header starting `Action,Time,ISIN,Ticker` with the
+ *    `No. of shares` and `Price / share` columns
+ *  - hl: the `Trade date,Settle date,Reference,Description,Unit cost (p)`
+ *    header after a few lines about the account
+ *  - ajbell: a header starting `Date,Settlement date,Reference,Description`
+ *    with the `Money out (£)` and `Money in (£)` columns
+ *  - ibkr: a Flex Query XML export with a `<FlexQueryResponse>` root
+ *  - vanguard: an XLSX workbook (a ZIP archive with `xl/` parts); no other
+ *    supported broker exports workbooks
+ *  - bullionvault: `.eml` files (a folder of them is one source), an mbox
+ *    archive starting with a `From ` separator line, or the account history
+ *    CSV with a `Date,Reference,Type,Security,Quantity (kg)` header
+ *
+ * Detection checks every signature and refuses to guess: input matching
+ * none or more than one format is an error.
+ */
+
+// Only the start of a file is needed to recognise its header
+const SNIFF_BYTES = 8192;
+
+const FREETRADE_COLUMN_COUNT = 44;
+const FIDELITY_HEADER_ROW = 8;
+
+const SIGNATURES = [
+    {
+        type: 'freetrade',
+        matches: lines => {
+            const header = lines[0] || '';
+            const columns = header.split(',');
+            return columns.length === FREETRADE_COLUMN_COUNT
+                && header.startsWith('Title,Type,Timestamp,')
+                && columns.includes('Order ID')
+                && columns.includes('Stock Split New ISIN');
+        }
+    },
+    {
+        type: 'ii',
+        matches: lines => (lines.find(line => line.trim()) || '').startsWith('Date,Settlement Date,Symbol,Sedol,')
+    },
+    {
+        type: 'fidelity',
+        matches: lines => (lines[FIDELITY_HEADER_ROW - 1] || '').startsWith('Order date,Completion date,Transaction type,')
+    },
+    {
+        type: 'trading212',
+        matches: lines => {
+            const header = lines[0] || '';
+            return header.startsWith('Action,Time,ISIN,Ticker,')
+                && header.includes(',No. of shares,')
+                && header.includes(',Price / share,');
+        }
+    },
+    {
+        type: 'hl',
+        matches: lines => lines.some(line => line.startsWith('Trade date,Settle date,Reference,Description,Unit cost (p),'))
+    },
+    {
+        type: 'ajbell',
+        matches: lines => {
+            const header = lines.find(line => line.trim()) || '';
+            return header.startsWith('Date,Settlement date,Reference,Description,')
+                && header.includes(',Money out (£),')
+                && header.includes(',Money in (£),');
+        }
+    },
+    {
+        type: 'ibkr',
+        matches: lines => lines.slice(0, 5).some(line => line.includes('<FlexQueryResponse'))
+    },
+    {
+        type: 'vanguard',
+        matches: lines => lines[0].startsWith('PK\u0003\u0004') && lines.some(line => line.includes('xl/'))
+    },
+    {
+        type: 'bullionvault',
+        matches: lines => lines[0].startsWith('From ') || lines[0].startsWith('Date,Reference,Type,Security,Quantity (kg),')
+    }
+];
+
+/**
+ * Detect the broker format of CSV text (or the start of a workbook)
+ * @param {string} content - File content (the first few KB is enough)
+ * @param {string} label - Name used in error messages
+ * @returns {string} Parser type
+ */
+function detectFormat(content, label = 'input') {
+    const sanitized = content.replace(/^[\uFEFF\u200B\u200E\u200F]+/, '');
+    const lines = sanitized.split(/\r?\n/);
+    const matched = SIGNATURES.filter(signature => signature.matches(lines)).map(signature => signature.type);
+
+    if (matched.length === 0) {
+        throw new Error(`Unable to detect the broker format of ${label}; pass the type explicitly`);
+    }
+    if (matched.length > 1) {
+        throw new Error(`${label} matches several broker formats (${matched.join(', ')}); pass the type explicitly`);
+    }
+    return matched[0];
+}
+
+/**
+ * Read the first SNIFF_BYTES of a file as UTF-8
+ * @param {string} filePath - File path
+ * @returns {string} File prefix
+ */
+function readPrefix(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(SNIFF_BYTES);
+        const bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+        return buffer.subarray(0, bytesRead).toString('utf8');
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+const isEml = fileName => fileName.toLowerCase().endsWith('.eml');
+
+/**
+ * Detect the sources in a file or folder. A folder may mix exports from
+ * several brokers; its `.eml` files form a single bullionvault source.
+ * @param {string} inputPath - File or folder path
+ * @returns {Array<{type: string, path: string}>} Detected sources
+ */
+function detectSources(inputPath) {
+    if (!fs.existsSync(inputPath)) {
+        throw new Error(`File '${inputPath}' does not exist`);
+    }
+
+    if (!fs.lstatSync(inputPath).isDirectory()) {
+        if (isEml(inputPath)) {
+            throw new Error(`'${inputPath}' is an email file; BullionVault emails are read from a folder or an mbox archive`);
+        }
+        return [{ type: detectFormat(readPrefix(inputPath), inputPath), path: inputPath }];
+    }
+
+    const files = fs.readdirSync(inputPath).sort()
+        .filter(f => !f.startsWith('.'))
+        .filter(f => fs.lstatSync(path.join(inputPath, f)).isFile());
+    const sources = [];
+    if (files.some(isEml)) {
+        sources.push({ type: 'bullionvault', path: inputPath });
+    }
+    for (const file of files.filter(f => !isEml(f))) {
+        const filePath = path.join(inputPath, file);
+        sources.push({ type: detectFormat(readPrefix(filePath), filePath), path: filePath });
+    }
+    if (sources.length === 0) {
+        throw new Error(`Folder '${inputPath}' does not contain any files`);
+    }
+    return sources;
+}
+
+module.exports = {
+    detectFormat,
+    detectSources
+};
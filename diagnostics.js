@@ -0,0 +1,109 @@
+/**
+ * Row diagnostics
+ * ---------------
+ * Parsers stop at the first bad row by default. In validation mode
+ * (parser option `collectErrors`) they parse every row instead, skip the
+ * bad ones and collect a diagnostic for each in `parser.diagnostics`:
+ *
+ *   { file, line, email, sheet, column, value, reason }
+ *
+ * `line` is the CSV line the row ends on (or the spreadsheet row), `email`
+ * the .eml file it came from and `sheet` the workbook sheet; `file` is
+ * filled in by whoever knows the source path. Either way the caller still
+ * writes nothing when any diagnostic was collected, so the strict policy
+ * is unchanged; only the reporting is.
+ *
+ * A check that knows which column it is validating throws a RowError
+ * (or wraps the parse in atColumn) so the diagnostic can name the column
+ * and the raw value.
+ */
+
+/**
+ * Error for a single bad value in a row
+ */
+class RowError extends Error {
+    /**
+     * @param {string} message - Reason
+     * @param {Object} [details]
+     * @param {string} [details.column] - Column or email field holding the bad value
+     * @param {*} [details.value] - Raw value as found in the input
+     */
+    constructor(message, { column = null, value = null } = {}) {
+        super(message);
+        this.name = 'RowError';
+        this.column = column;
+        this.value = value;
+    }
+}
+
+/**
+ * Run a parse step for one column, attributing any error to that column
+ * @param {string} column - Column name
+ * @param {*} value - Raw value
+ * @param {Function} parse - Called with the value
+ * @returns {*} Result of parse
+ */
+function atColumn(column, value, parse) {
+    try {
+        return parse(value);
+    } catch (e) {
+        if (e instanceof RowError) throw e;
+        throw new RowError(e.message, { column, value });
+    }
+}
+
+/**
+ * Build a diagnostic from an error and where it happened
+ * @param {Error} error - Error thrown while parsing the row
+ * @param {Object} location - { file, line, email, sheet }
+ * @returns {Object} Diagnostic { file, line, email, sheet, column, value, reason }
+ */
+function toDiagnostic(error, { file = null, line = null, email = null, sheet = null } = {}) {
+    return {
+        file,
+        line,
+        email,
+        sheet,
+        column: error.column ?? null,
+        value: error.value ?? null,
+        reason: error.message
+    };
+}
+
+/**
+ * Describe a diagnostic on one line
+ * @param {Object} diagnostic - Diagnostic
+ * @returns {string} e.g. "ii.csv line 12, column 'Price', value '£1.2x': Invalid Price: £1.2x"
+ */
+function formatDiagnostic({ file, line, email, sheet = null, column, value, reason }) {
+    const details = [
+        sheet ? `sheet '${sheet}'` : null,
+        line !== null ? `${sheet ? 'row' : 'line'} ${line}` : null,
+        email ? `email ${email}` : null,
+        column ? `column '${column}'` : null,
+        value !== null ? `value '${value}'` : null
+    ].filter(Boolean).join(', ');
+    const where = [file, details].filter(Boolean).join(' ');
+    return where ? `${where}: ${reason}` : reason;
+}
+
+/**
+ * Handle an error from one row: collect it when the parser is in
+ * validation mode, otherwise fail fast with the row's location
+ * @param {Object} parser - Parser with `collectErrors` and `diagnostics`
+ * @param {Error} error - Error thrown while parsing the row
+ * @param {Object} location - { line, email, sheet }
+ */
+function recordRowError(parser, error, location) {
+    const diagnostic = toDiagnostic(error, location);
+    if (!parser.collectErrors) throw new Error(formatDiagnostic(diagnostic));
+    parser.diagnostics.push(diagnostic);
+}
+
+module.exports = {
+    RowError,
+    atColumn,
+    toDiagnostic,
+    formatDiagnostic,
+    recordRowError
+};
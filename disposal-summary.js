@@ -0,0 +1,120 @@
+/**
+ * Disposal summary per tax year
+ * -----------------------------
+ * Self Assessment asks for the capital gains pages when total disposal
+ * proceeds in a tax year exceed the reporting threshold, so it helps to
+ * know the totals before running cgtcalc. SELL transactions are grouped by
+ * UK tax year (6 April to 5 April), then by broker and asset, with the
+ * number of disposals, gross proceeds (quantity x price) and allowable
+ * expenses. Works on the transaction objects the parsers build, not on
+ * formatted cgtcalc lines.
+ */
+
+const CSV_COLUMNS = ['Tax year', 'Broker', 'Asset', 'Disposals', 'Proceeds', 'Expenses'];
+
+const roundMoney = n => Math.round(n * 100) / 100;
+
+/**
+ * UK tax year containing a date
+ * @param {string} date - DD/MM/YYYY
+ * @returns {string} e.g. 2024/25 for 06/04/2024 to 05/04/2025
+ */
+function ukTaxYear(date) {
+    const match = String(date).match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+    if (!match) throw new Error(`Invalid date: ${date}`);
+    const [, day, month, year] = match.map(Number);
+    const start = month > 4 || (month === 4 && day >= 6) ? year : year - 1;
+    return `${start}/${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Group SELL transactions by tax year, broker and asset
+ * @param {Array<{broker: string, transaction: Object}>} entries - Parsed transactions with their broker
+ * @returns {{rows: Array<Object>, totals: Array<Object>}} Per broker/asset rows and per tax year totals, each
+ *   with { taxYear, disposals, proceeds, expenses } (rows also carry broker and asset)
+ */
+function summariseDisposals(entries) {
+    const groups = new Map();
+    for (const { broker, transaction } of entries) {
+        if (transaction.kind !== 'SELL') continue;
+        const quantity = Number(transaction.amount);
+        const price = Number(transaction.price);
+        const expenses = Number(transaction.expenses || 0);
+        if (!isFinite(quantity) || !isFinite(price) || !isFinite(expenses)) {
+            throw new Error(`Invalid SELL ${transaction.date} ${transaction.asset} from ${broker}`);
+        }
+
+        const taxYear = ukTaxYear(transaction.date);
+        const key = [taxYear, broker, transaction.asset].join('\u0000');
+        const group = groups.get(key) || { taxYear, broker, asset: transaction.asset, disposals: 0, proceeds: 0, expenses: 0 };
+        group.disposals += 1;
+        group.proceeds += quantity * price;
+        group.expenses += expenses;
+        groups.set(key, group);
+    }
+
+    const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    const rows = [...groups.values()]
+        .map(group => ({ ...group, proceeds: roundMoney(group.proceeds), expenses: roundMoney(group.expenses) }))
+        .sort((a, b) => compare(a.taxYear, b.taxYear) || compare(a.broker, b.broker) || compare(a.asset, b.asset));
+
+    const totals = [];
+    for (const row of rows) {
+        let total = totals[totals.length - 1];
+        if (!total || total.taxYear !== row.taxYear) {
+            total = { taxYear: row.taxYear, disposals: 0, proceeds: 0, expenses: 0 };
+            totals.push(total);
+        }
+        total.disposals += row.disposals;
+        total.proceeds = roundMoney(total.proceeds + row.proceeds);
+        total.expenses = roundMoney(total.expenses + row.expenses);
+    }
+
+    return { rows, totals };
+}
+
+/**
+ * Render a summary as a plain-text table, with a total line per tax year
+ * @param {{rows: Array<Object>, totals: Array<Object>}} summary - Output of summariseDisposals()
+ * @returns {string} Table text
+ */
+function formatDisposalTable({ rows, totals }) {
+    if (rows.length === 0) return 'No disposals';
+
+    const body = [];
+    for (const total of totals) {
+        rows.filter(row => row.taxYear === total.taxYear).forEach(row => body.push([
+            row.taxYear, row.broker, row.asset, String(row.disposals), row.proceeds.toFixed(2), row.expenses.toFixed(2)
+        ]));
+        body.push([total.taxYear, 'Total', '', String(total.disposals), total.proceeds.toFixed(2), total.expenses.toFixed(2)]);
+    }
+
+    const table = [CSV_COLUMNS, ...body];
+    const widths = CSV_COLUMNS.map((_, i) => Math.max(...table.map(cells => cells[i].length)));
+    // Text columns are left aligned, numbers right aligned
+    const formatRow = cells => cells
+        .map((cell, i) => (i < 3 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])))
+        .join('  ')
+        .trimEnd();
+    return table.map(formatRow).join('\n');
+}
+
+/**
+ * Render a summary as CSV with one row per tax year, broker and asset
+ * @param {{rows: Array<Object>}} summary - Output of summariseDisposals()
+ * @returns {string} CSV content
+ */
+function formatDisposalCsv({ rows }) {
+    const escape = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    const lines = rows.map(row => [
+        row.taxYear, row.broker, row.asset, String(row.disposals), row.proceeds.toFixed(2), row.expenses.toFixed(2)
+    ].map(escape).join(','));
+    return [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+}
+
+module.exports = {
+    ukTaxYear,
+    summariseDisposals,
+    formatDisposalTable,
+    formatDisposalCsv
+};
@@ -0,0 +1,146 @@
+const { ukTaxYear } = require('./disposal-summary');
+
+/**
+ * Dividend income per tax year
+ * ----------------------------
+ * The tax return asks for dividends received and for foreign tax paid on
+ * them, which cgtcalc never sees. Parsers that can read dividends from
+ * their exports (Freetrade, ii) collect them in `parser.dividends`:
+ *
+ *   { date, asset, currency, gross, withheld, net, ref, wrapper }
+ *
+ * `gross` and `withheld` are in the dividend's currency, `net` is the cash
+ * received in pounds and `date` is the pay date. Dividend rows rarely carry
+ * a broker reference, so `ref` is usually just the security and pay date;
+ * with the gross amount and an occurrence count it keys the payment (see
+ * dividendKeys), so one found in several overlapping exports is reported
+ * once while an ordinary and a special dividend paid on the same day both
+ * count. Dividends are grouped by UK tax year, then by broker and asset,
+ * with the gross dividend and withholding tax converted to GBP at the rate
+ * for the pay date (see fx-rates.js); a foreign dividend without a rate
+ * fails.
+ */
+
+const CSV_COLUMNS = ['Tax year', 'Broker', 'Asset', 'Payments', 'Gross', 'Withholding tax', 'Net received'];
+
+const roundMoney = n => Math.round(n * 100) / 100;
+
+/**
+ * Keys identifying each dividend of one export across exports. Payments
+ * of one security on one day with the same gross amount are told apart by
+ * occurrence, so the nth such payment of an export matches the nth of an
+ * overlapping one.
+ * @param {string} broker - Broker the export came from
+ * @param {Array<Object>} dividends - Dividends in export order
+ * @returns {Array<string>} Key per dividend, e.g. 'ii:dividend:3134865:20/03/2024:1005#1'
+ */
+function dividendKeys(broker, dividends) {
+    const occurrences = new Map();
+    return dividends.map(dividend => {
+        const base = `${broker}:${dividend.ref}:${dividend.gross}`;
+        const n = (occurrences.get(base) || 0) + 1;
+        occurrences.set(base, n);
+        return `${base}#${n}`;
+    });
+}
+
+/**
+ * Group dividends by tax year, broker and asset
+ * @param {Array<{broker: string, dividend: Object}>} entries - Dividends with their broker
+ * @param {FxRates|null} [fxRates] - Rates for dividends paid in other currencies
+ * @returns {{rows: Array<Object>, totals: Array<Object>}} Per broker/asset rows and per tax year totals, each
+ *   with { taxYear, payments, gross, withheld, net } in pounds (rows also carry broker and asset)
+ */
+function summariseDividends(entries, fxRates = null) {
+    const groups = new Map();
+    for (const { broker, dividend } of entries) {
+        const { date, asset } = dividend;
+        const currency = String(dividend.currency || 'GBP').toUpperCase();
+        let { gross, withheld } = dividend;
+        if (currency !== 'GBP') {
+            if (!fxRates) throw new Error(`Dividend of ${asset} on ${date} from ${broker} was paid in ${currency}; pass an FX rate file to convert it`);
+            gross = fxRates.toGbp(gross, currency, date).amount;
+            withheld = fxRates.toGbp(withheld, currency, date).amount;
+        }
+
+        const taxYear = ukTaxYear(date);
+        const key = [taxYear, broker, asset].join('\u0000');
+        const group = groups.get(key) || { taxYear, broker, asset, payments: 0, gross: 0, withheld: 0, net: 0 };
+        group.payments += 1;
+        group.gross += gross;
+        group.withheld += withheld;
+        group.net += dividend.net;
+        groups.set(key, group);
+    }
+
+    const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    const rows = [...groups.values()]
+        .map(group => ({ ...group, gross: roundMoney(group.gross), withheld: roundMoney(group.withheld), net: roundMoney(group.net) }))
+        .sort((a, b) => compare(a.taxYear, b.taxYear) || compare(a.broker, b.broker) || compare(a.asset, b.asset));
+
+    const totals = [];
+    for (const row of rows) {
+        let total = totals[totals.length - 1];
+        if (!total || total.taxYear !== row.taxYear) {
+            total = { taxYear: row.taxYear, payments: 0, gross: 0, withheld: 0, net: 0 };
+            totals.push(total);
+        }
+        total.payments += row.payments;
+        total.gross = roundMoney(total.gross + row.gross);
+        total.withheld = roundMoney(total.withheld + row.withheld);
+        total.net = roundMoney(total.net + row.net);
+    }
+
+    return { rows, totals };
+}
+
+/**
+ * Cells of a summary row after the tax year, broker and asset
+ * @param {Object} row - Summary row or total
+ * @returns {Array<string>} Payments, gross, withholding tax and net received
+ */
+function amountCells(row) {
+    return [String(row.payments), row.gross.toFixed(2), row.withheld.toFixed(2), row.net.toFixed(2)];
+}
+
+/**
+ * Render a summary as a plain-text table, with a total line per tax year
+ * @param {{rows: Array<Object>, totals: Array<Object>}} summary - Output of summariseDividends()
+ * @returns {string} Table text
+ */
+function formatDividendTable({ rows, totals }) {
+    if (rows.length === 0) return 'No dividends';
+
+    const body = [];
+    for (const total of totals) {
+        rows.filter(row => row.taxYear === total.taxYear).forEach(row => body.push([row.taxYear, row.broker, row.asset, ...amountCells(row)]));
+        body.push([total.taxYear, 'Total', '', ...amountCells(total)]);
+    }
+
+    const table = [CSV_COLUMNS, ...body];
+    const widths = CSV_COLUMNS.map((_, i) => Math.max(...table.map(cells => cells[i].length)));
+    // Text columns are left aligned, numbers right aligned
+    const formatRow = cells => cells
+        .map((cell, i) => (i < 3 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])))
+        .join('  ')
+        .trimEnd();
+    return table.map(formatRow).join('\n');
+}
+
+/**
+ * Render a summary as CSV with one row per tax year, broker and asset
+ * @param {{rows: Array<Object>}} summary - Output of summariseDividends()
+ * @returns {string} CSV content
+ */
+function formatDividendCsv({ rows }) {
+    const escape = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    const lines = rows.map(row => [row.taxYear, row.broker, row.asset, ...amountCells(row)].map(escape).join(','));
+    return [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+}
+
+module.exports = {
+    dividendKeys,
+    summariseDividends,
+    formatDividendTable,
+    formatDividendCsv
+};
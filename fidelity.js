@@ -1,4 +1,10 @@
 const { parse } = require('csv-parse');
+const { formatLine } = require('./cgtcalc-format');
+const AssetResolver = require('./asset-resolver');
+const { normaliseWrapper } = require('./wrappers');
+const { deriveExpenses } = require('./dealing-costs');
+const { ukDateFromText } = require('./dates');
+const { RowError, atColumn, recordRowError } = require('./diagnostics');
 
 const supportedTransactionTypes = [
     "buy",
@@ -10,10 +16,28 @@ const supportedTransactionTypes = [
     "cash out/sell for transfer"
 ];
 
+// Units sold by Fidelity to pay platform fees. The Amount is the fee paid, so the
+// disposal's proceeds are quantity x price and there is no dealing charge to derive.
+const feeTransactionTypes = [
+    "auto-sell for fees"
+];
+
+// Fund distributions and equalisation; only read with a share-class file (see share-classes.js)
+const distributionTransactionTypes = [
+    "dividend",
+    "distribution",
+    "income distribution"
+];
+const capitalTransactionTypes = [
+    "equalisation",
+    "capital return",
+    "return of capital"
+];
+
 const parseNumberStrict = (v, fieldName) => {
     const n = parseFloat(v);
     if (!isFinite(n) || Number.isNaN(n)) {
-        throw new Error(`Invalid ${fieldName}: ${v}`);
+        throw new RowError(`Invalid ${fieldName}: ${v}`, { column: fieldName, value: v });
     }
     return n;
 };
@@ -23,12 +47,34 @@ const parseNumberStrict = (v, fieldName) => {
  * Converts Fidelity CSV format to standardized transaction format
  */
 class FidelityParser {
+    /**
+     * @param {Object} [options]
+     * @param {AssetResolver} [options.assetResolver] - Shared cross-broker asset resolver
+     * @param {string} [options.wrapper] - Expected wrapper; rows naming another wrapper are rejected
+     * @param {boolean} [options.collectErrors] - Skip bad rows and collect them in `diagnostics` instead of failing
+     * @param {ShareClasses} [options.shareClasses] - Share classes for turning distribution rows into cgtcalc lines
+     */
+    constructor(options = {}) {
+        this.assetResolver = options.assetResolver || new AssetResolver();
+        // Fidelity names the wrapper on every row; a declaration only double-checks it
+        this.declaredWrapper = options.wrapper ? normaliseWrapper(options.wrapper) : null;
+        // Without share classes, distribution rows are skipped like other unsupported types
+        this.shareClasses = options.shareClasses || null;
+        // Rows whose Amount only differs from quantity x price by rounding, from the last parsed file
+        this.warnings = [];
+        this.collectErrors = Boolean(options.collectErrors);
+        // Bad rows from the last parsed file when collecting errors (see diagnostics.js)
+        this.diagnostics = [];
+    }
+
     /**
      * Parse CSV content and return parsed transactions
      * @param {string} content - CSV content as string
      * @returns {Promise<Array>} parsed transactions
      */
     async parseContent(content) {
+        this.warnings = [];
+        this.diagnostics = [];
         return new Promise((resolve, reject) => {
             parse(content, {
                 columns: [
@@ -38,13 +84,25 @@ class FidelityParser {
                 trim: true,
                 relax_column_count: true,
                 relax_quotes: true,
-                from_line: 9
+                from_line: 9,
+                info: true
             }, (err, records) => {
                 if (err) return reject(err);
                 const results = [];
-                for (const row of records) {
-                    if (!supportedTransactionTypes.includes(row['Transaction type'].toLowerCase())) continue;
-                    results.push(this.parseTransaction(row));
+                try {
+                    for (const { record: row, info } of records) {
+                        const type = (row['Transaction type'] || '').toLowerCase();
+                        const distributionType = this.distributionType(type);
+                        if (!distributionType && !supportedTransactionTypes.includes(type)) continue;
+                        try {
+                            const parsed = distributionType ? this.parseDistribution(row, distributionType) : this.parseTransaction(row);
+                            if (parsed) results.push(parsed);
+                        } catch (e) {
+                            recordRowError(this, e, { line: info.lines });
+                        }
+                    }
+                } catch (e) {
+                    return reject(e);
                 }
                 resolve(results);
             });
@@ -58,51 +116,120 @@ class FidelityParser {
      */
     parseTransaction(row) {
         const amount = parseNumberStrict(row['Amount'], 'Amount');
-        if (amount === 0) throw new Error(`Zero Amount is not a valid transaction`);
+        if (amount === 0) throw new RowError(`Zero Amount is not a valid transaction`, { column: 'Amount', value: row['Amount'] });
 
         const dateRaw = row['Completion date'];
-        const date = this.formatDate(dateRaw);
+        const date = atColumn('Completion date', dateRaw, ukDateFromText);
 
-        const asset = row['Investments'].replace(/\s+/g, '_');
-        if (!asset || asset.length === 0) throw new Error(`Invalid or missing Investments field: ${row['Investments']}`);
+        const fallback = (row['Investments'] || '').replace(/\s+/g, '_');
+        if (!fallback || fallback.length === 0) throw new RowError(`Invalid or missing Investments field: ${row['Investments']}`, { column: 'Investments', value: row['Investments'] });
+        const asset = this.assetResolver.resolve({ name: row['Investments'] }, fallback);
 
-        const quantity = parseNumberStrict(row['Quantity'], 'Quantity');
-        if (quantity === 0) throw new Error(`Zero Quantity is not a valid transaction`);
+        const quantity = Math.abs(parseNumberStrict(row['Quantity'], 'Quantity'));
+        if (quantity === 0) throw new RowError(`Zero Quantity is not a valid transaction`, { column: 'Quantity', value: row['Quantity'] });
 
         const priceRaw = row['Price per unit'];
         const price = parseFloat(priceRaw);
         if (!isFinite(price) || Number.isNaN(price) || price <= 0) {
-            throw new Error(`Invalid Price per unit for ${priceRaw}`);
+            throw new RowError(`Invalid Price per unit for ${priceRaw}`, { column: 'Price per unit', value: priceRaw });
+        }
+
+        const isFeeSale = feeTransactionTypes.includes(row['Transaction type'].toLowerCase());
+        const kind = isFeeSale || amount < 0 ? 'SELL' : 'BUY';
+
+        // Fidelity has no commission column; dealing charges are in the Amount
+        let expenses = 0;
+        if (!isFeeSale) {
+            const derived = atColumn('Amount', row['Amount'], () => deriveExpenses({
+                kind,
+                quantity,
+                price,
+                priceRaw,
+                cash: Math.abs(amount),
+                label: `${kind} ${asset} on ${date}`
+            }));
+            expenses = derived.expenses;
+            if (derived.warning) this.warnings.push(derived.warning);
         }
 
-        const expenses = 0;
+        const wrapper = this.rowWrapper(row);
 
         return {
-            kind: amount > 0 ? 'BUY' : 'SELL',
+            kind,
             date,
             asset,
-            quantity,
+            amount: quantity,
             price,
-            expenses
+            expenses,
+            ref: row['Reference Number'] || null,
+            raw: row,
+            wrapper,
+            account: row['Account Number']
         };
     }
 
     /**
-     * Format date string to DD/MM/YYYY format
-     * @param {string} dateString - Date string from CSV (e.g., "11 Oct 2021")
-     * @returns {string} Formatted date
+     * Wrapper named on a row, checked against the declared one
+     * @param {Object} row - CSV row
+     * @returns {string} GIA, ISA or SIPP
      */
-    formatDate(dateString) {
-        const date = new Date(dateString);
-        if (isNaN(date.getTime())) {
-            throw new Error(`Invalid date format: ${dateString}`);
+    rowWrapper(row) {
+        const wrapper = atColumn('Product Wrapper', row['Product Wrapper'], normaliseWrapper);
+        if (this.declaredWrapper && wrapper !== this.declaredWrapper) {
+            throw new RowError(`Product Wrapper '${row['Product Wrapper']}' on ${row['Completion date']} does not match the declared ${this.declaredWrapper} wrapper`, { column: 'Product Wrapper', value: row['Product Wrapper'] });
         }
+        return wrapper;
+    }
+
+    /**
+     * Whether a transaction type is a distribution or capital return to classify
+     * @param {string} type - Lower-cased Transaction type
+     * @returns {string|null} 'distribution' or 'capital', or null for other types or without share classes
+     */
+    distributionType(type) {
+        if (!this.shareClasses) return null;
+        if (distributionTransactionTypes.includes(type)) return 'distribution';
+        if (capitalTransactionTypes.includes(type)) return 'capital';
+        return null;
+    }
+
+    /**
+     * Parse a distribution or equalisation row into a CAPRETURN/DIVIDEND event
+     * according to the fund's share class
+     * @param {Object} row - CSV row
+     * @param {string} type - 'distribution' or 'capital'
+     * @returns {Object|null} Event, or null for an income distribution
+     */
+    parseDistribution(row, type) {
+        const date = atColumn('Completion date', row['Completion date'], ukDateFromText);
 
-        const day = String(date.getDate()).padStart(2, '0');
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const year = date.getFullYear();
-        return `${day}/${month}/${year}`;
+        const fallback = (row['Investments'] || '').replace(/\s+/g, '_');
+        if (!fallback) throw new RowError(`Invalid or missing Investments field: ${row['Investments']}`, { column: 'Investments', value: row['Investments'] });
+        const asset = this.assetResolver.resolve({ name: row['Investments'] }, fallback);
 
+        const kind = atColumn('Investments', row['Investments'], () => this.shareClasses.lineKindFor({
+            type,
+            identifiers: { name: row['Investments'] },
+            asset
+        }));
+        if (!kind) return null;
+
+        const quantity = Math.abs(parseNumberStrict(row['Quantity'], 'Quantity'));
+        if (quantity === 0) throw new RowError(`${kind} for ${asset} on ${date} needs the units held in Quantity`, { column: 'Quantity', value: row['Quantity'] });
+        const value = Math.abs(parseNumberStrict(row['Amount'], 'Amount'));
+        if (value === 0) throw new RowError(`Zero Amount is not a valid ${kind}`, { column: 'Amount', value: row['Amount'] });
+
+        return {
+            kind,
+            date,
+            asset,
+            amount: quantity,
+            value,
+            ref: row['Reference Number'] || null,
+            raw: row,
+            wrapper: this.rowWrapper(row),
+            account: row['Account Number']
+        };
     }
 
     /**
@@ -111,10 +238,7 @@ class FidelityParser {
      * @returns {string} Formatted transaction string
      */
     formatTransaction(transaction) {
-        if (transaction.kind === 'BUY' || transaction.kind === 'SELL') {
-            return `${transaction.kind} ${transaction.date} ${transaction.asset} ${transaction.quantity} ${transaction.price} ${transaction.expenses}`;
-        }
-        throw new Error(`Unsupported transaction kind: ${transaction.kind}`);
+        return formatLine(transaction);
     }
 
     /**
@@ -1,36 +1,67 @@
 const { parse } = require('csv-parse');
+const AssetResolver = require('./asset-resolver');
+const { TAXABLE_WRAPPER, normaliseWrapper } = require('./wrappers');
+const { ukDateFromIso, tradeInstantFromIso } = require('./dates');
+const { formatLine, splitMultiplier, SPLIT_RATIO_DECIMALS } = require('./cgtcalc-format');
+const { RowError, atColumn, recordRowError } = require('./diagnostics');
 
 /**
- * IMPORTANT: Omitted parsing and manual review note
- * ------------------------------------------------
- * This parser intentionally omits parsing for the following row types:
- *  - DIVIDEND
- *  - CAPITAL / CAPITAL RETURN
- *  - STOCK SPLIT / UNSPLIT
+ * Dividends and capital returns
+ * -----------------------------
+ * DIVIDEND and CAPITAL / CAPITAL RETURN rows are ambiguous on their own:
+ * a dividend may be income from a share or an income-class fund, or a
+ * retained distribution of an accumulation-class fund (which adds to the
+ * cost of the holding), and the CSV has no signal for the share class.
  *
- * Rationale:
- *  - DIVIDEND and CAPITAL rows are ambiguous: they may be dividends
- *    from individual stocks, distributions from income-class funds,
- *    retained distributions from accumulation-class funds (which can
- *    affect disposals), or simply bookkeeping/cash adjustments.
- *  - STOCK SPLIT rows are not consistently present or reliably formed
- *    in the provided Freetrade CSV data.
- *  - The CSV provides no reliable signal to distinguish share-class
- *    semantics (income vs accumulation) or to identify whether a row
- *    pertains to a fund versus an account-level event.
+ * Without a share-class file (parser option `shareClasses`) these rows are
+ * ignored, as before, and must be reviewed by hand. With one, each row is
+ * classified by its ISIN/Ticker (see share-classes.js): capital returns
+ * become CAPRETURN lines, accumulation distributions DIVIDEND lines and
+ * income dividends nothing. The holding is the Dividend Eligible Quantity
+ * and the value the Dividend Gross Distribution Amount, which must be in
+ * the account currency. A row whose security isn't in the file fails.
  *
- * Because of these ambiguities and the project's strict fail-fast
- * policy, dividend, capital-return and split rows must be reviewed and
- * handled manually when relevant. This parser only extracts explicit
- * BUY/SELL order rows and will ignore the omitted types.
+ * With the parser option `collectDividends`, every dividend is also
+ * collected in `dividends` for the dividend income report (see
+ * dividend-income.js): the gross amount and withholding tax in the
+ * instrument currency, and the Total Amount received in pounds. Without it
+ * the income columns aren't read, so they can't fail a trade import.
+ *
+ * Stock splits
+ * ------------
+ * Split rows become cgtcalc SPLIT/UNSPLIT lines using the share outturn
+ * rate (From -> To). When Freetrade pays out fractional entitlements in
+ * cash, the fraction becomes a small SELL at the payout price. A
+ * `Stock Split New ISIN` that differs from the original is recorded in
+ * `identifierChanges` so the merged ledger can be relinked (see
+ * identifier-changes.js). Rows that carry a cash outturn, a non-terminating
+ * ratio or inconsistent quantities are rejected so they can be reviewed
+ * by hand.
  */
 
+const STOCK_SPLIT_TYPES = ['stock_split', 'stock split'];
+const DIVIDEND_TYPES = ['dividend'];
+const CAPITAL_RETURN_TYPES = ['capital', 'capital return', 'capital_return'];
+
 /**
  * Freetrade Parser
  * Converts Freetrade CSV format to standardized transaction format
  */
 class FreetradeParser {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {AssetResolver} [options.assetResolver] - Shared cross-broker asset resolver
+     * @param {string} [options.wrapper] - Account wrapper of the file (GIA, ISA or SIPP); defaults to GIA
+     * @param {boolean} [options.collectErrors] - Skip bad rows and collect them in `diagnostics` instead of failing
+     * @param {ShareClasses} [options.shareClasses] - Share classes for turning dividend and capital rows into cgtcalc lines
+     * @param {boolean} [options.collectDividends] - Collect dividend income in `dividends` for the dividend income report
+     */
+    constructor(options = {}) {
+        this.assetResolver = options.assetResolver || new AssetResolver();
+        // Freetrade exports are per account, so the wrapper is declared for the whole file
+        this.wrapper = options.wrapper ? normaliseWrapper(options.wrapper) : TAXABLE_WRAPPER;
+        // Without share classes, dividend and capital rows are left for manual review
+        this.shareClasses = options.shareClasses || null;
         this.fieldMap = {
             title: 0,
             type: 1,
@@ -77,6 +108,14 @@ class FreetradeParser {
             stockSplitFractionalPayoutReceivedAmount: 42,
             stockSplitFractionalPayoutReceivedCurrency: 43
         };
+        // ISIN changes seen in the last parsed file: [{ date, from, to, source }]
+        this.identifierChanges = [];
+        // Dividends paid in the last parsed file, for the dividend income report; only collected when asked
+        this.collectDividends = Boolean(options.collectDividends);
+        this.dividends = [];
+        this.collectErrors = Boolean(options.collectErrors);
+        // Bad rows from the last parsed file when collecting errors (see diagnostics.js)
+        this.diagnostics = [];
     }
 
     /**
@@ -85,6 +124,9 @@ class FreetradeParser {
      * @returns {Promise<Array>} Array of parsed transaction objects
      */
     async parseContent(content) {
+        this.identifierChanges = [];
+        this.dividends = [];
+        this.diagnostics = [];
         return new Promise((resolve, reject) => {
             const results = [];
             parse(content, { 
@@ -92,12 +134,25 @@ class FreetradeParser {
                 skip_empty_lines: true,
                 trim: true,
                 relax_column_count: true,
-                relax_quotes: true
+                relax_quotes: true,
+                info: true
             }, (err, records) => {
                 if (err) return reject(err);
-                for (const row of records) {
-                    const parsed = this.parseRow(row);
-                    if (parsed) results.push(parsed);
+                try {
+                    for (const { record: row, info } of records) {
+                        let parsed;
+                        try {
+                            parsed = this.parseRow(row);
+                        } catch (e) {
+                            recordRowError(this, e, { line: info.lines });
+                            continue;
+                        }
+                        // Split rows may expand into several events (split + fractional disposal)
+                        const events = Array.isArray(parsed) ? parsed : [parsed].filter(Boolean);
+                        results.push(...events.map(event => ({ ...event, wrapper: this.wrapper })));
+                    }
+                } catch (e) {
+                    return reject(e);
                 }
                 resolve(results);
             });
@@ -117,6 +172,16 @@ class FreetradeParser {
         if (type === 'order' && (buySell === 'buy' || buySell === 'sell')) {
             return this.parseTransaction(row);
         }
+        if (STOCK_SPLIT_TYPES.includes(type)) {
+            return this.parseStockSplit(row);
+        }
+        if (DIVIDEND_TYPES.includes(type)) {
+            if (this.collectDividends) this.dividends.push(this.parseDividendIncome(row));
+            return this.shareClasses ? this.parseDistribution(row, 'distribution') : null;
+        }
+        if (this.shareClasses && CAPITAL_RETURN_TYPES.includes(type)) {
+            return this.parseDistribution(row, 'capital');
+        }
         return null;
     }
 
@@ -129,22 +194,22 @@ class FreetradeParser {
         const buySell = row['Buy / Sell']?.toLowerCase();
         const kind = buySell === 'buy' ? 'BUY' : 'SELL';
         const dateRaw = row['Timestamp'];
-        const date = this.formatDate(dateRaw);
-        if (!date) throw new Error(`Invalid or missing Timestamp: ${dateRaw}`);
+        const date = atColumn('Timestamp', dateRaw, ukDateFromIso);
+        if (!date) throw new RowError(`Invalid or missing Timestamp: ${dateRaw}`, { column: 'Timestamp', value: dateRaw });
 
-        const asset = (row['ISIN'] || row['Ticker'] || '').trim();
-        if (!asset) throw new Error(`Missing asset identifier (ISIN/Ticker) for transaction on ${dateRaw}`);
+        const asset = this.resolveAsset(row);
+        if (!asset) throw new RowError(`Missing asset identifier (ISIN/Ticker) for transaction on ${dateRaw}`, { column: 'ISIN', value: '' });
 
         const qtyRaw = row['Quantity'];
         const amount = parseFloat(qtyRaw);
         if (!isFinite(amount) || Number.isNaN(amount) || amount === 0) {
-            throw new Error(`Invalid Quantity: ${qtyRaw}`);
+            throw new RowError(`Invalid Quantity: ${qtyRaw}`, { column: 'Quantity', value: qtyRaw });
         }
 
         const priceRaw = row['Price per Share in Account Currency'];
         const price = parseFloat(priceRaw);
         if (!isFinite(price) || Number.isNaN(price) || price <= 0) {
-            throw new Error(`Invalid Price per Share: ${priceRaw}`);
+            throw new RowError(`Invalid Price per Share: ${priceRaw}`, { column: 'Price per Share in Account Currency', value: priceRaw });
         }
 
         const expenses = this.calculateExpenses(row);
@@ -155,36 +220,237 @@ class FreetradeParser {
             asset,
             amount,
             price,
-            expenses
+            expenses,
+            // Full execution time, used to order same-day trades
+            time: tradeInstantFromIso(dateRaw),
+            ref: row['Order ID'] || null,
+            raw: row
         };
     }
 
     /**
-     * Calculate total expenses for a transaction
+     * Resolve the row's ISIN/Ticker to a canonical asset ID
      * @param {Object} row - CSV row
-     * @returns {number} Total expenses
+     * @returns {string} Asset ID, or '' when the row has no identifier
      */
-    calculateExpenses(row) {
-        const stampDuty = parseFloat(row['Stamp Duty']) || 0;
-        const fxFee = parseFloat(row['FX Fee Amount']) || 0;
-        return stampDuty + fxFee;
+    resolveAsset(row) {
+        const isin = (row['ISIN'] || '').trim();
+        const ticker = (row['Ticker'] || '').trim();
+        if (!isin && !ticker) return '';
+        return this.assetResolver.resolve({ isin, ticker }, isin || ticker);
+    }
+
+    /**
+     * Parse a STOCK SPLIT row into a SPLIT/UNSPLIT event, followed by a SELL
+     * for any fractional entitlement that was paid out in cash.
+     * @param {Object} row - CSV row
+     * @returns {Array<Object>} Split event and optional fractional disposal
+     */
+    parseStockSplit(row) {
+        const exDateRaw = row['Stock Split Ex Date'] || row['Timestamp'];
+        const date = atColumn('Stock Split Ex Date', exDateRaw, ukDateFromIso);
+
+        const asset = this.resolveAsset(row);
+        if (!asset) throw new Error(`Missing asset identifier (ISIN/Ticker) for stock split on ${exDateRaw}`);
+
+        const newIsin = (row['Stock Split New ISIN'] || '').trim();
+        const changesIsin = Boolean(newIsin && row['ISIN'] && newIsin !== row['ISIN'].trim());
+        if (changesIsin && (row['Stock Split Maintain Holding of Initial ISIN'] || '').toLowerCase() === 'true') {
+            throw new Error(`Stock split for ${asset} on ${exDateRaw} issues ${newIsin} while keeping the original holding; handle manually`);
+        }
+
+        const cashOutturn = parseFloat(row['Stock Split Rate of Cash Outturn Amount']) || 0;
+        if (cashOutturn !== 0) {
+            throw new RowError(`Stock split for ${asset} on ${exDateRaw} has a cash outturn of ${cashOutturn}; handle manually`, {
+                column: 'Stock Split Rate of Cash Outturn Amount',
+                value: row['Stock Split Rate of Cash Outturn Amount']
+            });
+        }
+
+        const rateFromRaw = row['Stock Split Rate of Share Outturn From'];
+        const rateToRaw = row['Stock Split Rate of Share Outturn To'];
+        const rateFrom = parseFloat(rateFromRaw);
+        const rateTo = parseFloat(rateToRaw);
+        if (!isFinite(rateFrom) || !isFinite(rateTo) || rateFrom <= 0 || rateTo <= 0) {
+            throw new RowError(`Invalid stock split rate for ${asset} on ${exDateRaw}: ${rateFromRaw} -> ${rateToRaw}`, {
+                column: 'Stock Split Rate of Share Outturn From/To',
+                value: `${rateFromRaw} -> ${rateToRaw}`
+            });
+        }
+        if (changesIsin) {
+            const newAsset = this.assetResolver.resolve({ isin: newIsin }, newIsin);
+            // Both ISINs may already map to the same canonical asset, in which case nothing needs relinking
+            if (newAsset !== asset) {
+                this.identifierChanges.push({ date, from: asset, to: newAsset, source: 'freetrade' });
+            }
+        }
+        if (rateFrom === rateTo) {
+            // A 1:1 outturn is a pure identifier change; nothing to emit besides the change itself
+            if (changesIsin) return [];
+            throw new Error(`Stock split for ${asset} on ${exDateRaw} has a 1:1 share outturn; handle manually`);
+        }
+
+        const kind = rateTo > rateFrom ? 'SPLIT' : 'UNSPLIT';
+        const multiplier = splitMultiplier(rateFrom, rateTo);
+        if (multiplier === null) {
+            throw new RowError(`Ambiguous stock split ratio for ${asset} on ${exDateRaw}: ${rateFromRaw} -> ${rateToRaw}`, {
+                column: 'Stock Split Rate of Share Outturn From/To',
+                value: `${rateFromRaw} -> ${rateToRaw}`
+            });
+        }
+
+        // Split rows have no Order ID; the ISIN and ex date identify the corporate action
+        const ref = `split:${(row['ISIN'] || row['Ticker']).trim()}:${exDateRaw}`;
+        const events = [{ kind, date, asset, multiplier, ref, raw: row }];
+
+        const hasFractionalPayout = (row['Stock Split Has Fractional Payout'] || '').toLowerCase() === 'true';
+        if (hasFractionalPayout) {
+            const fraction = this.parseFractionalPayout(row, asset, rateFrom, rateTo);
+            events.push({ ...fraction, ref: `${ref}:fraction`, raw: row });
+        }
+        return events;
     }
 
     /**
-     * Format date string to DD/MM/YYYY format
-     * @param {string} dateString - Date string from CSV
-     * @returns {string} Formatted date
+     * Read the income of a DIVIDEND row
+     * @param {Object} row - CSV row
+     * @returns {Object} Dividend { date, asset, currency, gross, withheld, net, ref, wrapper }
      */
-    formatDate(dateString) {
-        if (!dateString) throw new Error('Missing Timestamp');
+    parseDividendIncome(row) {
+        const dateRaw = row['Dividend Pay Date'] || row['Timestamp'];
+        const date = atColumn(row['Dividend Pay Date'] ? 'Dividend Pay Date' : 'Timestamp', dateRaw, ukDateFromIso);
 
-        const date = new Date(dateString);
-        if (Number.isNaN(date.getTime())) throw new Error(`Invalid Timestamp: ${dateString}`);
+        const asset = this.resolveAsset(row);
+        if (!asset) throw new RowError(`Missing asset identifier (ISIN/Ticker) for dividend on ${dateRaw}`, { column: 'ISIN', value: '' });
+
+        const accountCurrency = (row['Account Currency'] || 'GBP').toUpperCase();
+        if (accountCurrency !== 'GBP') {
+            throw new RowError(`Dividend for ${asset} on ${dateRaw} received in ${accountCurrency}; only GBP accounts are supported`, { column: 'Account Currency', value: row['Account Currency'] });
+        }
+        const amount = column => {
+            const value = parseFloat(row[column]);
+            if (!isFinite(value) || value < 0) throw new RowError(`Invalid ${column}: ${row[column]}`, { column, value: row[column] });
+            return value;
+        };
+        const gross = amount('Dividend Gross Distribution Amount');
+        // Dividends without foreign tax leave the withholding columns blank
+        const withheld = row['Dividend Withheld Tax Amount'] ? amount('Dividend Withheld Tax Amount') : 0;
+        const net = amount('Total Amount');
+        // Dividend rows have no Order ID; the ISIN and pay date, with the amount, identify the payment
+        const identifier = (row['ISIN'] || row['Ticker']).trim();
 
-        const day = String(date.getDate()).padStart(2, '0');
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const year = date.getFullYear();
-        return `${day}/${month}/${year}`;
+        return {
+            date,
+            asset,
+            currency: (row['Instrument Currency'] || accountCurrency).toUpperCase(),
+            gross,
+            withheld,
+            net,
+            ref: `dividend:${identifier}:${dateRaw}`,
+            wrapper: this.wrapper
+        };
+    }
+
+    /**
+     * Parse a DIVIDEND or CAPITAL RETURN row into a CAPRETURN/DIVIDEND event
+     * according to the security's share class
+     * @param {Object} row - CSV row
+     * @param {string} type - 'distribution' or 'capital'
+     * @returns {Object|null} Event, or null for an income distribution
+     */
+    parseDistribution(row, type) {
+        const dateRaw = row['Dividend Pay Date'] || row['Timestamp'];
+        const date = atColumn(row['Dividend Pay Date'] ? 'Dividend Pay Date' : 'Timestamp', dateRaw, ukDateFromIso);
+
+        const asset = this.resolveAsset(row);
+        if (!asset) throw new RowError(`Missing asset identifier (ISIN/Ticker) for ${type} on ${dateRaw}`, { column: 'ISIN', value: '' });
+
+        const isin = (row['ISIN'] || '').trim();
+        const ticker = (row['Ticker'] || '').trim();
+        const kind = atColumn('ISIN', isin || ticker, () => this.shareClasses.lineKindFor({ type, identifiers: { isin, ticker }, asset }));
+        if (!kind) return null;
+
+        const amountRaw = row['Dividend Eligible Quantity'];
+        const amount = parseFloat(amountRaw);
+        if (!isFinite(amount) || amount <= 0) {
+            throw new RowError(`Invalid Dividend Eligible Quantity: ${amountRaw}`, { column: 'Dividend Eligible Quantity', value: amountRaw });
+        }
+        const currency = (row['Instrument Currency'] || '').toUpperCase();
+        if (currency && currency !== (row['Account Currency'] || 'GBP').toUpperCase()) {
+            throw new RowError(`${type === 'capital' ? 'Capital return' : 'Distribution'} for ${asset} on ${dateRaw} paid in ${currency}; handle manually`, { column: 'Instrument Currency', value: row['Instrument Currency'] });
+        }
+        const valueRaw = row['Dividend Gross Distribution Amount'];
+        const value = parseFloat(valueRaw);
+        if (!isFinite(value) || value <= 0) {
+            throw new RowError(`Invalid Dividend Gross Distribution Amount: ${valueRaw}`, { column: 'Dividend Gross Distribution Amount', value: valueRaw });
+        }
+
+        // Distribution rows have no Order ID; the ISIN and pay date identify the payment
+        const ref = `${type}:${isin || ticker}:${dateRaw}`;
+        return { kind, date, asset, amount, value, ref, raw: row };
+    }
+
+    /**
+     * Build the SELL for a fractional entitlement paid out in cash.
+     * The fraction is the pre-split holding scaled by the ratio, minus the
+     * whole shares Freetrade credited.
+     * @param {Object} row - CSV row
+     * @param {string} asset - Asset identifier
+     * @param {number} rateFrom - Shares before the split
+     * @param {number} rateTo - Shares after the split
+     * @returns {Object} Transaction object
+     */
+    parseFractionalPayout(row, asset, rateFrom, rateTo) {
+        const dateRaw = row['Stock Split Pay Date'] || row['Stock Split Ex Date'] || row['Timestamp'];
+        const date = ukDateFromIso(dateRaw);
+
+        const heldRaw = row['Quantity'];
+        const held = parseFloat(heldRaw);
+        if (!isFinite(held) || held <= 0) {
+            throw new Error(`Invalid pre-split Quantity for fractional payout of ${asset}: ${heldRaw}`);
+        }
+        const newQtyRaw = row['Stock Split New Share Quantity'];
+        const newQty = parseFloat(newQtyRaw);
+        if (!isFinite(newQty) || newQty < 0) {
+            throw new Error(`Invalid Stock Split New Share Quantity for ${asset}: ${newQtyRaw}`);
+        }
+
+        const entitled = held * rateTo / rateFrom;
+        const fraction = entitled - newQty;
+        const amount = Number(fraction.toFixed(SPLIT_RATIO_DECIMALS));
+        if (!(amount > 0) || amount >= 1) {
+            throw new Error(`Fractional payout for ${asset} does not match holdings: entitled ${entitled}, credited ${newQty}`);
+        }
+
+        const currency = (row['Stock Split Fractional Payout Cash Received Currency'] || '').toUpperCase();
+        if (currency && currency !== (row['Account Currency'] || 'GBP').toUpperCase()) {
+            throw new Error(`Fractional payout for ${asset} received in ${currency}; handle manually`);
+        }
+        const receivedRaw = row['Stock Split Fractional Payout Cash Received Amount'];
+        const received = parseFloat(receivedRaw);
+        if (!isFinite(received) || received <= 0) {
+            throw new Error(`Invalid fractional payout cash received for ${asset}: ${receivedRaw}`);
+        }
+
+        return {
+            kind: 'SELL',
+            date,
+            asset,
+            amount,
+            price: Number((received / fraction).toFixed(SPLIT_RATIO_DECIMALS)),
+            expenses: 0
+        };
+    }
+
+    /**
+     * Calculate total expenses for a transaction
+     * @param {Object} row - CSV row
+     * @returns {number} Total expenses
+     */
+    calculateExpenses(row) {
+        const stampDuty = parseFloat(row['Stamp Duty']) || 0;
+        const fxFee = parseFloat(row['FX Fee Amount']) || 0;
+        return stampDuty + fxFee;
     }
 
     /**
@@ -193,10 +459,7 @@ class FreetradeParser {
      * @returns {string} Formatted transaction string
      */
     formatTransaction(transaction) {
-        if (transaction.kind === 'BUY' || transaction.kind === 'SELL') {
-            return `${transaction.kind} ${transaction.date} ${transaction.asset} ${transaction.amount} ${transaction.price} ${transaction.expenses}`;
-        }
-        return '';
+        return formatLine(transaction);
     }
 
     /**
@@ -0,0 +1,114 @@
+const { parse } = require('csv-parse');
+const { dateKey } = require('./cgtcalc-format');
+const { ukDateFromDayMonthYear } = require('./dates');
+
+/**
+ * FX rates
+ * --------
+ * cgtcalc works in pounds, so a deal struck in another currency is
+ * converted to GBP on the deal date. Rates come from a local CSV in the
+ * layout of HMRC's monthly exchange rate files:
+ *
+ *   Country/Territories,Currency,Currency Code,Currency Units per £1,Start date,End date
+ *   USA,Dollar,USD,1.2543,01/05/2025,31/05/2025
+ *
+ * Several monthly files may be concatenated into one; repeated header
+ * lines are skipped. A rate applies from its start date to its end date
+ * inclusive. A date no rate covers fails rather than borrowing the
+ * nearest month, and so does a date with two different rates.
+ */
+
+const REQUIRED_COLUMNS = ['currency code', 'currency units per £1', 'start date', 'end date'];
+
+/**
+ * Parse an FX rate file
+ * @param {string} content - CSV content
+ * @returns {Promise<Array<Object>>} Rates { currency, rate, from, to } in file order
+ */
+async function parseRateFile(content) {
+    return new Promise((resolve, reject) => {
+        parse(content.replace(/^[\uFEFF\u200B\u200E\u200F]+/, ''), {
+            columns: header => header.map(h => h.trim().toLowerCase()),
+            skip_empty_lines: true,
+            trim: true,
+            relax_column_count: true,
+            info: true
+        }, (err, records) => {
+            if (err) return reject(err);
+            try {
+                const columns = records.length > 0 ? Object.keys(records[0].record) : [];
+                const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+                if (missing.length > 0) {
+                    throw new Error(`FX rate file needs the columns Currency Code, Currency Units per £1, Start date and End date; missing ${missing.join(', ')}`);
+                }
+
+                const rates = [];
+                for (const { record: row, info } of records) {
+                    // Header of the next monthly file in a concatenated one
+                    if (row['currency code'].toLowerCase() === 'currency code') continue;
+                    const rate = Number(row['currency units per £1']);
+                    if (!(rate > 0)) throw new Error(`Invalid rate on FX rate file line ${info.lines}: ${row['currency units per £1']}`);
+                    rates.push({
+                        currency: row['currency code'].toUpperCase(),
+                        rate,
+                        from: ukDateFromDayMonthYear(row['start date']),
+                        to: ukDateFromDayMonthYear(row['end date'])
+                    });
+                }
+                resolve(rates);
+            } catch (e) {
+                reject(e);
+            }
+        });
+    });
+}
+
+class FxRates {
+    /**
+     * @param {Array<Object>} rates - Rates { currency, rate (units per £1), from, to (DD/MM/YYYY) }
+     */
+    constructor(rates = []) {
+        this.byCurrency = new Map();
+        for (const { currency, rate, from, to } of rates) {
+            if (!(Number(rate) > 0)) throw new Error(`Invalid FX rate for ${currency}: ${rate}`);
+            if (dateKey(from) > dateKey(to)) throw new Error(`FX rate for ${currency} starts after it ends: ${from} to ${to}`);
+            const code = String(currency).toUpperCase();
+            if (!this.byCurrency.has(code)) this.byCurrency.set(code, []);
+            this.byCurrency.get(code).push({ currency: code, rate: Number(rate), from, to });
+        }
+    }
+
+    /**
+     * The rate that covers a date
+     * @param {string} currency - ISO currency code, e.g. 'USD'
+     * @param {string} date - DD/MM/YYYY
+     * @returns {Object} Rate { currency, rate, from, to }
+     */
+    rateOn(currency, date) {
+        const code = String(currency).toUpperCase();
+        const rates = this.byCurrency.get(code);
+        if (!rates) throw new Error(`No ${code} rates in the FX rate file`);
+        const key = dateKey(date);
+        const covering = rates.filter(r => dateKey(r.from) <= key && key <= dateKey(r.to));
+        if (covering.length === 0) throw new Error(`No ${code} rate covers ${date} in the FX rate file`);
+        if (covering.some(r => r.rate !== covering[0].rate)) {
+            throw new Error(`Conflicting ${code} rates for ${date}: ${covering.map(r => `${r.rate} (${r.from} to ${r.to})`).join(', ')}`);
+        }
+        return covering[0];
+    }
+
+    /**
+     * Convert an amount to GBP at the rate covering a date
+     * @param {number} amount - Amount in the currency
+     * @param {string} currency - ISO currency code
+     * @param {string} date - DD/MM/YYYY
+     * @returns {{amount: number, fx: Object}} Unrounded GBP amount and the rate used
+     */
+    toGbp(amount, currency, date) {
+        const fx = this.rateOn(currency, date);
+        return { amount: amount / fx.rate, fx };
+    }
+}
+
+module.exports = FxRates;
+module.exports.parseRateFile = parseRateFile;
@@ -0,0 +1,154 @@
+const { parse } = require('csv-parse');
+const { formatLine } = require('./cgtcalc-format');
+const AssetResolver = require('./asset-resolver');
+const { TAXABLE_WRAPPER, normaliseWrapper } = require('./wrappers');
+const { deriveExpenses } = require('./dealing-costs');
+const { ukDateFromDayMonthYear } = require('./dates');
+const { penceToPounds } = require('./pence');
+const { RowError, atColumn, recordRowError } = require('./diagnostics');
+
+/**
+ * Hargreaves Lansdown export notes
+ * --------------------------------
+ * The account's transaction history CSV starts with a few lines about the
+ * account (name, client number, date range), then the table:
+ *
+ *   Trade date,Settle date,Reference,Description,Unit cost (p),Quantity,Value (£)
+ *
+ * Deals carry a reference starting `B` (bought) or `S` (sold), the fund or
+ * share name in Description, the price in pence and the cash value in
+ * pounds, negative for money paid out. Cash, interest and fee rows have no
+ * numeric Quantity and are skipped. Dealing charges and stamp duty are in
+ * the Value, so the expenses are derived from it (see dealing-costs.js).
+ */
+
+const HEADER_PREFIX = 'Trade date,Settle date,Reference,Description,';
+
+/**
+ * Hargreaves Lansdown (HL) Parser
+ * Converts HL CSV format to standardized transaction format
+ */
+class HLParser {
+    /**
+     * @param {Object} [options]
+     * @param {AssetResolver} [options.assetResolver] - Shared cross-broker asset resolver
+     * @param {string} [options.wrapper] - Account wrapper of the file (GIA, ISA or SIPP); defaults to GIA
+     * @param {boolean} [options.collectErrors] - Skip bad rows and collect them in `diagnostics` instead of failing
+     */
+    constructor(options = {}) {
+        this.assetResolver = options.assetResolver || new AssetResolver();
+        // HL exports are per account, so the wrapper is declared for the whole file
+        this.wrapper = options.wrapper ? normaliseWrapper(options.wrapper) : TAXABLE_WRAPPER;
+        // Rows whose cash value only differs from quantity x price by rounding, from the last parsed file
+        this.warnings = [];
+        this.collectErrors = Boolean(options.collectErrors);
+        // Bad rows from the last parsed file when collecting errors (see diagnostics.js)
+        this.diagnostics = [];
+    }
+
+    /**
+     * Parse CSV content string and return parsed transactions
+     * @param {string} content - CSV content as string
+     * @returns {Promise<Array>} parsed transactions
+     */
+    async parseContent(content) {
+        this.warnings = [];
+        this.diagnostics = [];
+        const sanitized = content.replace(/^[\uFEFF\u200B\u200E\u200F]+/, '');
+        // The table starts after the account preamble
+        const headerIndex = sanitized.split(/\r?\n/).findIndex(line => line.startsWith(HEADER_PREFIX));
+        if (headerIndex === -1) throw new Error(`No '${HEADER_PREFIX}...' header in the HL export`);
+
+        return new Promise((resolve, reject) => {
+            const results = [];
+            parse(sanitized, {
+                columns: true,
+                skip_empty_lines: true,
+                trim: true,
+                relax_column_count: true,
+                relax_quotes: true,
+                from_line: headerIndex + 1,
+                info: true
+            }, (err, records) => {
+                if (err) return reject(err);
+                try {
+                    for (const { record: row, info } of records) {
+                        const quantity = (row['Quantity'] || '').replace(/,/g, '');
+                        if (!quantity || isNaN(Number(quantity))) continue;
+                        try {
+                            results.push(this.parseRow(row));
+                        } catch (e) {
+                            recordRowError(this, e, { line: info.lines });
+                        }
+                    }
+                } catch (e) {
+                    return reject(e);
+                }
+                resolve(results);
+            });
+        });
+    }
+
+    /**
+     * Parse a single dealing row
+     * @param {Object} row - CSV row object
+     * @returns {Object} Parsed transaction
+     */
+    parseRow(row) {
+        const reference = row['Reference'] || '';
+        const valueRaw = row['Value (£)'] || '';
+        const value = Number(valueRaw.replace(/[£,]/g, ''));
+        if (!valueRaw || !isFinite(value) || value === 0) throw new RowError(`Invalid Value: ${valueRaw}`, { column: 'Value (£)', value: valueRaw });
+
+        // Bought deals pay cash out, sold deals bring it in; anything else (transfers, conversions) is manual
+        let kind;
+        if (/^B\d/i.test(reference) && value < 0) kind = 'BUY';
+        else if (/^S\d/i.test(reference) && value > 0) kind = 'SELL';
+        else throw new RowError('Unable to determine BUY/SELL from Reference and Value', { column: 'Reference', value: `${reference}/${valueRaw}` });
+
+        const date = atColumn('Trade date', row['Trade date'], ukDateFromDayMonthYear);
+
+        const name = row['Description'] || '';
+        if (!name) throw new RowError('Missing Description', { column: 'Description', value: '' });
+        const asset = this.assetResolver.resolve({ name }, name.replace(/\s+/g, '_'));
+
+        const amount = Math.abs(Number(row['Quantity'].replace(/,/g, '')));
+        if (amount === 0) throw new RowError('Zero Quantity is not a valid transaction', { column: 'Quantity', value: row['Quantity'] });
+
+        const price = atColumn('Unit cost (p)', row['Unit cost (p)'], penceToPounds);
+        if (price.pounds <= 0) throw new RowError(`Invalid Unit cost: ${row['Unit cost (p)']}`, { column: 'Unit cost (p)', value: row['Unit cost (p)'] });
+
+        const { expenses, warning } = atColumn('Value (£)', valueRaw, () => deriveExpenses({
+            kind,
+            quantity: amount,
+            price: price.pounds,
+            priceRaw: price.text,
+            cash: Math.abs(value),
+            label: `${kind} ${asset} on ${date}`
+        }));
+        if (warning) this.warnings.push(warning);
+
+        return { kind, date, asset, amount, price: price.pounds, expenses, ref: reference, raw: row, wrapper: this.wrapper };
+    }
+
+    /**
+     * Format transaction to the required output format
+     * @param {Object} transaction - Parsed transaction
+     * @returns {string} Formatted transaction string
+     */
+    formatTransaction(transaction) {
+        return formatLine(transaction);
+    }
+
+    /**
+     * Parse CSV and return formatted transaction strings
+     * @param {string} content - CSV content
+     * @returns {Promise<Array>} Array of formatted transaction strings
+     */
+    async parseToFormat(content) {
+        const transactions = await this.parseContent(content);
+        return transactions.map(transaction => this.formatTransaction(transaction));
+    }
+}
+
+module.exports = HLParser;
@@ -0,0 +1,391 @@
+const AssetResolver = require('./asset-resolver');
+const { TAXABLE_WRAPPER, normaliseWrapper } = require('./wrappers');
+const { ukDateFromIso, tradeInstantFromIso } = require('./dates');
+const { formatLine, splitMultiplier } = require('./cgtcalc-format');
+const { parseXml, findAll } = require('./xml');
+const { RowError, atColumn, recordRowError } = require('./diagnostics');
+
+/**
+ * Interactive Brokers export notes
+ * --------------------------------
+ * The Flex Query XML export holds one FlexStatement per account:
+ *
+ *   <FlexQueryResponse queryName="cgt" type="AF">
+ *    <FlexStatements count="1">
+ *     <FlexStatement accountId="U1234567" fromDate="20240101" toDate="20241231">
+ *      <AccountInformation accountId="U1234567" currency="GBP" />
+ *      <Trades>
+ *       <Trade assetCategory="STK" symbol="AAPL" isin="US0378331005" currency="USD"
+ *              fxRateToBase="0.7874" tradeID="611234567" tradeDate="20240115"
+ *              buySell="BUY" quantity="10" tradePrice="185.5"
+ *              ibCommission="-1" ibCommissionCurrency="USD" taxes="0" />
+ *      </Trades>
+ *      <CorporateActions>
+ *       <CorporateAction type="FS" actionID="1234" dateTime="20240610;202500"
+ *              isin="US67066G1040" quantity="90"
+ *              description="NVDA(US67066G1040) SPLIT 10 FOR 1 (NVDA, NVIDIA CORP, US67066G1040)" />
+ *      </CorporateActions>
+ *
+ * All values are attributes. Only GBP base accounts are supported, so
+ * `fxRateToBase` converts the trade currency to pounds; prices keep 8
+ * decimal places and the commission plus `taxes` (stamp duty, FTT) become
+ * the expenses, rounded to pennies. Non-GBP trades record the rate used.
+ * Dates may be written `20240115` or `2024-01-15` (the Flex date format
+ * setting); the trade date is taken as IBKR reports it. The execution
+ * `dateTime`, when the query includes it, orders same-day trades; Flex
+ * times carry no zone, so like other zoneless times it is read as UK
+ * local time (see dates.js).
+ *
+ * Stocks and ETFs (`assetCategory` STK) become BUY/SELL lines. Options,
+ * futures, FX conversions (CASH) and other categories are skipped and
+ * reported as warnings. Order and summary rows (a `levelOfDetail` other
+ * than EXECUTION) repeat the executions and are ignored.
+ *
+ * Forward and reverse splits (types FS and RS) become SPLIT/UNSPLIT lines
+ * using the `SPLIT <to> FOR <from>` ratio in the description; when the
+ * split moves the holding to a new ISIN, or on a plain ISIN change (IC),
+ * the change is also collected in `identifierChanges` (see
+ * identifier-changes.js). Other corporate actions (spin-offs, tenders,
+ * mergers, ...) are reported as warnings to be entered manually.
+ */
+
+const STOCK_CATEGORIES = ['STK'];
+
+// What a skipped asset category is, for the warnings
+const SKIPPED_CATEGORIES = {
+    CASH: 'FX conversion',
+    OPT: 'option trade',
+    FOP: 'futures option trade',
+    FUT: 'futures trade',
+    WAR: 'warrant trade',
+    CFD: 'CFD trade',
+    BOND: 'bond trade'
+};
+
+const SPLIT_TYPES = ['FS', 'RS'];
+const ISIN_CHANGE_TYPE = 'IC';
+
+// GBP prices are kept to this many decimal places
+const PRICE_DECIMALS = 8;
+
+/**
+ * Rewrite a Flex date or date-time (`20240115`, `2024-01-15`, optionally
+ * followed by `;093001` or `, 09:30:01`) as an ISO date or wall-clock time
+ * @param {string} value - Flex date or date-time
+ * @returns {string} e.g. 2024-01-15 or 2024-01-15T09:30:01
+ */
+function isoFromFlex(value) {
+    const match = String(value || '').trim().match(/^(\d{4})-?(\d{2})-?(\d{2})(?:[;,]\s*|\s+)?(?:(\d{2}):?(\d{2}):?(\d{2}))?$/);
+    if (!match) throw new Error(`Invalid Flex date: '${value}'`);
+    const [, year, month, day, hour, minute, second] = match;
+    const date = `${year}-${month}-${day}`;
+    return hour === undefined ? date : `${date}T${hour}:${minute}:${second}`;
+}
+
+/**
+ * Read a Flex date, ignoring any time of day
+ * @param {string} value - Flex date or date-time
+ * @returns {string} DD/MM/YYYY
+ */
+function ukDateFromFlex(value) {
+    return ukDateFromIso(isoFromFlex(value).slice(0, 10));
+}
+
+/**
+ * Trade instant of a Flex date-time
+ * @param {string} value - Flex date-time, e.g. 20240115;093001
+ * @returns {number|null} Epoch milliseconds, or null for a date without a time
+ */
+function tradeInstantFromFlex(value) {
+    return tradeInstantFromIso(isoFromFlex(value));
+}
+
+/**
+ * Interactive Brokers (IBKR) Parser
+ * Converts IBKR Flex Query XML to standardized transaction format
+ */
+class IBKRParser {
+    /**
+     * @param {Object} [options]
+     * @param {AssetResolver} [options.assetResolver] - Shared cross-broker asset resolver
+     * @param {string} [options.wrapper] - Account wrapper of the file (GIA, ISA or SIPP); defaults to GIA
+     * @param {boolean} [options.collectErrors] - Skip bad rows and collect them in `diagnostics` instead of failing
+     */
+    constructor(options = {}) {
+        this.assetResolver = options.assetResolver || new AssetResolver();
+        // Flex statements are per account, so the wrapper is declared for the whole file
+        this.wrapper = options.wrapper ? normaliseWrapper(options.wrapper) : TAXABLE_WRAPPER;
+        // Skipped trades and corporate actions from the last parsed file
+        this.warnings = [];
+        // ISIN changes from corporate actions in the last parsed file
+        this.identifierChanges = [];
+        this.collectErrors = Boolean(options.collectErrors);
+        // Bad rows from the last parsed file when collecting errors (see diagnostics.js)
+        this.diagnostics = [];
+    }
+
+    /**
+     * Parse Flex Query XML and return parsed transactions
+     * @param {string} content - XML content as string
+     * @returns {Promise<Array>} parsed transactions
+     */
+    async parseContent(content) {
+        this.warnings = [];
+        this.identifierChanges = [];
+        this.diagnostics = [];
+
+        const root = parseXml(content);
+        if (root.name !== 'FlexQueryResponse') {
+            throw new Error(`Not an IBKR Flex Query export: the root element is <${root.name}>, expected <FlexQueryResponse>`);
+        }
+        const statements = findAll(root, 'FlexStatement');
+        if (statements.length === 0) throw new Error('The Flex Query export has no FlexStatement');
+
+        const results = [];
+        for (const statement of statements) {
+            this.checkBaseCurrency(statement);
+
+            for (const element of findAll(statement, 'Trade')) {
+                try {
+                    const parsed = this.parseTrade(element.attributes);
+                    if (parsed) results.push({ ...parsed, wrapper: this.wrapper });
+                } catch (e) {
+                    recordRowError(this, e, { line: element.line });
+                }
+            }
+
+            for (const action of this.groupCorporateActions(findAll(statement, 'CorporateAction'))) {
+                try {
+                    results.push(...this.parseCorporateAction(action.map(element => element.attributes))
+                        .map(event => ({ ...event, wrapper: this.wrapper })));
+                } catch (e) {
+                    recordRowError(this, e, { line: action[0].line });
+                }
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Check the statement's account reports in pounds, so fxRateToBase converts to GBP
+     * @param {Object} statement - FlexStatement element
+     */
+    checkBaseCurrency(statement) {
+        const account = findAll(statement, 'AccountInformation')[0];
+        const currency = account && account.attributes.currency;
+        if (currency && currency.toUpperCase() !== 'GBP') {
+            const id = statement.attributes.accountId || account.attributes.accountId || 'unknown';
+            throw new Error(`Account ${id} has base currency ${currency}; only GBP base accounts are supported`);
+        }
+    }
+
+    /**
+     * Parse a Trade element
+     * @param {Object} row - Trade attributes
+     * @returns {Object|null} Transaction, or null when the row is skipped
+     */
+    parseTrade(row) {
+        // Orders, symbol and asset summaries repeat the executions
+        if (row.levelOfDetail && row.levelOfDetail.toUpperCase() !== 'EXECUTION') return null;
+
+        const date = atColumn('tradeDate', row.tradeDate, ukDateFromFlex);
+        const category = (row.assetCategory || '').toUpperCase();
+        if (!STOCK_CATEGORIES.includes(category)) {
+            const what = SKIPPED_CATEGORIES[category] || `${category || 'uncategorised'} trade`;
+            this.warnings.push(`Skipped ${what} ${row.symbol || ''} on ${date} (trade ${row.tradeID || 'without ID'}); only stocks and ETFs are imported`);
+            return null;
+        }
+
+        const side = (row.buySell || '').toUpperCase();
+        if (side !== 'BUY' && side !== 'SELL') {
+            // Cancellations are written 'BUY (Ca.)' / 'SELL (Ca.)' and reverse an earlier execution
+            throw new RowError(`Unsupported buySell '${row.buySell}'; handle cancelled or corrected trades manually`, { column: 'buySell', value: row.buySell });
+        }
+
+        const asset = this.resolveAsset(row);
+        if (!asset) throw new RowError(`Missing asset identifier (isin/symbol) for trade on ${date}`, { column: 'isin', value: '' });
+
+        const amount = Math.abs(Number(row.quantity));
+        if (!isFinite(amount) || amount === 0) throw new RowError(`Invalid quantity: ${row.quantity}`, { column: 'quantity', value: row.quantity });
+
+        const tradePrice = Number(row.tradePrice);
+        if (!row.tradePrice || !isFinite(tradePrice) || tradePrice <= 0) {
+            throw new RowError(`Invalid tradePrice: ${row.tradePrice}`, { column: 'tradePrice', value: row.tradePrice });
+        }
+
+        const currency = (row.currency || 'GBP').toUpperCase();
+        const rate = this.rateToBase(row, currency);
+        const price = Number((tradePrice * rate).toFixed(PRICE_DECIMALS));
+
+        const commission = this.toGbp(row.ibCommission, row.ibCommissionCurrency || currency, currency, rate, 'ibCommission');
+        const taxes = this.toGbp(row.taxes, currency, currency, rate, 'taxes');
+        const expenses = Math.round((commission + taxes) * 100) / 100;
+
+        const transaction = {
+            kind: side,
+            date,
+            asset,
+            amount,
+            price,
+            expenses,
+            ref: row.tradeID || row.transactionID || null,
+            raw: row
+        };
+        if (row.dateTime) {
+            // Execution time, used to order same-day trades
+            transaction.time = atColumn('dateTime', row.dateTime, tradeInstantFromFlex);
+        }
+        if (currency !== 'GBP') {
+            // Recorded as units per £1, like the rate file (see fx-rates.js)
+            transaction.fx = { currency, rate: Number((1 / rate).toFixed(6)), from: date, to: date };
+        }
+        return transaction;
+    }
+
+    /**
+     * Rate converting the trade currency to pounds
+     * @param {Object} row - Trade attributes
+     * @param {string} currency - Trade currency
+     * @returns {number} GBP per unit of the currency
+     */
+    rateToBase(row, currency) {
+        if (currency === 'GBP') return 1;
+        const rate = Number(row.fxRateToBase);
+        if (!row.fxRateToBase || !isFinite(rate) || rate <= 0) {
+            throw new RowError(`Invalid fxRateToBase for a ${currency} trade: ${row.fxRateToBase}`, { column: 'fxRateToBase', value: row.fxRateToBase });
+        }
+        return rate;
+    }
+
+    /**
+     * Convert a fee to pounds
+     * @param {string} raw - Fee as written (commissions are negative)
+     * @param {string} feeCurrency - Currency of the fee
+     * @param {string} tradeCurrency - Currency of the trade, which fxRateToBase converts
+     * @param {number} rate - GBP per unit of the trade currency
+     * @param {string} column - Attribute name for errors
+     * @returns {number} Unrounded fee in pounds
+     */
+    toGbp(raw, feeCurrency, tradeCurrency, rate, column) {
+        if (!raw) return 0;
+        const fee = Math.abs(Number(raw));
+        if (!isFinite(fee)) throw new RowError(`Invalid ${column}: ${raw}`, { column, value: raw });
+        if (fee === 0) return 0;
+        const currency = feeCurrency.toUpperCase();
+        if (currency === 'GBP') return fee;
+        if (currency === tradeCurrency) return fee * rate;
+        throw new RowError(`${column} charged in ${currency} on a ${tradeCurrency} trade; no rate to convert it`, { column: `${column}Currency`, value: currency });
+    }
+
+    /**
+     * Resolve the row's ISIN/symbol to a canonical asset ID
+     * @param {Object} row - Trade or CorporateAction attributes
+     * @returns {string} Asset ID, or '' when the row has no identifier
+     */
+    resolveAsset(row) {
+        const isin = (row.isin || '').trim();
+        const ticker = (row.symbol || '').trim();
+        if (!isin && !ticker) return '';
+        return this.assetResolver.resolve({ isin, ticker }, isin || ticker);
+    }
+
+    /**
+     * Group CorporateAction rows by action; one action (e.g. a reverse split
+     * to a new ISIN) may remove the old holding in one row and add the new
+     * one in another
+     * @param {Array<Object>} elements - CorporateAction elements
+     * @returns {Array<Array<Object>>} Elements per action, in file order
+     */
+    groupCorporateActions(elements) {
+        const groups = new Map();
+        elements.forEach((element, index) => {
+            // Summary rows repeat the details
+            const level = element.attributes.levelOfDetail;
+            if (level && level.toUpperCase() !== 'DETAIL') return;
+            const key = element.attributes.actionID || `row:${index}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(element);
+        });
+        return [...groups.values()];
+    }
+
+    /**
+     * Parse the rows of one corporate action into SPLIT/UNSPLIT events and identifier changes
+     * @param {Array<Object>} rows - CorporateAction attributes of the action
+     * @returns {Array<Object>} Split events (none for ISIN changes and skipped actions)
+     */
+    parseCorporateAction(rows) {
+        const first = rows[0];
+        const type = (first.type || '').toUpperCase();
+        const date = atColumn('dateTime', first.dateTime || first.reportDate, ukDateFromFlex);
+        const description = first.description || first.actionDescription || '';
+
+        if (!SPLIT_TYPES.includes(type) && type !== ISIN_CHANGE_TYPE) {
+            this.warnings.push(`Skipped corporate action ${type || 'without type'} on ${date}: ${description}; enter it manually`);
+            return [];
+        }
+        if (rows.some(row => (row.assetCategory || 'STK').toUpperCase() !== 'STK')) {
+            this.warnings.push(`Skipped corporate action ${type} on ${date} for a non-stock holding: ${description}`);
+            return [];
+        }
+
+        // With two ISINs the removed (negative) row is the old holding and the added one the new
+        const isins = [...new Set(rows.map(row => (row.isin || '').trim()))];
+        if (isins.length > 2) throw new RowError(`Corporate action on ${date} involves ${isins.length} ISINs; handle manually`, { column: 'isin', value: isins.join('/') });
+        const removed = rows.find(row => Number(row.quantity) < 0) || first;
+        const added = rows.find(row => Number(row.quantity) > 0) || first;
+        const asset = this.resolveAsset(isins.length === 2 ? removed : first);
+        if (!asset) throw new RowError(`Missing asset identifier (isin/symbol) for corporate action on ${date}`, { column: 'isin', value: '' });
+        if (isins.length === 2) {
+            if (removed === added) throw new RowError(`Corporate action on ${date} changes ISIN without removing the old holding; handle manually`, { column: 'quantity', value: rows.map(row => row.quantity).join('/') });
+            const newAsset = this.resolveAsset(added);
+            // Both ISINs may already map to the same canonical asset, in which case nothing needs relinking
+            if (newAsset !== asset) this.identifierChanges.push({ date, from: asset, to: newAsset, source: 'ibkr' });
+        } else if (type === ISIN_CHANGE_TYPE) {
+            throw new RowError(`ISIN change on ${date} doesn't name the new ISIN; handle manually`, { column: 'isin', value: isins[0] });
+        }
+        if (type === ISIN_CHANGE_TYPE) return [];
+
+        const ratio = description.match(/\bSPLIT\s+(\d+(?:\.\d+)?)\s+FOR\s+(\d+(?:\.\d+)?)/i);
+        if (!ratio) throw new RowError(`No 'SPLIT <to> FOR <from>' ratio in the split description`, { column: 'description', value: description });
+        const to = Number(ratio[1]);
+        const from = Number(ratio[2]);
+        if (!(to > 0) || !(from > 0) || to === from) {
+            throw new RowError(`Invalid split ratio ${ratio[1]} for ${ratio[2]}`, { column: 'description', value: description });
+        }
+        const multiplier = splitMultiplier(from, to);
+        if (multiplier === null) {
+            throw new RowError(`Ambiguous split ratio ${ratio[1]} for ${ratio[2]}`, { column: 'description', value: description });
+        }
+
+        return [{
+            kind: to > from ? 'SPLIT' : 'UNSPLIT',
+            date,
+            asset,
+            multiplier,
+            ref: `ca:${first.actionID || `${asset}:${date}`}`,
+            raw: first
+        }];
+    }
+
+    /**
+     * Format transaction to the required output format
+     * @param {Object} transaction - Parsed transaction
+     * @returns {string} Formatted transaction string
+     */
+    formatTransaction(transaction) {
+        return formatLine(transaction);
+    }
+
+    /**
+     * Parse Flex Query XML and return formatted transaction strings
+     * @param {string} content - XML content as a string
+     * @returns {Promise<Array<string>>} Array of formatted transaction strings
+     */
+    async parseToFormat(content) {
+        const transactions = await this.parseContent(content);
+        return transactions.map(transaction => this.formatTransaction(transaction));
+    }
+}
+
+module.exports = IBKRParser;
@@ -0,0 +1,90 @@
+/**
+ * Corporate-action identifier changes
+ * -----------------------------------
+ * A split or reorganisation can move a holding to a new ISIN. Broker
+ * exports then use the old identifier before the change and the new one
+ * after it, and cgtcalc would see two unrelated assets. This module records
+ * "old -> new as of date" changes and rewrites the merged ledger so every
+ * line for the holding uses the newest identifier and the Section 104 pool
+ * carries across the change.
+ *
+ * Changes come from two sources:
+ *  - broker rows that carry a new identifier (e.g. Freetrade
+ *    `Stock Split New ISIN`), collected by the parser while parsing;
+ *  - a user-maintained JSON mapping file:
+ *      [{ "date": "DD/MM/YYYY", "from": "OLD_ISIN", "to": "NEW_ISIN" }]
+ */
+
+const { parseLine, formatLine } = require('./cgtcalc-format');
+
+/**
+ * Turn a DD/MM/YYYY date into a sortable number (YYYYMMDD)
+ * @param {string} date - Date in DD/MM/YYYY format
+ * @returns {number} Sortable date key
+ */
+function dateKey(date) {
+    const [day, month, year] = String(date || '').split('/').map(s => parseInt(s, 10));
+    if (!year || !month || !day) throw new Error(`Invalid date: '${date}'`);
+    return year * 10000 + month * 100 + day;
+}
+
+/**
+ * Validate and normalise a single identifier change
+ * @param {Object} change - { date, from, to, source? }
+ * @returns {Object} Normalised change
+ */
+function normaliseChange(change) {
+    const from = String(change.from || '').trim();
+    const to = String(change.to || '').trim();
+    if (!from || !to) throw new Error(`Identifier change is missing 'from' or 'to': ${JSON.stringify(change)}`);
+    if (from === to) throw new Error(`Identifier change maps ${from} to itself`);
+    dateKey(change.date);
+    return { date: change.date, from, to, source: change.source || 'manual' };
+}
+
+/**
+ * Parse a manual identifier mapping file
+ * @param {string} content - JSON file content
+ * @returns {Array<Object>} Identifier changes
+ */
+function parseIdentifierChanges(content) {
+    const parsed = JSON.parse(content);
+    if (!Array.isArray(parsed)) throw new Error('Identifier change file must contain a JSON array');
+    return parsed.map(normaliseChange);
+}
+
+/**
+ * Rewrite the asset of every ledger line affected by an identifier change.
+ * Lines dated on or before the change date that use the old identifier are
+ * moved to the new one. Changes are applied in date order so chains
+ * (A -> B -> C) resolve to the latest identifier. An old identifier still
+ * in use after its change date is a conflict and fails fast.
+ * @param {Array<string>} lines - cgtcalc lines ("KIND DD/MM/YYYY ASSET ..."); comments are left as they are
+ * @param {Array<Object>} changes - Identifier changes
+ * @returns {{lines: Array<string>, rewritten: number}} Rewritten lines and count
+ */
+function applyIdentifierChanges(lines, changes) {
+    const ordered = changes.map(normaliseChange).sort((a, b) => dateKey(a.date) - dateKey(b.date));
+    let rewritten = 0;
+    let current = lines.slice();
+
+    for (const change of ordered) {
+        const changeKey = dateKey(change.date);
+        current = current.map(line => {
+            const entry = parseLine(line);
+            if (entry.kind === 'COMMENT' || entry.asset !== change.from) return line;
+            if (dateKey(entry.date) > changeKey) {
+                throw new Error(`Line uses ${change.from} after it changed to ${change.to} on ${change.date}: '${line}'`);
+            }
+            rewritten++;
+            return formatLine({ ...entry, asset: change.to });
+        });
+    }
+
+    return { lines: current, rewritten };
+}
+
+module.exports = {
+    parseIdentifierChanges,
+    applyIdentifierChanges
+};
@@ -1,11 +1,35 @@
 const { parse } = require('csv-parse');
+const { formatLine } = require('./cgtcalc-format');
+const AssetResolver = require('./asset-resolver');
+const { TAXABLE_WRAPPER, normaliseWrapper } = require('./wrappers');
+const { deriveExpenses } = require('./dealing-costs');
+const { ukDateFromDayMonthYear } = require('./dates');
+const { RowError, atColumn, recordRowError } = require('./diagnostics');
+
+// Dividend and capital rows, told apart by their Description. Dividends feed the dividend income
+// report when collected; both only become cgtcalc lines with a share-class file
+const DISTRIBUTION_DESCRIPTION = /^(div|dividend|distribution)\b/i;
+const CAPITAL_DESCRIPTION = /^(capital|equalisation|equalization)\b/i;
 
 /**
  * Interactive Investor (ii) Parser
  * Converts ii CSV format to standardized transaction format
  */
 class IIParser {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {AssetResolver} [options.assetResolver] - Shared cross-broker asset resolver
+     * @param {string} [options.wrapper] - Account wrapper of the file (GIA, ISA or SIPP); defaults to GIA
+     * @param {boolean} [options.collectErrors] - Skip bad rows and collect them in `diagnostics` instead of failing
+     * @param {ShareClasses} [options.shareClasses] - Share classes for turning dividend and capital rows into cgtcalc lines
+     * @param {boolean} [options.collectDividends] - Collect dividend income in `dividends` for the dividend income report
+     */
+    constructor(options = {}) {
+        this.assetResolver = options.assetResolver || new AssetResolver();
+        // ii exports are per account, so the wrapper is declared for the whole file
+        this.wrapper = options.wrapper ? normaliseWrapper(options.wrapper) : TAXABLE_WRAPPER;
+        // Without share classes, dividend and capital rows are skipped like other cash rows
+        this.shareClasses = options.shareClasses || null;
         this.fieldMap = {
             date: 0,
             settlementDate: 1,
@@ -19,6 +43,14 @@ class IIParser {
             credit: 9,
             runningBalance: 10
         };
+        // Rows whose cash amount only differs from quantity x price by rounding, from the last parsed file
+        this.warnings = [];
+        // Dividends paid in the last parsed file, for the dividend income report; only collected when asked
+        this.collectDividends = Boolean(options.collectDividends);
+        this.dividends = [];
+        this.collectErrors = Boolean(options.collectErrors);
+        // Bad rows from the last parsed file when collecting errors (see diagnostics.js)
+        this.diagnostics = [];
     }
 
 
@@ -28,6 +60,9 @@ class IIParser {
      * @returns {Promise<Array>} parsed transactions
      */
     async parseContent(content) {
+        this.warnings = [];
+        this.dividends = [];
+        this.diagnostics = [];
         return new Promise((resolve, reject) => {
             const results = [];
             // strip BOM-like characters at start of file (first line) — single regex
@@ -39,13 +74,26 @@ class IIParser {
                 trim: true,
                 relax_column_count: true,
                 relax_quotes: true,
-                bom: true
+                bom: true,
+                info: true
             }, (err, records) => {
                 if (err) return reject(err);
-                for (const row of records) {
-                    if (isNaN(Number(row['Quantity']))) continue;
-                    const parsed = this.parseRow(row);
-                    if (parsed) results.push(parsed);
+                try {
+                    for (const { record: row, info } of records) {
+                        try {
+                            if (this.collectDividends && DISTRIBUTION_DESCRIPTION.test((row['Description'] || '').trim())) {
+                                this.dividends.push(this.parseDividendIncome(row));
+                            }
+                            const distributionType = this.distributionType(row);
+                            if (!distributionType && isNaN(Number(row['Quantity']))) continue;
+                            const parsed = distributionType ? this.parseDistribution(row, distributionType) : this.parseRow(row);
+                            if (parsed) results.push(parsed);
+                        } catch (e) {
+                            recordRowError(this, e, { line: info.lines });
+                        }
+                    }
+                } catch (e) {
+                    return reject(e);
                 }
                 resolve(results);
             });
@@ -59,53 +107,125 @@ class IIParser {
      */
     parseRow(row) {
         const dateField = row['Settlement Date'];
-        if (!dateField) throw new Error('Missing settlement date value');
+        if (!dateField) throw new RowError('Missing settlement date value', { column: 'Settlement Date', value: '' });
 
         // Parse values directly, assume fields are present. If not, let operations throw.
         // Determine BUY/SELL strictly from Debit/Credit presence.
-        const hasDebit = !isNaN(row['Debit'].replace(/[£,]/g, ''));
-        const hasCredit = !isNaN(row['Credit'].replace(/[£,]/g, ''));
+        const hasDebit = !isNaN((row['Debit'] ?? 'n/a').replace(/[£,]/g, ''));
+        const hasCredit = !isNaN((row['Credit'] ?? 'n/a').replace(/[£,]/g, ''));
         let kind;
         if (hasDebit && !hasCredit) kind = 'BUY';
         else if (hasCredit && !hasDebit) kind = 'SELL';
-        else throw new Error('Unable to determine BUY/SELL from Debit/Credit');
+        else throw new RowError('Unable to determine BUY/SELL from Debit/Credit', { column: 'Debit/Credit', value: `${row['Debit']}/${row['Credit']}` });
 
-        const date = this.formatDate(dateField);
-        const asset = row['Sedol'] || row['Symbol'];
-        if (!asset) throw new Error('Missing asset identifier');
+        const date = atColumn('Settlement Date', dateField, ukDateFromDayMonthYear);
+        const asset = this.resolveAsset(row);
 
         const amount = Math.abs(Number(row['Quantity']));
-        if (!isFinite(amount)) throw new Error(`Invalid Quantity: ${row['Quantity']}`);
+        if (!isFinite(amount)) throw new RowError(`Invalid Quantity: ${row['Quantity']}`, { column: 'Quantity', value: row['Quantity'] });
 
         const rawPrice = row['Price'];
-        if (!rawPrice) throw new Error('Missing Price');
+        if (!rawPrice) throw new RowError('Missing Price', { column: 'Price', value: '' });
         // Assuming pounds
         const priceClean = rawPrice.replace(/[£,]/g, '');
         const price = Number(priceClean);
-        if (!isFinite(price)) throw new Error(`Invalid Price: ${rawPrice}`);
+        if (!isFinite(price)) throw new RowError(`Invalid Price: ${rawPrice}`, { column: 'Price', value: rawPrice });
+
+        // ii CSV has no commission column; dealing charges and stamp duty are in the Debit/Credit total
+        const cashColumn = kind === 'BUY' ? 'Debit' : 'Credit';
+        const cash = Number(row[cashColumn].replace(/[£,]/g, ''));
+        const { expenses, warning } = atColumn(cashColumn, row[cashColumn], () => deriveExpenses({
+            kind,
+            quantity: amount,
+            price,
+            priceRaw: rawPrice,
+            cash,
+            label: `${kind} ${asset} on ${date}`
+        }));
+        if (warning) this.warnings.push(warning);
 
-        // ii CSV does not provide explicit expenses/commission for trades
-        const expenses = 0;
+        const reference = row['Reference'];
+        const ref = reference && reference.toLowerCase() !== 'n/a' ? reference : null;
 
-        return { kind, date, asset, amount, price, expenses };
+        return { kind, date, asset, amount, price, expenses, ref, raw: row, wrapper: this.wrapper };
     }
 
     /**
-     * Format date string to DD/MM/YYYY format
-     * @param {string} dateString - Date string from CSV
-     * @returns {string} Formatted date
+     * Resolve the row's Sedol/Symbol to a canonical asset ID
+     * @param {Object} row - CSV row
+     * @returns {string} Asset ID
      */
-    formatDate(dateString) {
-        if (!dateString) throw new Error('Missing date');
-        // Handle DD/MM/YYYY format explicitly
-        const parts = dateString.split('/');
-        if (parts.length === 3) {
-            const day = parts[0].padStart(2, '0');
-            const month = parts[1].padStart(2, '0');
-            const year = parts[2];
-            return `${day}/${month}/${year}`;
-        }
-        throw new Error(`Invalid date format: ${dateString}`);
+    resolveAsset(row) {
+        const fallback = row['Sedol'] || row['Symbol'];
+        if (!fallback) throw new RowError('Missing asset identifier', { column: 'Sedol' });
+        return this.assetResolver.resolve({ sedol: row['Sedol'], ticker: row['Symbol'] }, fallback);
+    }
+
+    /**
+     * Whether a row is a dividend or capital row to classify
+     * @param {Object} row - CSV row
+     * @returns {string|null} 'distribution' or 'capital', or null for other rows or without share classes
+     */
+    distributionType(row) {
+        if (!this.shareClasses) return null;
+        const description = (row['Description'] || '').trim();
+        if (DISTRIBUTION_DESCRIPTION.test(description)) return 'distribution';
+        if (CAPITAL_DESCRIPTION.test(description)) return 'capital';
+        return null;
+    }
+
+    /**
+     * Read the income of a dividend row. ii credits dividends net of any
+     * foreign tax and doesn't show the tax, so the gross is what was credited.
+     * @param {Object} row - CSV row
+     * @returns {Object} Dividend { date, asset, currency, gross, withheld, net, ref, wrapper }
+     */
+    parseDividendIncome(row) {
+        const dateField = row['Settlement Date'];
+        if (!dateField) throw new RowError('Missing settlement date value', { column: 'Settlement Date', value: '' });
+        const date = atColumn('Settlement Date', dateField, ukDateFromDayMonthYear);
+        const asset = this.resolveAsset(row);
+
+        const net = Number((row['Credit'] ?? '').replace(/[£,]/g, ''));
+        if (!row['Credit'] || !(net >= 0)) throw new RowError(`Invalid Credit: ${row['Credit']}`, { column: 'Credit', value: row['Credit'] });
+
+        // Dividends usually have no Reference; the security and settlement date, with the amount, then identify the payment
+        const reference = row['Reference'];
+        const ref = reference && reference.toLowerCase() !== 'n/a' ? reference : `dividend:${row['Sedol'] || row['Symbol']}:${dateField}`;
+
+        return { date, asset, currency: 'GBP', gross: net, withheld: 0, net, ref, wrapper: this.wrapper };
+    }
+
+    /**
+     * Parse a dividend or capital row into a CAPRETURN/DIVIDEND event
+     * according to the security's share class
+     * @param {Object} row - CSV row
+     * @param {string} type - 'distribution' or 'capital'
+     * @returns {Object|null} Event, or null for an income distribution
+     */
+    parseDistribution(row, type) {
+        const dateField = row['Settlement Date'];
+        if (!dateField) throw new RowError('Missing settlement date value', { column: 'Settlement Date', value: '' });
+        const date = atColumn('Settlement Date', dateField, ukDateFromDayMonthYear);
+
+        const asset = this.resolveAsset(row);
+        const kind = atColumn('Sedol', row['Sedol'], () => this.shareClasses.lineKindFor({
+            type,
+            identifiers: { sedol: row['Sedol'], ticker: row['Symbol'] },
+            asset
+        }));
+        if (!kind) return null;
+
+        // ii only sometimes states the holding a payment was made on; without it the line can't be written
+        const amount = Number(row['Quantity']);
+        if (!(amount > 0)) throw new RowError(`${kind} for ${asset} on ${date} needs the units held in Quantity; handle manually`, { column: 'Quantity', value: row['Quantity'] });
+        const value = Number((row['Credit'] ?? '').replace(/[£,]/g, ''));
+        if (!row['Credit'] || !(value > 0)) throw new RowError(`Invalid Credit: ${row['Credit']}`, { column: 'Credit', value: row['Credit'] });
+
+        const reference = row['Reference'];
+        const ref = reference && reference.toLowerCase() !== 'n/a' ? reference : null;
+
+        return { kind, date, asset, amount, value, ref, raw: row, wrapper: this.wrapper };
     }
 
     /**
@@ -114,7 +234,7 @@ class IIParser {
      * @returns {string} Formatted transaction string
      */
     formatTransaction(transaction) {
-        return `${transaction.kind} ${transaction.date} ${transaction.asset} ${transaction.amount} ${transaction.price} ${transaction.expenses}`;
+        return formatLine(transaction);
     }
 
     /**
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Import ledger
+ * -------------
+ * Re-importing an overlapping export (e.g. a fresh "all-time" CSV) must not
+ * duplicate trades, but deduplicating on the output line would collapse two
+ * genuine identical trades on the same day. The ledger is a JSON sidecar next
+ * to the output that records every imported row under its broker-native
+ * reference:
+ *
+ *  - Freetrade: `Order ID` (stock splits: ISIN and ex date)
+ *  - ii: `Reference`
+ *  - Fidelity: `Reference Number`
+ *  - BullionVault: deal number from the subject, or the Message-ID header
+ *
+ * Each entry stores a fingerprint of the source row and the line it became,
+ * plus the FX rate used when the row was converted from another currency.
+ * A reference seen again with the same fingerprint, or with a different
+ * fingerprint but the same line (a BullionVault deal read from its email
+ * and later from the history CSV), is skipped; one whose line changed is a
+ * conflict. Rows without a reference are keyed on their fingerprint plus
+ * an occurrence counter, so identical rows within one export stay distinct.
+ */
+
+const LEDGER_VERSION = 1;
+
+/**
+ * Fingerprint of a source row (CSV row object or raw email)
+ * @param {Object|string} raw - Source row
+ * @returns {string} SHA-1 hex digest
+ */
+function fingerprint(raw) {
+    const text = typeof raw === 'string' ? raw : JSON.stringify(raw);
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Path of the ledger sidecar for an output file (data.txt -> data.ledger.json)
+ * @param {string} outputPath - Output file path
+ * @returns {string} Ledger path
+ */
+function ledgerPathFor(outputPath) {
+    const parsed = path.parse(outputPath);
+    return path.join(parsed.dir, `${parsed.name}.ledger.json`);
+}
+
+/**
+ * Ledger keys of parsed transactions: '<broker>:<ref>', or for rows without
+ * a reference '<broker>:row:<fingerprint>#<occurrence>'
+ * @param {string} broker - Broker name (ledger key prefix)
+ * @param {Array<Object>} transactions - Parsed transactions with `ref` and `raw`
+ * @returns {Array<string>} One key per transaction, in order
+ */
+function ledgerKeys(broker, transactions) {
+    const occurrences = new Map();
+    return transactions.map(transaction => {
+        if (transaction.ref) return `${broker}:${transaction.ref}`;
+        const base = `${broker}:row:${fingerprint(transaction.raw)}`;
+        const n = (occurrences.get(base) || 0) + 1;
+        occurrences.set(base, n);
+        return `${base}#${n}`;
+    });
+}
+
+class ImportLedger {
+    /**
+     * @param {Object} entries - Ledger entries keyed by '<broker>:<ref>'
+     */
+    constructor(entries = {}) {
+        this.entries = entries;
+    }
+
+    /**
+     * Load a ledger from disk; a missing file is an empty ledger
+     * @param {string} filePath - Ledger path
+     * @returns {ImportLedger} Ledger
+     */
+    static load(filePath) {
+        if (!fs.existsSync(filePath)) return new ImportLedger();
+        const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (parsed.version !== LEDGER_VERSION || typeof parsed.entries !== 'object') {
+            throw new Error(`Unsupported import ledger format in ${filePath}`);
+        }
+        return new ImportLedger(parsed.entries);
+    }
+
+    /**
+     * Serialise the ledger for writing to disk
+     * @returns {string} Ledger file content
+     */
+    serialize() {
+        return JSON.stringify({ version: LEDGER_VERSION, entries: this.entries }, null, 2) + '\n';
+    }
+
+    /**
+     * Write the ledger to disk
+     * @param {string} filePath - Ledger path
+     */
+    save(filePath) {
+        fs.writeFileSync(filePath, this.serialize(), 'utf8');
+    }
+
+    /**
+     * Sort parsed transactions into new, already seen and conflicting, and
+     * record the new ones. Conflicts are not recorded.
+     * @param {string} broker - Broker name (ledger key prefix)
+     * @param {Array<Object>} transactions - Parsed transactions with `ref` and `raw`
+     * @param {Function} format - Formats a transaction into a cgtcalc line
+     * @returns {{fresh: Array<string>, freshTransactions: Array<Object>, seen: number, conflicts: Array<Object>}} Import outcome
+     */
+    record(broker, transactions, format) {
+        const fresh = [];
+        const freshTransactions = [];
+        const conflicts = [];
+        const keys = ledgerKeys(broker, transactions);
+        let seen = 0;
+
+        transactions.forEach((transaction, i) => {
+            const line = format(transaction);
+            if (!line) return;
+
+            const print = fingerprint(transaction.raw);
+            const key = keys[i];
+            const existing = this.entries[key];
+            if (!existing) {
+                this.entries[key] = transaction.fx ? { fingerprint: print, line, fx: transaction.fx } : { fingerprint: print, line };
+                fresh.push(line);
+                freshTransactions.push(transaction);
+            } else if (existing.fingerprint === print || existing.line === line) {
+                // The same row, or the same deal read from another of the broker's exports
+                seen++;
+            } else {
+                conflicts.push({ key, line, existingLine: existing.line });
+            }
+        });
+
+        return { fresh, freshTransactions, seen, conflicts };
+    }
+}
+
+module.exports = ImportLedger;
+module.exports.ledgerPathFor = ledgerPathFor;
+module.exports.ledgerKeys = ledgerKeys;
@@ -0,0 +1,268 @@
+/**
+ * Type declarations for the library API in index.js
+ */
+
+/** Account wrapper; only GIA trades are taxable */
+export type Wrapper = 'GIA' | 'ISA' | 'SIPP';
+
+export type TransactionKind = 'BUY' | 'SELL' | 'SPLIT' | 'UNSPLIT' | 'CAPRETURN' | 'DIVIDEND';
+
+/** A transaction object as built by the parsers */
+export interface Transaction {
+    kind: TransactionKind;
+    /** UK trade date, DD/MM/YYYY */
+    date: string;
+    /** cgtcalc asset ID */
+    asset: string;
+    /** Units traded (BUY/SELL), or units held (CAPRETURN/DIVIDEND) */
+    amount?: number | string;
+    /** Price per unit (BUY/SELL) */
+    price?: number | string;
+    /** Allowable expenses (BUY/SELL) */
+    expenses?: number | string;
+    /** Share multiplier (SPLIT/UNSPLIT) */
+    multiplier?: number | string;
+    /** Total value (CAPRETURN/DIVIDEND) */
+    value?: number | string;
+    /** Trade time as epoch milliseconds, or null when the broker only gives a date */
+    time?: number | null;
+    /** Broker reference used by the import ledger, or null */
+    ref?: string | null;
+    /** Source row the transaction was parsed from */
+    raw?: unknown;
+    wrapper?: Wrapper;
+    /** Rate used when the deal was converted to GBP from another currency */
+    fx?: FxRate | null;
+    /** Fidelity account number */
+    account?: string;
+    /** Label used to order same-time entries when merging */
+    source?: string;
+    /** Comment lines written above the line when merging */
+    comments?: string[];
+    /** Transactions a same-day consolidated transaction replaced */
+    consolidated?: Transaction[];
+}
+
+/** A parsed cgtcalc line; numeric fields keep the digits as written */
+export type CgtcalcEntry =
+    | { kind: 'BUY' | 'SELL'; date: string; asset: string; amount: string; price: string; expenses: string }
+    | { kind: 'SPLIT' | 'UNSPLIT'; date: string; asset: string; multiplier: string }
+    | { kind: 'CAPRETURN' | 'DIVIDEND'; date: string; asset: string; amount: string; value: string }
+    | { kind: 'COMMENT'; text: string };
+
+export interface IdentifierChange {
+    /** Date of the change, DD/MM/YYYY */
+    date: string;
+    from: string;
+    to: string;
+    source?: string;
+}
+
+export interface AssetMappingEntry {
+    id: string;
+    isin?: string | string[];
+    sedol?: string | string[];
+    ticker?: string | string[];
+    name?: string | string[];
+}
+
+export interface AssetIdentifiers {
+    isin?: string;
+    sedol?: string;
+    ticker?: string;
+    name?: string;
+}
+
+export class AssetResolver {
+    constructor(mapping?: AssetMappingEntry[]);
+    static parseAssetMapping(content: string): AssetMappingEntry[];
+    resolve(identifiers: AssetIdentifiers, fallback: string): string;
+    /** Identifiers that fell back to the broker's own ID */
+    readonly unmapped: Array<{ identifiers: AssetIdentifiers; fallback: string }>;
+}
+
+/** An exchange rate in HMRC layout: currency units per £1, valid from/to inclusive */
+export interface FxRate {
+    currency: string;
+    rate: number;
+    /** DD/MM/YYYY */
+    from: string;
+    /** DD/MM/YYYY */
+    to: string;
+}
+
+export class FxRates {
+    constructor(rates?: FxRate[]);
+    /** Parse a CSV in the layout of HMRC's monthly exchange rate files */
+    static parseRateFile(content: string): Promise<FxRate[]>;
+    /** The rate covering a date; throws when none does */
+    rateOn(currency: string, date: string): FxRate;
+    toGbp(amount: number, currency: string, date: string): { amount: number; fx: FxRate };
+}
+
+/** A security's share class; `class` is 'income' or 'accumulation' */
+export interface ShareClassEntry {
+    class: 'income' | 'accumulation';
+    isin?: string | string[];
+    sedol?: string | string[];
+    ticker?: string | string[];
+    name?: string | string[];
+}
+
+export class ShareClasses {
+    constructor(entries?: ShareClassEntry[]);
+    static parseShareClassFile(content: string): ShareClassEntry[];
+    /** Share class of a security, or null when it isn't listed */
+    classOf(identifiers: AssetIdentifiers): 'income' | 'accumulation' | null;
+    /** cgtcalc line kind for a distribution or capital return; null for an income distribution, throws when unlisted */
+    lineKindFor(row: { type: 'distribution' | 'capital'; identifiers: AssetIdentifiers; asset: string }): 'CAPRETURN' | 'DIVIDEND' | null;
+}
+
+export interface ParserOptions {
+    /** Shared resolver so the same security gets the same ID at every broker */
+    assetResolver?: AssetResolver;
+    /** Declared wrapper of the whole file; defaults to GIA */
+    wrapper?: Wrapper | string | null;
+    /** Skip bad rows and return them as diagnostics instead of failing on the first */
+    collectErrors?: boolean;
+    /** Rates for converting deals in other currencies to GBP (BullionVault) */
+    fxRates?: FxRates;
+    /** Share classes for turning distributions into CAPRETURN/DIVIDEND lines (Freetrade, ii, Fidelity) */
+    shareClasses?: ShareClasses;
+    /** Collect dividend income for the dividend income report (Freetrade, ii); dividend rows are otherwise not read */
+    collectDividends?: boolean;
+}
+
+/** A bad row found while collecting errors */
+export interface Diagnostic {
+    /** Source path, when parsed from a path */
+    file: string | null;
+    /** CSV line the row ends on, or the spreadsheet row */
+    line: number | null;
+    /** Email the row came from (BullionVault) */
+    email: string | null;
+    /** Workbook sheet the row came from (Vanguard) */
+    sheet: string | null;
+    /** Column or email field holding the bad value */
+    column: string | null;
+    /** Raw value as found in the input */
+    value: string | null;
+    reason: string;
+}
+
+/** A raw email and the name used for it in messages (e.g. its file name) */
+export interface EmailMessage {
+    label: string;
+    /** Raw email bytes; a string is taken as its UTF-8 bytes */
+    content: Buffer | string;
+}
+
+/** A sheet of an XLSX workbook as rows of cell text; rows[n - 1] is row n */
+export interface WorkbookSheet {
+    name: string;
+    rows: string[][];
+}
+
+export interface Workbook {
+    sheets: WorkbookSheet[];
+}
+
+/** A dividend paid; gross and withheld are in `currency`, net is the GBP received */
+export interface Dividend {
+    /** Pay date, DD/MM/YYYY */
+    date: string;
+    asset: string;
+    currency: string;
+    gross: number;
+    withheld: number;
+    net: number;
+    /** Broker reference, or the security and pay date; identifies the payment across overlapping exports */
+    ref: string;
+    wrapper: Wrapper;
+}
+
+export type ParserInput = string | EmailMessage[] | Workbook | Buffer;
+
+export interface Parser {
+    /** File content; the BullionVault parser also takes a list of emails, the Vanguard parser a workbook or its XLSX bytes */
+    parseContent(content: ParserInput): Promise<Transaction[]>;
+    formatTransaction(transaction: Transaction): string;
+    parseToFormat(content: ParserInput): Promise<string[]>;
+    identifierChanges?: IdentifierChange[];
+    warnings?: string[];
+    /** Dividends paid, for the dividend income report (Freetrade, ii), when parsed with collectDividends */
+    dividends?: Dividend[];
+    diagnostics?: Diagnostic[];
+}
+
+export type ParserConstructor = new (options?: ParserOptions) => Parser;
+
+export type BrokerType = 'freetrade' | 'ii' | 'fidelity' | 'bullionvault' | 'trading212' | 'hl' | 'ajbell' | 'ibkr' | 'vanguard';
+
+export interface ParseResult {
+    transactions: Transaction[];
+    identifierChanges: IdentifierChange[];
+    warnings: string[];
+    dividends: Dividend[];
+    /** Bad rows, when parsed with collectErrors */
+    diagnostics: Diagnostic[];
+}
+
+export interface MergeResult {
+    /** Merged lines in chronological order */
+    lines: string[];
+    /** Number of lines relinked across identifier changes */
+    rewritten: number;
+}
+
+/** Parser classes keyed by broker name */
+export const parsers: Readonly<Record<BrokerType, ParserConstructor>>;
+
+export const SUPPORTED_TYPES: BrokerType[];
+
+export function createParser(type: string, options?: ParserOptions): Parser;
+
+/** Throws unless the path exists (for bullionvault a folder must hold .eml files) */
+export function validateSourcePath(type: string, filePath: string): void;
+
+/**
+ * Parse a broker export
+ * @param input File content, or a path (for bullionvault also a folder of .eml files); .xlsx content is read as a workbook
+ */
+export function parseTransactions(type: string, input: Buffer | string, options?: ParserOptions): Promise<ParseResult>;
+
+export function formatTransaction(transaction: Transaction): string;
+
+export function mergeTransactions(
+    existingLines: string[],
+    transactions: Transaction[],
+    identifierChanges?: IdentifierChange[]
+): MergeResult;
+
+/** Numeric fields of each cgtcalc line kind, in column order */
+export const LINE_KINDS: Readonly<Record<TransactionKind, string[]>>;
+
+/** Parse one cgtcalc line; throws on anything cgtcalc would reject */
+export function parseLine(line: string): CgtcalcEntry;
+
+/** Serialize an entry or transaction as a canonical cgtcalc line */
+export function formatLine(entry: CgtcalcEntry | Transaction): string;
+
+/** Parse a cgtcalc file; malformed lines are reported together with their line numbers */
+export function parseDocument(content: string, label?: string): Array<CgtcalcEntry & { lineNumber: number }>;
+
+/** Parse a cgtcalc file into canonical lines, keeping comments */
+export function parseLines(content: string, label?: string): string[];
+
+export function serializeTransactions(lines: string[]): string;
+
+export function parseIdentifierChanges(content: string): IdentifierChange[];
+
+/** Describe a diagnostic on one line, e.g. "ii.csv line 12, column 'Price', value 'x': Invalid Price: x" */
+export function formatDiagnostic(diagnostic: Diagnostic): string;
+
+/** Split transactions into taxable (GIA) ones and counts of excluded ones per wrapper */
+export function partitionByWrapper(transactions: Transaction[]): { taxable: Transaction[]; excluded: Partial<Record<Wrapper, number>> };
+
+/** Merge same-day, same-asset, same-direction BUY/SELL transactions into one each */
+export function consolidateSameDay(transactions: Transaction[]): { transactions: Transaction[]; merged: Transaction[] };
@@ -1,134 +1,242 @@
-/* eslint-disable no-case-declarations */
 const FreetradeParser = require('./freetrade');
 const IIParser = require('./ii');
 const FidelityParser = require('./fidelity');
 const BullionVaultParser = require('./bullionvault');
+const Trading212Parser = require('./trading212');
+const HLParser = require('./hl');
+const AJBellParser = require('./ajbell');
+const IBKRParser = require('./ibkr');
+const VanguardParser = require('./vanguard');
+const AssetResolver = require('./asset-resolver');
+const FxRates = require('./fx-rates');
+const ShareClasses = require('./share-classes');
+const { consolidateSameDay } = require('./consolidation');
+const { parseIdentifierChanges, applyIdentifierChanges } = require('./identifier-changes');
+const { sortEntriesChronologically } = require('./chronology');
+const { LINE_KINDS, parseLine, formatLine, parseDocument } = require('./cgtcalc-format');
+const { partitionByWrapper } = require('./wrappers');
+const { formatDiagnostic } = require('./diagnostics');
+const { isXlsx, readWorkbook } = require('./xlsx');
 const fs = require('fs');
+const path = require('path');
+
 /**
- * Sort transactions chronologically by date
- * @param {Array} transactions - Array of transaction strings
- * @returns {Array} Sorted transaction strings
+ * Library API
+ * -----------
+ * The parsers and the merge into a cgtcalc `data.txt`, for scripts that
+ * don't go through the CLI (cli.js is a thin wrapper around this):
+ *
+ *   const { parseTransactions, mergeTransactions, serializeTransactions } = require('cgtcalc-data-transformer');
+ *   const { transactions } = await parseTransactions('ii', 'exports/ii.csv');
+ *   const { lines } = mergeTransactions(existingLines, transactions);
+ *   fs.writeFileSync('data.txt', serializeTransactions(lines));
+ *
+ * Types are declared in index.d.ts.
  */
-function sortTransactionsChronologically(transactions) {
-    return transactions.sort((a, b) => {
-        // Extract date from transaction string (format: "BUY DD/MM/YYYY ...")
-        const dateA = (a || '').split(' ')[1]; // Second field is the date
-        const dateB = (b || '').split(' ')[1];
-
-        // If any line is missing a date, fail fast — this is unrecoverable per user policy.
-        if (!dateA || !dateB) {
-            throw new Error(`Missing or unparseable date in transaction line. Line A: '${a}', Line B: '${b}'`);
-        }
 
-        const [dayA, monthA, yearA] = dateA.split('/').map(s => parseInt(s, 10));
-        const [dayB, monthB, yearB] = dateB.split('/').map(s => parseInt(s, 10));
+// Parser classes keyed by broker name (the CLI type)
+const parsers = Object.freeze({
+    freetrade: FreetradeParser,
+    ii: IIParser,
+    fidelity: FidelityParser,
+    bullionvault: BullionVaultParser,
+    trading212: Trading212Parser,
+    hl: HLParser,
+    ajbell: AJBellParser,
+    ibkr: IBKRParser,
+    vanguard: VanguardParser,
+});
 
-        if (!yearA || !monthA || !dayA || !yearB || !monthB || !dayB) {
-            throw new Error(`Unparsable date in transaction line. Line A: '${a}', Line B: '${b}'`);
-        }
+const SUPPORTED_TYPES = Object.keys(parsers);
 
-        // Use numeric Date constructor (year, monthIndex, day) — avoids string parsing issues
-        const dateObjA = new Date(yearA, monthA - 1, dayA);
-        const dateObjB = new Date(yearB, monthB - 1, dayB);
+// Parsers whose exports are XLSX workbooks; every other export is text
+const WORKBOOK_TYPES = ['vanguard'];
 
-        return dateObjA - dateObjB;
-    });
+/**
+ * Create the parser for a broker
+ * @param {string} type - Broker name, e.g. 'freetrade'
+ * @param {Object} [options] - Parser options { assetResolver, wrapper, collectErrors, fxRates, shareClasses, collectDividends }
+ * @returns {Object} Parser instance
+ */
+function createParser(type, options = {}) {
+    const Parser = parsers[String(type).toLowerCase()];
+    if (!Parser) {
+        throw new Error(`Unknown parser type '${type}'. Supported types: ${SUPPORTED_TYPES.join(', ')}`);
+    }
+    return new Parser(options);
 }
 
 /**
- * CLI for parsing financial transaction data
- * Usage: node index.js <type> <filepath>
- * 
- * Types:
- * - freetrade: Parse Freetrade CSV format
- * - ii: Parse Interactive Investor CSV format
- * - fidelity: Parse Fidelity CSV format
- * - bullionvault: Parse BullionVault "Dealing advice" email files
+ * Validate a source path for its parser type. For most parsers we expect a file path;
+ * for bullionvault either a folder containing one or more .eml files, or a file
+ * (an mbox archive or the account history CSV).
+ * @param {string} type - Parser type
+ * @param {string} filePath - File or folder path
  */
-async function main() {
-    const args = process.argv.slice(2);
-    
-    if (args.length < 1) { 
-        throw new Error('Usage: node index.js <type> [filepath]\nTypes: freetrade, ii, fidelity, bullionvault\nNote: bullionvault parser reads from a folder of email files and requires a folder path');
-    }
-    
-    const [type, filePath] = args;
-    
-    // Validate inputs. For most parsers we expect a file path; for bullionvault we expect
-    // a folder containing one or more .eml files. Fail fast if the path doesn't meet expectations.
-    const lowerType = type.toLowerCase();
-    if (lowerType === 'bullionvault') {
+function validateSourcePath(type, filePath) {
+    if (type === 'bullionvault') {
         if (!filePath) {
-            throw new Error('bullionvault parser requires a folder path as the second argument');
+            throw new Error('bullionvault parser requires a folder of .eml files, an mbox archive or a history CSV as the second argument');
         }
-        if (!fs.existsSync(filePath) || !fs.lstatSync(filePath).isDirectory()) {
-            throw new Error(`Folder '${filePath}' does not exist or is not a directory`);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`'${filePath}' does not exist`);
         }
+        if (!fs.lstatSync(filePath).isDirectory()) return;
         // Ensure there is at least one .eml file in the folder
         const files = fs.readdirSync(filePath).filter(f => f.toLowerCase().endsWith('.eml'));
         if (!files || files.length === 0) {
             throw new Error(`Folder '${filePath}' does not contain any .eml files`);
         }
     } else {
-        // For non-bullionvault parsers, require a file path that exists
-        if (filePath && !fs.existsSync(filePath)) {
+        if (!filePath || !fs.existsSync(filePath)) {
             throw new Error(`File '${filePath}' does not exist`);
         }
     }
-    
-    let results = [];
-
-    switch (type.toLowerCase()) {
-        case 'freetrade':
-            const freetradeParser = new FreetradeParser();
-            const freetradeContent = fs.readFileSync(filePath, 'utf8');
-            results = await freetradeParser.parseToFormat(freetradeContent);
-            break;
-        case 'ii':
-            const iiParser = new IIParser();
-            const iiContent = fs.readFileSync(filePath, 'utf8');
-            results = await iiParser.parseToFormat(iiContent);
-            break;
-        case 'fidelity':
-            const fidelityParser = new FidelityParser();
-            const fidelityContent = fs.readFileSync(filePath, 'utf8');
-            results = await fidelityParser.parseToFormat(fidelityContent);
-            break;
-        case 'bullionvault':
-            const bullionParser = new BullionVaultParser();
-            // Read all .eml files into an array of raw strings and pass to parser
-            const emlFiles = fs.readdirSync(filePath).filter(f => f.toLowerCase().endsWith('.eml'));
-            const emlContents = emlFiles.map(f => fs.readFileSync(require('path').join(filePath, f), 'utf8')).join('\nEOF\n');
-            results = await bullionParser.parseToFormat(emlContents);
-            break;
-        default:
-            throw new Error(`Unknown parser type '${type}'. Supported types: freetrade, ii, fidelity, bullionvault`);
-    }
+}
 
-    // Read existing transactions from data.txt and merge directly into a Set of trimmed strings.
-    const outputPath = 'data.txt';
-    // Build arrays of existing and incoming trimmed lines, then construct a Set for exact deduplication
-    const existingArr = fs.existsSync(outputPath)
-        ? fs.readFileSync(outputPath, 'utf8').split('\n').map(s => s && s.trim()).filter(Boolean)
-        : [];
+/**
+ * Read a source into the input its parser's parseContent() expects
+ * @param {string} type - Parser type
+ * @param {Buffer|string} input - File content, or a path (a folder of .eml files for bullionvault)
+ * @returns {string|Buffer|Object|Array<{label: string, content: Buffer}>} File content as text (as bytes
+ *   for bullionvault), the workbook of an XLSX file (see xlsx.js), or the emails of a bullionvault folder
+ */
+function readInput(type, input) {
+    if (!Buffer.isBuffer(input) && typeof input !== 'string') throw new Error('Input must be a Buffer or a path');
 
-    const merged = [...existingArr, ...results];
+    if (typeof input === 'string') {
+        validateSourcePath(type, input);
+        if (type === 'bullionvault' && fs.lstatSync(input).isDirectory()) {
+            return fs.readdirSync(input)
+                .filter(f => f.toLowerCase().endsWith('.eml'))
+                .map(f => ({ label: f, content: fs.readFileSync(path.join(input, f)) }));
+        }
+    }
+    const content = Buffer.isBuffer(input) ? input : fs.readFileSync(input);
+    if (isXlsx(content) !== WORKBOOK_TYPES.includes(type)) {
+        const label = Buffer.isBuffer(input) ? 'the input' : `'${input}'`;
+        throw new Error(isXlsx(content)
+            ? `${label} is an XLSX workbook; only ${WORKBOOK_TYPES.join(', ')} exports are read from workbooks`
+            : `${label} is not an XLSX workbook; ${type} exports are read from .xlsx files`);
+    }
+    if (isXlsx(content)) return readWorkbook(content);
+    // Emails declare their own charsets, so BullionVault input stays as bytes (see mime.js)
+    return type === 'bullionvault' ? content : content.toString('utf8');
+}
 
-    // Sort merged transactions chronologically
-    const sortedTransactions = sortTransactionsChronologically(merged);
+/**
+ * Parse a broker export into transaction objects. With `collectErrors`
+ * bad rows are skipped and returned as diagnostics (see diagnostics.js)
+ * instead of failing on the first one.
+ * @param {string} type - Broker name, e.g. 'freetrade'
+ * @param {Buffer|string} input - File content, or a path (for bullionvault also a folder of .eml files)
+ * @param {Object} [options] - Parser options { assetResolver, wrapper, collectErrors, fxRates, shareClasses, collectDividends }
+ * @returns {Promise<{transactions: Array<Object>, identifierChanges: Array<Object>, warnings: Array<string>, dividends: Array<Object>, diagnostics: Array<Object>}>}
+ *   Transactions and the side data the parser collected
+ */
+async function parseTransactions(type, input, options = {}) {
+    const parser = createParser(type, options);
+    const transactions = await parser.parseContent(readInput(String(type).toLowerCase(), input));
+    const file = typeof input === 'string' ? input : null;
+    return {
+        transactions,
+        identifierChanges: parser.identifierChanges || [],
+        warnings: parser.warnings || [],
+        dividends: parser.dividends || [],
+        diagnostics: (parser.diagnostics || []).map(diagnostic => ({ ...diagnostic, file }))
+    };
+}
 
-    // Write all transactions back to data.txt in chronological order
-    const outputContent = sortedTransactions.join('\n') + '\n';
-    fs.writeFileSync(outputPath, outputContent, 'utf8');
+/**
+ * Format a transaction object as a cgtcalc line
+ * @param {Object} transaction - Parsed transaction
+ * @returns {string} e.g. 'BUY 01/01/2024 VWRL 10 100 5'
+ */
+function formatTransaction(transaction) {
+    return formatLine(transaction);
+}
 
-    console.log(`Successfully parsed ${results.length} new transactions`);
-    console.log(`Total transactions: ${sortedTransactions.length} (all sorted chronologically)`);
-    console.log('Sample output:');
-    sortedTransactions.slice(0, 5).forEach(line => console.log(line));
-    if (sortedTransactions.length > 5) {
-        console.log(`... and ${sortedTransactions.length - 5} more transactions`);
+/**
+ * Merge new transactions into existing cgtcalc lines, relink identifier
+ * changes and sort chronologically. Existing lines have no known time, so
+ * they keep their relative order within each day. Comments in the existing
+ * lines stay above the line that follows them; comments at the end stay
+ * at the end.
+ * @param {Array<string>} existingLines - Lines already in the output
+ * @param {Array<Object>} transactions - New transaction objects, optionally with a `source` label for ordering
+ *   and `comments` (comment lines to write above the line, e.g. from consolidation.js)
+ * @param {Array<Object>} [identifierChanges] - Changes { date, from, to } to relink across
+ * @returns {{lines: Array<string>, rewritten: number}} Sorted lines and the number relinked
+ */
+function mergeTransactions(existingLines, transactions, identifierChanges = []) {
+    const entries = [];
+    let comments = [];
+    for (const line of existingLines) {
+        if (parseLine(line).kind === 'COMMENT') {
+            comments.push(line);
+        } else {
+            entries.push({ line, comments });
+            comments = [];
+        }
     }
+    entries.push(...transactions.map(transaction => ({
+        line: formatTransaction(transaction),
+        time: transaction.time ?? null,
+        source: transaction.source || '',
+        comments: transaction.comments || []
+    })));
+
+    const relinked = applyIdentifierChanges(entries.map(entry => entry.line), identifierChanges);
+    const merged = entries.map((entry, i) => ({ ...entry, line: relinked.lines[i] }));
+    const lines = sortEntriesChronologically(merged).flatMap(entry => [...entry.comments, entry.line]);
+    return { lines: [...lines, ...comments], rewritten: relinked.rewritten };
 }
 
-// Run the CLI
-main();
\ No newline at end of file
+/**
+ * Parse the content of a cgtcalc file into canonical lines. Hand-written
+ * lines of every kind and comments are kept; malformed lines fail with
+ * their line numbers.
+ * @param {string} content - File content
+ * @param {string} [label] - File name used in messages
+ * @returns {Array<string>} Canonical lines, without blank lines
+ */
+function parseLines(content, label) {
+    return parseDocument(content, label).map(formatLine);
+}
+
+/**
+ * Serialize cgtcalc lines as file content
+ * @param {Array<string>} lines - Sorted lines
+ * @returns {string} Content with a trailing newline
+ */
+function serializeTransactions(lines) {
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    parsers,
+    SUPPORTED_TYPES,
+    createParser,
+    validateSourcePath,
+    parseTransactions,
+    formatTransaction,
+    mergeTransactions,
+    parseLines,
+    serializeTransactions,
+    LINE_KINDS,
+    parseLine,
+    formatLine,
+    parseDocument,
+    parseIdentifierChanges,
+    partitionByWrapper,
+    consolidateSameDay,
+    formatDiagnostic,
+    AssetResolver,
+    FxRates,
+    ShareClasses
+};
+
+// `node index.js ...` still runs the CLI
+if (require.main === module) {
+    require('./cli').main();
+}
@@ -0,0 +1,55 @@
+/**
+ * mbox archives
+ * -------------
+ * An mbox file is a series of raw messages, each starting with a
+ * `From <sender> <date>` separator line. Body lines that would look like a
+ * separator are escaped by the exporting client as `>From ` (mboxrd also
+ * escapes `>From ` as `>>From `); one level of `>` is removed again here.
+ * An archive read as bytes is split into byte messages, so each message is
+ * decoded with its own charset (see mime.js).
+ */
+
+const SEPARATOR_RE = /^From /;
+
+/**
+ * Whether text is an mbox archive, i.e. starts with a separator line
+ * @param {Buffer|string} content - File content
+ * @returns {boolean} True for an mbox archive
+ */
+function isMbox(content) {
+    return SEPARATOR_RE.test(String(content).replace(/^\uFEFF/, ''));
+}
+
+/**
+ * Split an mbox archive into its messages
+ * @param {Buffer|string} content - mbox content
+ * @returns {Array<{label: string, content: Buffer|string}>} Messages labelled 'message N' in archive order,
+ *   as bytes when the archive was given as bytes
+ */
+function splitMbox(content) {
+    const binary = Buffer.isBuffer(content);
+    // Bytes are split one character per byte, so no message is decoded before mime.js reads its charset
+    const text = binary ? content.toString('latin1').replace(/^\xEF\xBB\xBF/, '') : String(content).replace(/^\uFEFF/, '');
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    if (!SEPARATOR_RE.test(lines[0])) {
+        throw new Error("Not an mbox archive: the first line is not a 'From ' separator");
+    }
+    const messages = [];
+    for (const line of lines) {
+        if (SEPARATOR_RE.test(line)) {
+            messages.push([]);
+        } else {
+            messages[messages.length - 1].push(line.replace(/^>(>*From )/, '$1'));
+        }
+    }
+    return messages.map((messageLines, index) => {
+        // The blank line before the next separator belongs to the archive, not the message
+        const message = `${messageLines.join('\n').replace(/\n+$/, '')}\n`;
+        return { label: `message ${index + 1}`, content: binary ? Buffer.from(message, 'latin1') : message };
+    });
+}
+
+module.exports = {
+    isMbox,
+    splitMbox
+};
@@ -0,0 +1,269 @@
+/**
+ * MIME messages
+ * -------------
+ * Minimal RFC 2045-2047 decoding for saved `.eml` files, enough to get
+ * clean text out of broker notification emails:
+ *
+ *  - headers, with folded lines unfolded and encoded words
+ *    (=?UTF-8?Q?...?= / =?UTF-8?B?...?=) decoded;
+ *  - multipart bodies, walked recursively;
+ *  - quoted-printable and base64 transfer encodings;
+ *  - charsets via TextDecoder (UTF-8, ISO-8859-x, Windows-125x, ...);
+ *  - HTML parts converted to plain text.
+ *
+ * Messages are read from their raw bytes, one character per byte (a
+ * `latin1` string), and each part's bytes are only decoded to text once,
+ * with the charset it declares, so 8-bit bodies in any charset survive.
+ * Raw 8-bit bytes in headers are taken as UTF-8.
+ *
+ * Anything it can't decode (an unknown charset or transfer encoding, a
+ * multipart without its boundary) fails fast rather than being guessed.
+ */
+
+const BLOCK_TAGS = /<\/?(?:p|div|br|tr|li|ul|ol|table|h[1-6]|blockquote|hr)\b[^>]*>/gi;
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', pound: '£', euro: '€', dollar: '$',
+};
+
+/**
+ * Parse a header block into { name (lower case): value }. Repeated
+ * headers keep the first value.
+ * @param {string} block - Header lines, one character per byte
+ * @returns {Object} Headers
+ */
+function parseHeaders(block) {
+    const headers = {};
+    // A line starting with whitespace continues the previous header
+    const unfolded = block.replace(/\n[ \t]+/g, ' ');
+    for (const line of unfolded.split('\n')) {
+        const match = line.match(/^([!-9;-~]+):\s*(.*)$/);
+        if (!match) continue;
+        const name = match[1].toLowerCase();
+        const value = /[\x80-\xFF]/.test(match[2]) ? Buffer.from(match[2], 'latin1').toString('utf8') : match[2];
+        if (!(name in headers)) headers[name] = decodeEncodedWords(value.trim());
+    }
+    return headers;
+}
+
+/**
+ * Decode RFC 2047 encoded words in a header value
+ * @param {string} value - Header value
+ * @returns {string} Decoded value
+ */
+function decodeEncodedWords(value) {
+    return value
+        // Whitespace between two encoded words is not part of the text
+        .replace(/(=\?[^?]+\?[bq]\?[^?]*\?=)\s+(?==\?[^?]+\?[bq]\?[^?]*\?=)/gi, '$1')
+        .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (_, charset, encoding, text) => {
+            const bytes = encoding.toLowerCase() === 'b'
+                ? Buffer.from(text, 'base64')
+                : decodeQuotedPrintable(text.replace(/_/g, ' '));
+            return decodeCharset(bytes, charset);
+        });
+}
+
+/**
+ * Split a structured header such as Content-Type into its value and parameters
+ * @param {string} value - e.g. 'text/html; charset="utf-8"'
+ * @returns {{value: string, params: Object}} Lower-cased value and parameters keyed by lower-case name
+ */
+function parseStructuredHeader(value) {
+    const [first, ...rest] = String(value || '').split(';');
+    const params = {};
+    for (const param of rest) {
+        const match = param.match(/^\s*([^=\s]+)\s*=\s*(?:"([^"]*)"|(\S*))\s*$/);
+        if (match) params[match[1].toLowerCase()] = match[2] ?? match[3];
+    }
+    return { value: first.trim().toLowerCase(), params };
+}
+
+/**
+ * Decode quoted-printable text to bytes
+ * @param {string} text - Encoded text, one character per byte
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeQuotedPrintable(text) {
+    const bytes = [];
+    // Soft line breaks (= at the end of a line) join lines
+    const joined = text.replace(/[ \t]+$/gm, '').replace(/=\n/g, '');
+    for (let i = 0; i < joined.length; i++) {
+        const hex = joined[i] === '=' ? joined.slice(i + 1, i + 3) : '';
+        if (/^[0-9A-F]{2}$/i.test(hex)) {
+            bytes.push(parseInt(hex, 16));
+            i += 2;
+        } else {
+            bytes.push(joined.charCodeAt(i) & 0xFF);
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Decode a part body according to its Content-Transfer-Encoding
+ * @param {string} body - Raw body, one character per byte
+ * @param {string} encoding - Transfer encoding
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeTransferEncoding(body, encoding) {
+    switch ((encoding || '7bit').toLowerCase()) {
+        case 'quoted-printable':
+            return decodeQuotedPrintable(body);
+        case 'base64':
+            return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+        case '7bit':
+        case '8bit':
+        case 'binary':
+            return Buffer.from(body, 'latin1');
+        default:
+            throw new Error(`Unsupported Content-Transfer-Encoding '${encoding}'`);
+    }
+}
+
+/**
+ * Decode bytes in a charset
+ * @param {Buffer} bytes - Encoded bytes
+ * @param {string} charset - Charset label; defaults to UTF-8
+ * @returns {string} Text
+ */
+function decodeCharset(bytes, charset) {
+    let decoder;
+    try {
+        decoder = new TextDecoder(charset || 'utf-8');
+    } catch {
+        throw new Error(`Unsupported charset '${charset}'`);
+    }
+    return decoder.decode(bytes);
+}
+
+/**
+ * Whether a numeric character reference names a character
+ * @param {number} point - Code point
+ * @returns {boolean} True for U+0001 to U+10FFFF outside the surrogate range
+ */
+function isCharacter(point) {
+    return point > 0 && point <= 0x10FFFF && !(point >= 0xD800 && point <= 0xDFFF);
+}
+
+/**
+ * Convert HTML to plain text: block elements become line breaks, tags are
+ * dropped, entities decoded and whitespace collapsed on every line. Line
+ * breaks in the source are kept too, since notification emails often put
+ * one field per source line without any markup between them.
+ * @param {string} html - HTML
+ * @returns {string} Text
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<(script|style|head)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(BLOCK_TAGS, '\n')
+        .replace(/<\/t[dh]\s*>/gi, ' ')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                // A reference to no character (out of range, a surrogate or NUL) is kept as written, like an unknown entity
+                return isCharacter(point) ? String.fromCodePoint(point) : entity;
+            }
+            return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+        })
+        .split('\n')
+        .map(line => line.replace(/[ \t\u00A0]+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Split raw part text into headers and body at the first blank line
+ * @param {string} raw - Part text with \n line endings
+ * @returns {{headers: Object, body: string}} Headers and raw body
+ */
+function splitPart(raw) {
+    // A part that starts with a blank line has no headers
+    if (/^[ \t]*\n/.test(raw)) return { headers: {}, body: raw.slice(raw.indexOf('\n') + 1) };
+    const separator = raw.search(/\n[ \t]*\n/);
+    if (separator === -1) return { headers: parseHeaders(raw), body: '' };
+    const afterSeparator = raw.indexOf('\n', separator + 1) + 1;
+    return { headers: parseHeaders(raw.slice(0, separator)), body: raw.slice(afterSeparator) };
+}
+
+/**
+ * Collect the decoded text/plain and text/html leaves of a part
+ * @param {Object} headers - Part headers
+ * @param {string} body - Raw part body
+ * @param {Array<Object>} leaves - Output: { type, text }
+ */
+function collectLeaves(headers, body, leaves) {
+    const contentType = parseStructuredHeader(headers['content-type'] || 'text/plain');
+    const disposition = parseStructuredHeader(headers['content-disposition']).value;
+
+    if (contentType.value.startsWith('multipart/')) {
+        const boundary = contentType.params.boundary;
+        if (!boundary) throw new Error(`${contentType.value} part has no boundary`);
+        const delimiter = `--${boundary}`;
+        const lines = body.split('\n');
+        let current = null;
+        for (const line of lines) {
+            const trimmed = line.trimEnd();
+            if (trimmed === `${delimiter}--`) break;
+            if (trimmed === delimiter) {
+                if (current) leaves.push(...walkPart(current.join('\n')));
+                current = [];
+            } else if (current) {
+                current.push(line);
+            }
+        }
+        if (current) leaves.push(...walkPart(current.join('\n')));
+        return;
+    }
+    if (disposition === 'attachment') return;
+    if (contentType.value !== 'text/plain' && contentType.value !== 'text/html') return;
+
+    const text = decodeCharset(decodeTransferEncoding(body, headers['content-transfer-encoding']), contentType.params.charset);
+    leaves.push({ type: contentType.value, text });
+}
+
+/**
+ * Decode a (sub)part into its text leaves
+ * @param {string} raw - Part text with \n line endings
+ * @returns {Array<Object>} Leaves { type, text }
+ */
+function walkPart(raw) {
+    const { headers, body } = splitPart(raw);
+    const leaves = [];
+    collectLeaves(headers, body, leaves);
+    return leaves;
+}
+
+/**
+ * Parse a raw email into its headers and clean text. The text/plain part
+ * is preferred; otherwise HTML parts are converted to text. A body without
+ * a Content-Type that looks like HTML is treated as HTML.
+ * @param {Buffer|string} raw - Raw .eml bytes; a string is taken as its UTF-8 bytes
+ * @returns {{headers: Object, text: string}} Headers (lower-case names) and body text
+ */
+function parseMessage(raw) {
+    const bytes = Buffer.isBuffer(raw) ? raw : Buffer.from(String(raw), 'utf8');
+    const normalised = bytes.toString('latin1').replace(/\r\n?/g, '\n');
+    const { headers, body } = splitPart(normalised);
+    const leaves = [];
+    if (!headers['content-type'] && /<(html|body|p|br|div|table)\b/i.test(body)) {
+        collectLeaves({ ...headers, 'content-type': 'text/html' }, body, leaves);
+    } else {
+        collectLeaves(headers, body, leaves);
+    }
+
+    const plain = leaves.filter(leaf => leaf.type === 'text/plain');
+    const text = plain.length > 0
+        ? plain.map(leaf => leaf.text).join('\n')
+        : leaves.map(leaf => htmlToText(leaf.text)).join('\n');
+    return { headers, text };
+}
+
+module.exports = {
+    parseMessage,
+    parseHeaders,
+    decodeQuotedPrintable,
+    htmlToText
+};
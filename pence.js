@@ -0,0 +1,28 @@
+/**
+ * Pence prices
+ * ------------
+ * UK platforms quote share and fund prices in pence (`178.45`, `9,852.00p`)
+ * while cgtcalc takes pounds. The conversion moves the decimal point two
+ * places instead of dividing by 100, so the pound price is exactly as
+ * precise as the export wrote it and floating-point noise such as
+ * 1.0000000000000002 never reaches the output.
+ */
+
+/**
+ * Convert a pence price to pounds
+ * @param {string|number} raw - Price in pence, optionally with thousands separators and a trailing 'p'
+ * @returns {{pounds: number, text: string}} Price in pounds, and as text with the export's precision (e.g. '1.7845')
+ */
+function penceToPounds(raw) {
+    const cleaned = String(raw ?? '').trim().replace(/p$/i, '').replace(/,/g, '');
+    const match = cleaned.match(/^(\d+)(?:\.(\d+))?$/);
+    if (!match) throw new Error(`Invalid price in pence: '${raw}'`);
+    const whole = match[1].padStart(3, '0');
+    const pounds = whole.slice(0, -2).replace(/^0+(?=\d)/, '');
+    const text = `${pounds}.${whole.slice(-2)}${match[2] || ''}`;
+    return { pounds: Number(text), text };
+}
+
+module.exports = {
+    penceToPounds
+};
@@ -0,0 +1,155 @@
+const { parse } = require('csv-parse');
+const { parseLine } = require('./cgtcalc-format');
+
+/**
+ * Holdings reconciliation
+ * -----------------------
+ * Replays the merged ledger per asset (BUY adds, SELL removes, SPLIT and
+ * UNSPLIT scale the holding) to catch positions that can't exist, such as
+ * a SELL with no earlier BUY because an older export is missing, and to
+ * show the running holding after each line. Other cgtcalc line kinds and
+ * comments don't change the quantity held and are skipped.
+ *
+ * Closing positions can be compared against a holdings snapshot CSV (e.g.
+ * a broker's current-positions export). The snapshot needs a quantity
+ * column (`Quantity`, `Units` or `Holding`) and one identifier column:
+ * `Asset` (already a cgtcalc asset ID), `ISIN`, `Sedol`, `Symbol`/`Ticker`
+ * or `Investments`/`Name`. Identifiers go through the shared asset
+ * resolver so they match the IDs in the ledger. Only the assets in the
+ * snapshot are compared, since a broker's positions export doesn't list
+ * what is held elsewhere; open positions it doesn't list are returned
+ * separately.
+ */
+
+// Holdings are compared after rounding away floating point noise
+const QUANTITY_DECIMALS = 8;
+
+const IDENTIFIER_COLUMNS = [
+    { column: 'asset', type: null },
+    { column: 'isin', type: 'isin' },
+    { column: 'sedol', type: 'sedol' },
+    { column: 'symbol', type: 'ticker' },
+    { column: 'ticker', type: 'ticker' },
+    { column: 'investments', type: 'name' },
+    { column: 'name', type: 'name' },
+];
+const QUANTITY_COLUMNS = ['quantity', 'units', 'holding'];
+
+const roundQuantity = n => Number(n.toFixed(QUANTITY_DECIMALS));
+
+/**
+ * Replay BUY/SELL/SPLIT/UNSPLIT lines per asset
+ * @param {Array<string>} lines - Chronologically sorted cgtcalc lines
+ * @returns {{positions: Object, negatives: Array<Object>}} Per-asset { closing, history } and negative holdings;
+ *   `history` lists each line of the asset with the holding after it
+ */
+function replayHoldings(lines) {
+    const positions = {};
+    const negatives = [];
+
+    for (const line of lines) {
+        const { kind, date, asset, amount, multiplier } = parseLine(line);
+        if (!['BUY', 'SELL', 'SPLIT', 'UNSPLIT'].includes(kind)) continue;
+
+        // parseLine has already checked the amount and multiplier are positive numbers
+        const quantity = parseFloat(amount ?? multiplier);
+
+        const position = positions[asset] || (positions[asset] = { closing: 0, history: [] });
+        if (kind === 'BUY') position.closing += quantity;
+        else if (kind === 'SELL') position.closing -= quantity;
+        else if (kind === 'SPLIT') position.closing *= quantity;
+        else position.closing /= quantity;
+        position.closing = roundQuantity(position.closing);
+
+        position.history.push({ line, date, holding: position.closing });
+        if (position.closing < 0) {
+            negatives.push({ asset, line, date, holding: position.closing });
+        }
+    }
+
+    return { positions, negatives };
+}
+
+/**
+ * Describe the running holding of every asset, line by line
+ * @param {Object} positions - Output of replayHoldings().positions
+ * @returns {Array<string>} Per asset, its name followed by each line and the holding after it
+ */
+function formatRunningHoldings(positions) {
+    return Object.keys(positions).sort().flatMap(asset => [
+        asset,
+        ...positions[asset].history.map(({ line, holding }) => `  ${line} -> ${holding}`)
+    ]);
+}
+
+/**
+ * Parse a holdings snapshot CSV into { asset: quantity }
+ * @param {string} content - CSV content
+ * @param {AssetResolver} assetResolver - Shared asset resolver
+ * @returns {Promise<Object>} Quantities keyed by asset ID
+ */
+async function parseHoldingsSnapshot(content, assetResolver) {
+    return new Promise((resolve, reject) => {
+        parse(content.replace(/^[\uFEFF\u200B\u200E\u200F]+/, ''), {
+            columns: header => header.map(h => h.trim().toLowerCase()),
+            skip_empty_lines: true,
+            trim: true,
+            relax_column_count: true
+        }, (err, records) => {
+            if (err) return reject(err);
+            try {
+                const columns = records.length > 0 ? Object.keys(records[0]) : [];
+                const identifier = IDENTIFIER_COLUMNS.find(c => columns.includes(c.column));
+                const quantityColumn = QUANTITY_COLUMNS.find(c => columns.includes(c));
+                if (!identifier || !quantityColumn) {
+                    throw new Error('Holdings snapshot needs an identifier column (Asset, ISIN, Sedol, Symbol, Ticker, Investments or Name) and a Quantity, Units or Holding column');
+                }
+
+                const holdings = {};
+                records.forEach((row, index) => {
+                    const raw = row[identifier.column];
+                    if (!raw) throw new Error(`Missing ${identifier.column} on snapshot row ${index + 2}`);
+                    const quantity = parseFloat(String(row[quantityColumn]).replace(/,/g, ''));
+                    if (!isFinite(quantity)) throw new Error(`Invalid quantity on snapshot row ${index + 2}: ${row[quantityColumn]}`);
+
+                    const asset = identifier.type
+                        ? assetResolver.resolve({ [identifier.type]: raw }, identifier.type === 'name' ? raw.replace(/\s+/g, '_') : raw)
+                        : raw;
+                    holdings[asset] = roundQuantity((holdings[asset] || 0) + quantity);
+                });
+                resolve(holdings);
+            } catch (e) {
+                reject(e);
+            }
+        });
+    });
+}
+
+/**
+ * Compare closing positions with a snapshot, for the assets the snapshot lists
+ * @param {Object} positions - Output of replayHoldings().positions
+ * @param {Object} snapshot - Quantities keyed by asset ID
+ * @returns {{mismatches: Array<{asset: string, ledger: number, snapshot: number}>, unlisted: Array<{asset: string, ledger: number}>}}
+ *   Snapshot assets whose closing position differs, and open positions the snapshot doesn't list
+ */
+function compareWithSnapshot(positions, snapshot) {
+    const mismatches = [];
+    for (const asset of Object.keys(snapshot).sort()) {
+        const ledger = positions[asset] ? positions[asset].closing : 0;
+        if (roundQuantity(ledger - snapshot[asset]) !== 0) {
+            mismatches.push({ asset, ledger, snapshot: snapshot[asset] });
+        }
+    }
+    const unlisted = Object.keys(positions)
+        .filter(asset => !(asset in snapshot) && positions[asset].closing !== 0)
+        .sort()
+        .map(asset => ({ asset, ledger: positions[asset].closing }));
+    return { mismatches, unlisted };
+}
+
+module.exports = {
+    replayHoldings,
+    formatRunningHoldings,
+    parseHoldingsSnapshot,
+    compareWithSnapshot
+};
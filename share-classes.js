@@ -0,0 +1,103 @@
+const { identifierKey } = require('./asset-resolver');
+
+/**
+ * Fund share classes
+ * ------------------
+ * A distribution only matters to cgtcalc when it changes the cost of the
+ * holding, and whether it does depends on the share class, which no broker
+ * export states. The user lists their funds and shares in a JSON file:
+ *
+ *   [
+ *     { "isin": "GB00B3X7QG63", "sedol": "B3X7QG6", "class": "accumulation" },
+ *     { "name": "Fidelity Index World Fund P Income", "class": "income" },
+ *     { "isin": "GB0031348658", "class": "income" }
+ *   ]
+ *
+ * Each of isin/sedol/ticker/name may be a string or an array, matched as in
+ * the asset mapping (see asset-resolver.js). Shares paying cash dividends
+ * are `income`. A row is turned into a cgtcalc line as follows:
+ *
+ *  - equalisation or capital return, either class: CAPRETURN (cost reduction)
+ *  - distribution of an accumulation class: DIVIDEND (notional distribution
+ *    added to the cost)
+ *  - distribution of an income class: nothing; it is income, not a cost
+ *
+ * A row whose security isn't listed fails, so every distribution has been
+ * looked at before it affects the output.
+ */
+
+const IDENTIFIER_TYPES = ['isin', 'sedol', 'ticker', 'name'];
+const CLASSES = ['income', 'accumulation'];
+
+/**
+ * Parse the share-class file
+ * @param {string} content - JSON file content
+ * @returns {Array<Object>} Share-class entries
+ */
+function parseShareClassFile(content) {
+    const parsed = JSON.parse(content);
+    if (!Array.isArray(parsed)) throw new Error('Share-class file must contain a JSON array');
+    return parsed;
+}
+
+class ShareClasses {
+    /**
+     * @param {Array<Object>} entries - Entries ({ class, isin?, sedol?, ticker?, name? })
+     */
+    constructor(entries = []) {
+        this.lookup = new Map();
+
+        for (const entry of entries) {
+            const shareClass = String(entry.class || '').trim().toLowerCase();
+            if (!CLASSES.includes(shareClass)) {
+                throw new Error(`Share-class entry needs a 'class' of ${CLASSES.join(' or ')}: ${JSON.stringify(entry)}`);
+            }
+            const keys = IDENTIFIER_TYPES.flatMap(type => [].concat(entry[type] || []).map(value => identifierKey(type, value)));
+            if (keys.length === 0) throw new Error(`Share-class entry has no isin, sedol, ticker or name: ${JSON.stringify(entry)}`);
+            for (const key of keys) {
+                const existing = this.lookup.get(key);
+                if (existing && existing !== shareClass) {
+                    throw new Error(`Share-class file lists ${key} as both ${existing} and ${shareClass}`);
+                }
+                this.lookup.set(key, shareClass);
+            }
+        }
+    }
+
+    /**
+     * Share class of a security
+     * @param {Object} identifiers - Any of { isin, sedol, ticker, name }
+     * @returns {string|null} 'income', 'accumulation', or null when not listed
+     */
+    classOf(identifiers) {
+        const matches = new Set();
+        for (const type of IDENTIFIER_TYPES) {
+            const value = identifiers[type] && String(identifiers[type]).trim();
+            const shareClass = value && this.lookup.get(identifierKey(type, value));
+            if (shareClass) matches.add(shareClass);
+        }
+        if (matches.size > 1) throw new Error(`Identifiers ${JSON.stringify(identifiers)} are listed as both income and accumulation`);
+        return matches.size === 1 ? [...matches][0] : null;
+    }
+
+    /**
+     * The cgtcalc line kind for a distribution or capital return row
+     * @param {Object} row
+     * @param {string} row.type - 'distribution' or 'capital'
+     * @param {Object} row.identifiers - Identifiers to look the class up by
+     * @param {string} row.asset - cgtcalc asset ID, for messages
+     * @returns {string|null} 'CAPRETURN' or 'DIVIDEND', or null for an income distribution
+     */
+    lineKindFor({ type, identifiers, asset }) {
+        const shareClass = this.classOf(identifiers);
+        if (!shareClass) {
+            throw new Error(`${asset} is not in the share-class file; list it as income or accumulation`);
+        }
+        if (type === 'capital') return 'CAPRETURN';
+        if (type !== 'distribution') throw new Error(`Unknown distribution type '${type}'`);
+        return shareClass === 'accumulation' ? 'DIVIDEND' : null;
+    }
+}
+
+module.exports = ShareClasses;
+module.exports.parseShareClassFile = parseShareClassFile;
@@ -0,0 +1,218 @@
+const { parse } = require('csv-parse');
+const AssetResolver = require('./asset-resolver');
+const { TAXABLE_WRAPPER, normaliseWrapper } = require('./wrappers');
+const { ukDateFromIso, tradeInstantFromIso } = require('./dates');
+const { formatLine } = require('./cgtcalc-format');
+const { RowError, atColumn, recordRowError } = require('./diagnostics');
+
+/**
+ * Trading 212 export notes
+ * ------------------------
+ * The history export has one row per account event. Order rows have an
+ * Action such as `Market buy`, `Limit sell` or `Stop limit buy`; deposits,
+ * withdrawals, dividends, interest and currency conversions are ignored
+ * (dividends are handled manually, as for Freetrade).
+ *
+ * `Time` is written in UTC without a zone and is converted to the UK date.
+ * `Price / share` is in the instrument's currency (`GBX` for pence-quoted
+ * UK shares) and `Exchange rate` is instrument currency per pound, so the
+ * GBP price is price / rate. Fee columns are only present when a fee was
+ * charged somewhere in the export; stamp duty reserve tax, the currency
+ * conversion fee and French transaction tax become the expenses. Only GBP
+ * accounts are supported: totals and fees must be in GBP.
+ */
+
+// Fee columns that are allowable expenses, each with a 'Currency (<name>)' column
+const FEE_COLUMNS = ['Stamp duty reserve tax', 'Stamp duty', 'Currency conversion fee', 'French transaction tax'];
+
+// GBP prices are kept to this many decimal places after conversion
+const PRICE_DECIMALS = 8;
+
+/**
+ * Trading 212 Parser
+ * Converts Trading 212 CSV format to standardized transaction format
+ */
+class Trading212Parser {
+    /**
+     * @param {Object} [options]
+     * @param {AssetResolver} [options.assetResolver] - Shared cross-broker asset resolver
+     * @param {string} [options.wrapper] - Account wrapper of the file (GIA, ISA or SIPP); defaults to GIA
+     * @param {boolean} [options.collectErrors] - Skip bad rows and collect them in `diagnostics` instead of failing
+     */
+    constructor(options = {}) {
+        this.assetResolver = options.assetResolver || new AssetResolver();
+        // Trading 212 exports are per account, so the wrapper is declared for the whole file
+        this.wrapper = options.wrapper ? normaliseWrapper(options.wrapper) : TAXABLE_WRAPPER;
+        this.collectErrors = Boolean(options.collectErrors);
+        // Bad rows from the last parsed file when collecting errors (see diagnostics.js)
+        this.diagnostics = [];
+    }
+
+    /**
+     * Parse CSV content string and convert to parsed transactions
+     * @param {string} content - CSV file content as string
+     * @returns {Promise<Array>} Array of parsed transaction objects
+     */
+    async parseContent(content) {
+        this.diagnostics = [];
+        return new Promise((resolve, reject) => {
+            const results = [];
+            parse(content, {
+                columns: true,
+                skip_empty_lines: true,
+                trim: true,
+                relax_column_count: true,
+                bom: true,
+                info: true
+            }, (err, records) => {
+                if (err) return reject(err);
+                try {
+                    for (const { record: row, info } of records) {
+                        try {
+                            const parsed = this.parseRow(row);
+                            if (parsed) results.push({ ...parsed, wrapper: this.wrapper });
+                        } catch (e) {
+                            recordRowError(this, e, { line: info.lines });
+                        }
+                    }
+                } catch (e) {
+                    return reject(e);
+                }
+                resolve(results);
+            });
+        });
+    }
+
+    /**
+     * Parse a single CSV row
+     * @param {Object} row - CSV row object
+     * @returns {Object|null} Parsed transaction or null if not applicable
+     */
+    parseRow(row) {
+        const action = (row['Action'] || '').toLowerCase();
+        // Market, limit, stop and stop limit orders all end in 'buy' or 'sell'
+        if (/\bbuy$/.test(action) || /\bsell$/.test(action)) {
+            return this.parseTransaction(row);
+        }
+        return null;
+    }
+
+    /**
+     * Parse BUY/SELL transactions
+     * @param {Object} row - CSV row
+     * @returns {Object} Transaction object
+     */
+    parseTransaction(row) {
+        const kind = /\bbuy$/i.test(row['Action']) ? 'BUY' : 'SELL';
+        const timeRaw = row['Time'];
+        if (!timeRaw) throw new RowError('Missing Time value', { column: 'Time', value: '' });
+        const utc = `${timeRaw}Z`;
+        const date = atColumn('Time', utc, ukDateFromIso);
+
+        const asset = this.resolveAsset(row);
+        if (!asset) throw new RowError(`Missing asset identifier (ISIN/Ticker) for transaction on ${timeRaw}`, { column: 'ISIN', value: '' });
+
+        const sharesRaw = row['No. of shares'];
+        const amount = parseFloat(sharesRaw);
+        if (!isFinite(amount) || amount <= 0) {
+            throw new RowError(`Invalid No. of shares: ${sharesRaw}`, { column: 'No. of shares', value: sharesRaw });
+        }
+
+        const accountCurrency = (row['Currency (Total)'] || 'GBP').toUpperCase();
+        if (accountCurrency !== 'GBP') {
+            throw new RowError(`Unsupported account currency '${accountCurrency}'; only GBP accounts are supported`, { column: 'Currency (Total)', value: row['Currency (Total)'] });
+        }
+
+        const price = this.priceInGbp(row);
+        const expenses = this.calculateExpenses(row);
+
+        return {
+            kind,
+            date,
+            asset,
+            amount,
+            price,
+            expenses,
+            // Full execution time, used to order same-day trades
+            time: tradeInstantFromIso(utc),
+            ref: row['ID'] || null,
+            raw: row
+        };
+    }
+
+    /**
+     * Resolve the row's ISIN/Ticker to a canonical asset ID
+     * @param {Object} row - CSV row
+     * @returns {string} Asset ID, or '' when the row has no identifier
+     */
+    resolveAsset(row) {
+        const isin = (row['ISIN'] || '').trim();
+        const ticker = (row['Ticker'] || '').trim();
+        if (!isin && !ticker) return '';
+        return this.assetResolver.resolve({ isin, ticker }, isin || ticker);
+    }
+
+    /**
+     * Price per share in pounds, converted with the row's exchange rate
+     * @param {Object} row - CSV row
+     * @returns {number} GBP price
+     */
+    priceInGbp(row) {
+        const priceRaw = row['Price / share'];
+        const price = parseFloat(priceRaw);
+        if (!isFinite(price) || price <= 0) {
+            throw new RowError(`Invalid Price / share: ${priceRaw}`, { column: 'Price / share', value: priceRaw });
+        }
+        const currency = (row['Currency (Price / share)'] || 'GBP').toUpperCase();
+        if (currency === 'GBP') return price;
+
+        const rateRaw = row['Exchange rate'];
+        const rate = parseFloat(rateRaw);
+        if (!isFinite(rate) || rate <= 0) {
+            throw new RowError(`Invalid Exchange rate for a ${currency} price: ${rateRaw}`, { column: 'Exchange rate', value: rateRaw });
+        }
+        return Number((price / rate).toFixed(PRICE_DECIMALS));
+    }
+
+    /**
+     * Calculate total expenses for a transaction
+     * @param {Object} row - CSV row
+     * @returns {number} Total expenses
+     */
+    calculateExpenses(row) {
+        let total = 0;
+        for (const column of FEE_COLUMNS) {
+            const raw = row[column];
+            if (!raw) continue;
+            const fee = Math.abs(parseFloat(raw));
+            if (!isFinite(fee)) throw new RowError(`Invalid ${column}: ${raw}`, { column, value: raw });
+            const currency = (row[`Currency (${column})`] || 'GBP').toUpperCase();
+            if (fee > 0 && currency !== 'GBP') {
+                throw new RowError(`${column} charged in ${currency}; only GBP fees are supported`, { column: `Currency (${column})`, value: currency });
+            }
+            total += fee;
+        }
+        return Math.round(total * 100) / 100;
+    }
+
+    /**
+     * Format transaction to the required output format
+     * @param {Object} transaction - Parsed transaction
+     * @returns {string} Formatted transaction string
+     */
+    formatTransaction(transaction) {
+        return formatLine(transaction);
+    }
+
+    /**
+     * Parse CSV content and return formatted transaction strings
+     * @param {string} content - CSV content as a string
+     * @returns {Promise<Array<string>>} Array of formatted transaction strings
+     */
+    async parseToFormat(content) {
+        const transactions = await this.parseContent(content);
+        return transactions.map(transaction => this.formatTransaction(transaction));
+    }
+}
+
+module.exports = Trading212Parser;
@@ -0,0 +1,178 @@
+const { formatLine } = require('./cgtcalc-format');
+const AssetResolver = require('./asset-resolver');
+const { normaliseWrapper } = require('./wrappers');
+const { deriveExpenses } = require('./dealing-costs');
+const { ukDateFromIso, ukDateFromDayMonthYear } = require('./dates');
+const { readWorkbook } = require('./xlsx');
+const { RowError, atColumn, recordRowError } = require('./diagnostics');
+
+/**
+ * Vanguard UK export notes
+ * ------------------------
+ * Vanguard Investor only exports an `.xlsx` workbook (see xlsx.js) with one
+ * sheet per account, named after the account (`ISA`, `General Account`,
+ * `SIPP`). Each sheet holds two tables one after the other, each under a
+ * title row and separated by a blank row:
+ *
+ *   Cash Transactions
+ *   Date | Details | Amount | Balance
+ *   ...
+ *
+ *   Investment Transactions
+ *   Date | InvestmentName | TransactionDetails | Quantity | Price | Cost
+ *   15/01/2024 | Vanguard FTSE Global All Cap Index Fund - Accumulation | Bought 5.1234 ... | 5.1234 | 195.1234 | 999.71
+ *
+ * Only the investment table is read; the cash table repeats the same deals
+ * as cash movements next to deposits, fees and interest. `Bought` rows are
+ * BUYs and `Sold` rows (negative quantity and cost) are SELLs. Funds carry
+ * no dealing charge, so the expenses are only what Cost shows beyond
+ * quantity x price, e.g. the ETF dealing fee (see dealing-costs.js).
+ *
+ * The export names the fund but not its ISIN, so the asset is the fund
+ * name with spaces replaced by `_` unless the asset mapping maps the name.
+ * There is no deal reference either; the import ledger keys rows on their
+ * content (see import-ledger.js).
+ */
+
+const INVESTMENT_COLUMNS = ['Date', 'InvestmentName', 'TransactionDetails', 'Quantity', 'Price', 'Cost'];
+
+/**
+ * Vanguard UK Parser
+ * Converts Vanguard XLSX workbooks to standardized transaction format
+ */
+class VanguardParser {
+    /**
+     * @param {Object} [options]
+     * @param {AssetResolver} [options.assetResolver] - Shared cross-broker asset resolver
+     * @param {string} [options.wrapper] - Expected wrapper; sheets naming another account are rejected
+     * @param {boolean} [options.collectErrors] - Skip bad rows and collect them in `diagnostics` instead of failing
+     */
+    constructor(options = {}) {
+        this.assetResolver = options.assetResolver || new AssetResolver();
+        // Vanguard names the account on every sheet; a declaration only double-checks it
+        this.declaredWrapper = options.wrapper ? normaliseWrapper(options.wrapper) : null;
+        // Rows whose cost only differs from quantity x price by rounding, from the last parsed file
+        this.warnings = [];
+        this.collectErrors = Boolean(options.collectErrors);
+        // Bad rows from the last parsed file when collecting errors (see diagnostics.js)
+        this.diagnostics = [];
+    }
+
+    /**
+     * Parse a workbook and return parsed transactions
+     * @param {Buffer|Object} content - XLSX file content, or a workbook read by xlsx.js
+     * @returns {Promise<Array>} parsed transactions
+     */
+    async parseContent(content) {
+        this.warnings = [];
+        this.diagnostics = [];
+        if (typeof content === 'string') throw new Error('Vanguard exports are XLSX workbooks, not text');
+        const workbook = Buffer.isBuffer(content) ? readWorkbook(content) : content;
+
+        const results = [];
+        let tables = 0;
+        for (const sheet of workbook.sheets) {
+            const headerIndex = sheet.rows.findIndex(row => INVESTMENT_COLUMNS.every(column => row.includes(column)));
+            if (headerIndex === -1) continue;
+            tables++;
+            const wrapper = this.sheetWrapper(sheet.name);
+            const header = sheet.rows[headerIndex];
+
+            // The table ends at the first blank row
+            for (let index = headerIndex + 1; index < sheet.rows.length; index++) {
+                const cells = sheet.rows[index];
+                if (cells.every(cell => !cell)) break;
+                const row = Object.fromEntries(header.map((column, i) => [column, cells[i] ?? '']));
+                try {
+                    const parsed = this.parseRow(row);
+                    if (parsed) results.push({ ...parsed, wrapper, raw: { Sheet: sheet.name, ...row } });
+                } catch (e) {
+                    recordRowError(this, e, { sheet: sheet.name, line: index + 1 });
+                }
+            }
+        }
+        if (tables === 0) throw new Error("No sheet with an 'Investment Transactions' table (Date, InvestmentName, TransactionDetails, Quantity, Price, Cost) in the Vanguard workbook");
+        return results;
+    }
+
+    /**
+     * Wrapper of the account a sheet belongs to
+     * @param {string} name - Sheet name
+     * @returns {string} GIA, ISA or SIPP
+     */
+    sheetWrapper(name) {
+        let wrapper;
+        try {
+            wrapper = normaliseWrapper(name);
+        } catch (e) {
+            throw new Error(`Sheet '${name}': ${e.message}`);
+        }
+        if (this.declaredWrapper && wrapper !== this.declaredWrapper) {
+            throw new Error(`Sheet '${name}' does not match the declared ${this.declaredWrapper} wrapper`);
+        }
+        return wrapper;
+    }
+
+    /**
+     * Parse a single investment transaction row
+     * @param {Object} row - Row keyed by column name
+     * @returns {Object|null} Parsed transaction, or null for rows without a quantity
+     */
+    parseRow(row) {
+        const quantityRaw = row['Quantity'];
+        const quantity = Number(quantityRaw);
+        if (!quantityRaw || isNaN(quantity)) return null;
+
+        const details = row['TransactionDetails'];
+        let kind;
+        if (/^bought\b/i.test(details) && quantity > 0) kind = 'BUY';
+        else if (/^sold\b/i.test(details) && quantity < 0) kind = 'SELL';
+        else throw new RowError(`Unable to determine BUY/SELL from '${details}' with quantity ${quantityRaw}; handle manually`, { column: 'TransactionDetails', value: details });
+
+        // Date cells come out of xlsx.js as ISO dates, text cells as written
+        const date = atColumn('Date', row['Date'], value => (/^\d{4}-/.test(value) ? ukDateFromIso(value) : ukDateFromDayMonthYear(value)));
+
+        const name = row['InvestmentName'];
+        if (!name) throw new RowError('Missing InvestmentName', { column: 'InvestmentName', value: '' });
+        const asset = this.assetResolver.resolve({ name }, name.replace(/\s+/g, '_'));
+
+        const amount = Math.abs(quantity);
+        const price = Number(row['Price']);
+        if (!row['Price'] || !isFinite(price) || price <= 0) throw new RowError(`Invalid Price: ${row['Price']}`, { column: 'Price', value: row['Price'] });
+
+        const cost = Number(row['Cost']);
+        if (!row['Cost'] || !isFinite(cost)) throw new RowError(`Invalid Cost: ${row['Cost']}`, { column: 'Cost', value: row['Cost'] });
+        const { expenses, warning } = atColumn('Cost', row['Cost'], () => deriveExpenses({
+            kind,
+            quantity: amount,
+            price,
+            priceRaw: row['Price'],
+            cash: Math.abs(cost),
+            label: `${kind} ${asset} on ${date}`
+        }));
+        if (warning) this.warnings.push(warning);
+
+        return { kind, date, asset, amount, price, expenses, ref: null };
+    }
+
+    /**
+     * Format transaction to the required output format
+     * @param {Object} transaction - Parsed transaction
+     * @returns {string} Formatted transaction string
+     */
+    formatTransaction(transaction) {
+        return formatLine(transaction);
+    }
+
+    /**
+     * Parse a workbook and return formatted transaction strings
+     * @param {Buffer|Object} content - XLSX file content, or a workbook read by xlsx.js
+     * @returns {Promise<Array<string>>} Array of formatted transaction strings
+     */
+    async parseToFormat(content) {
+        const transactions = await this.parseContent(content);
+        return transactions.map(transaction => this.formatTransaction(transaction));
+    }
+}
+
+module.exports = VanguardParser;
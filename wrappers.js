@@ -0,0 +1,57 @@
+/**
+ * Tax wrappers
+ * ------------
+ * Trades inside an ISA or SIPP are outside CGT and must not reach the
+ * cgtcalc output. Fidelity names the wrapper on every row (`Product
+ * Wrapper`) and Vanguard on every workbook sheet (`ISA`, `General
+ * Account`); ii, Freetrade and BullionVault exports are one account each,
+ * so their wrapper is declared per file (`--wrapper` or the batch config).
+ * An undeclared file is treated as a taxable general investment account.
+ * Unrecognised wrapper names fail fast rather than being guessed.
+ */
+
+const TAXABLE_WRAPPER = 'GIA';
+
+// Checked in order; the first match wins
+const WRAPPER_MATCHERS = [
+    { wrapper: 'SIPP', regex: /\b(sipp|pension)\b/i },
+    { wrapper: 'ISA', regex: /\b(isa|junior isa|lisa|lifetime isa)\b/i },
+    { wrapper: 'GIA', regex: /\b(gia|general investment account|general account|investment account|trading account|dealing account)\b/i },
+];
+
+/**
+ * Normalise a broker's wrapper name to GIA, ISA or SIPP
+ * @param {string} value - Wrapper name from a CSV column or a declaration
+ * @returns {string} Normalised wrapper
+ */
+function normaliseWrapper(value) {
+    const text = String(value || '').trim();
+    if (!text) throw new Error('Missing wrapper');
+    for (const m of WRAPPER_MATCHERS) if (m.regex.test(text)) return m.wrapper;
+    throw new Error(`Unknown wrapper '${text}'; expected GIA, ISA or SIPP`);
+}
+
+/**
+ * Split transactions into taxable ones and counts of excluded ones per wrapper
+ * @param {Array<Object>} transactions - Parsed transactions with a `wrapper`
+ * @returns {{taxable: Array<Object>, excluded: Object}} Taxable transactions and { wrapper: count }
+ */
+function partitionByWrapper(transactions) {
+    const taxable = [];
+    const excluded = {};
+    for (const transaction of transactions) {
+        const wrapper = transaction.wrapper || TAXABLE_WRAPPER;
+        if (wrapper === TAXABLE_WRAPPER) {
+            taxable.push(transaction);
+        } else {
+            excluded[wrapper] = (excluded[wrapper] || 0) + 1;
+        }
+    }
+    return { taxable, excluded };
+}
+
+module.exports = {
+    TAXABLE_WRAPPER,
+    normaliseWrapper,
+    partitionByWrapper
+};
@@ -0,0 +1,203 @@
+const { isZip, readZip } = require('./zip');
+const { parseXml, findAll } = require('./xml');
+
+/**
+ * XLSX workbooks
+ * --------------
+ * Some brokers (Vanguard UK) only export `.xlsx` workbooks. A workbook is
+ * read into its sheets, in workbook order, each as rows of cell text so a
+ * parser can treat a sheet much like CSV:
+ *
+ *   { sheets: [{ name: 'ISA', rows: [['Date', 'InvestmentName', ...], ...] }] }
+ *
+ * `rows[n - 1]` is spreadsheet row n, so row numbers can be reported in
+ * diagnostics; missing rows are empty arrays and missing cells ''.
+ *
+ *  - Shared, inline and formula strings are returned as text.
+ *  - Numbers use their shortest round-trip form, e.g. '195.1234'.
+ *  - Numbers styled as dates are returned as ISO local dates
+ *    ('2024-01-15', or '2024-01-15T09:30:00' with a time of day), for both
+ *    the 1900 and the 1904 date systems.
+ *  - Booleans are 'TRUE'/'FALSE' and error cells their code, e.g. '#N/A'.
+ *
+ * Only the cached values are read; formulas are never evaluated.
+ */
+
+// Built-in number formats that display dates or times
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const EPOCH_1900 = Date.UTC(1899, 11, 30);
+const EPOCH_1904 = Date.UTC(1904, 0, 1);
+
+/**
+ * Whether a buffer looks like an XLSX workbook (a ZIP archive)
+ * @param {Buffer} buffer - File content
+ * @returns {boolean} True for a ZIP archive
+ */
+function isXlsx(buffer) {
+    return isZip(buffer);
+}
+
+/**
+ * Text of an element and its descendants' direct text, e.g. a rich text run
+ * @param {Object} element - XML element
+ * @returns {string} Concatenated text of its `t` elements
+ */
+function textOf(element) {
+    return findAll(element, 't').map(t => t.text).join('');
+}
+
+/**
+ * Whether a custom number format code displays a date
+ * @param {string} code - Format code, e.g. 'dd/mm/yyyy;@'
+ * @returns {boolean} True when the code has day, month or year parts
+ */
+function isDateFormatCode(code) {
+    // Quoted literals, escaped characters and [colour]/[locale] blocks aren't date parts
+    const stripped = code.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, '');
+    return /[dmy]/i.test(stripped);
+}
+
+/**
+ * Indexes of the cell styles (cellXfs) that display dates
+ * @param {Object|null} styles - styles.xml root, if the workbook has one
+ * @returns {Set<number>} Date style indexes
+ */
+function dateStyles(styles) {
+    const result = new Set();
+    if (!styles) return result;
+    const custom = new Map(findAll(styles, 'numFmt').map(f => [Number(f.attributes.numFmtId), f.attributes.formatCode || '']));
+    const cellXfs = findAll(styles, 'cellXfs')[0];
+    if (!cellXfs) return result;
+    cellXfs.children.filter(xf => xf.name === 'xf').forEach((xf, index) => {
+        const id = Number(xf.attributes.numFmtId || 0);
+        if (BUILTIN_DATE_FORMATS.has(id) || (custom.has(id) && isDateFormatCode(custom.get(id)))) result.add(index);
+    });
+    return result;
+}
+
+/**
+ * Convert a date serial number to an ISO local date
+ * @param {number} serial - Days since the epoch, with the time of day as a fraction
+ * @param {boolean} date1904 - Whether the workbook uses the 1904 date system
+ * @returns {string} e.g. '2024-01-15' or '2024-01-15T09:30:00'
+ */
+function serialToIso(serial, date1904) {
+    const ms = Math.round(serial * MS_PER_DAY / 1000) * 1000;
+    const iso = new Date((date1904 ? EPOCH_1904 : EPOCH_1900) + ms).toISOString();
+    return ms % MS_PER_DAY === 0 ? iso.slice(0, 10) : iso.slice(0, 19);
+}
+
+/**
+ * Column index of a cell reference
+ * @param {string} ref - Cell reference, e.g. 'AB12'
+ * @returns {number} Zero-based column index, e.g. 27
+ */
+function columnIndex(ref) {
+    const letters = ref.match(/^[A-Z]+/i)[0].toUpperCase();
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Text of a cell
+ * @param {Object} cell - `c` element
+ * @param {Object} context - { sharedStrings, dateStyleIndexes, date1904 }
+ * @returns {string} Cell text
+ */
+function cellText(cell, { sharedStrings, dateStyleIndexes, date1904 }) {
+    const value = cell.children.find(child => child.name === 'v');
+    const raw = value ? value.text : '';
+    switch (cell.attributes.t) {
+        case 's':
+            if (!(Number(raw) in sharedStrings)) throw new Error(`Cell ${cell.attributes.r || ''} refers to missing shared string ${raw}`);
+            return sharedStrings[Number(raw)];
+        case 'inlineStr':
+            return textOf(cell);
+        case 'b':
+            return raw === '1' ? 'TRUE' : 'FALSE';
+        case 'str':
+        case 'e':
+            return raw;
+        default:
+            if (raw === '') return '';
+            if (dateStyleIndexes.has(Number(cell.attributes.s || 0))) return serialToIso(Number(raw), date1904);
+            return String(Number(raw));
+    }
+}
+
+/**
+ * Read a worksheet into rows of cell text
+ * @param {Object} sheet - Worksheet root element
+ * @param {Object} context - { sharedStrings, dateStyleIndexes, date1904 }
+ * @returns {Array<Array<string>>} Rows, indexed by row number - 1
+ */
+function readRows(sheet, context) {
+    const rows = [];
+    let nextRow = 1;
+    for (const row of findAll(sheet, 'row')) {
+        const rowNumber = row.attributes.r ? Number(row.attributes.r) : nextRow;
+        nextRow = rowNumber + 1;
+        const cells = [];
+        let nextColumn = 0;
+        for (const cell of row.children.filter(child => child.name === 'c')) {
+            const column = cell.attributes.r ? columnIndex(cell.attributes.r) : nextColumn;
+            nextColumn = column + 1;
+            cells[column] = cellText(cell, context);
+        }
+        rows[rowNumber - 1] = Array.from(cells, text => text ?? '');
+    }
+    return Array.from(rows, row => row || []);
+}
+
+/**
+ * Resolve a relationship target to an archive path
+ * @param {string} target - Target, relative to xl/ or absolute
+ * @returns {string} Archive path, e.g. 'xl/worksheets/sheet1.xml'
+ */
+function partPath(target) {
+    return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+}
+
+/**
+ * Read an XLSX workbook
+ * @param {Buffer} buffer - Workbook file content
+ * @returns {{sheets: Array<{name: string, rows: Array<Array<string>>}>}} Sheets in workbook order
+ */
+function readWorkbook(buffer) {
+    if (!isXlsx(buffer)) throw new Error('Not an XLSX workbook');
+    const files = readZip(buffer);
+    const part = name => {
+        const content = files.get(name);
+        return content ? parseXml(content.toString('utf8')) : null;
+    };
+
+    const workbook = part('xl/workbook.xml');
+    if (!workbook) throw new Error('Not an XLSX workbook: no xl/workbook.xml');
+    const relationships = part('xl/_rels/workbook.xml.rels');
+    const targets = new Map(relationships ? findAll(relationships, 'Relationship').map(r => [r.attributes.Id, r.attributes.Target]) : []);
+
+    const properties = findAll(workbook, 'workbookPr')[0];
+    const date1904 = Boolean(properties && ['1', 'true'].includes(properties.attributes.date1904));
+    const strings = part('xl/sharedStrings.xml');
+    const context = {
+        sharedStrings: strings ? strings.children.filter(child => child.name === 'si').map(textOf) : [],
+        dateStyleIndexes: dateStyles(part('xl/styles.xml')),
+        date1904
+    };
+
+    const sheets = findAll(workbook, 'sheet').map(sheet => {
+        const { name, id } = sheet.attributes;
+        const target = targets.get(id);
+        const root = target && part(partPath(target));
+        if (!root) throw new Error(`Worksheet '${name}' is missing from the workbook`);
+        return { name, rows: readRows(root, context) };
+    });
+    return { sheets };
+}
+
+module.exports = {
+    isXlsx,
+    readWorkbook,
+    serialToIso
+};
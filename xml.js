@@ -0,0 +1,134 @@
+/**
+ * XML documents
+ * -------------
+ * Minimal XML reading for broker exports that come as XML (IBKR Flex
+ * Query statements) rather than CSV:
+ *
+ *  - elements with their attributes, children and direct text, each
+ *    with the line it starts on for diagnostics;
+ *  - namespace prefixes dropped from element names (`x:row` is `row`);
+ *  - the five predefined entities, numeric character references and
+ *    CDATA sections decoded;
+ *  - comments, processing instructions and the DOCTYPE skipped.
+ *
+ * No DTDs, no custom entities and no validation. Anything that isn't
+ * well-formed (a stray `<`, a mismatched or unclosed tag) fails fast with
+ * its line number rather than being guessed.
+ */
+
+const PREDEFINED_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// One token at the current position: comment, CDATA, PI, DOCTYPE, closing tag, opening tag or text
+const TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/y;
+
+const ATTRIBUTE = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Whether a code point is a character XML allows (the Char production)
+ * @param {number} code - Code point
+ * @returns {boolean} True for tab, newline, carriage return and the non-surrogate points from U+0020 except U+FFFE and U+FFFF
+ */
+function isXmlChar(code) {
+    return code === 0x9 || code === 0xA || code === 0xD ||
+        (code >= 0x20 && code <= 0xD7FF) || (code >= 0xE000 && code <= 0xFFFD) || (code >= 0x10000 && code <= 0x10FFFF);
+}
+
+/**
+ * Decode entities and character references in text or an attribute value
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            if (!isXmlChar(code)) throw new Error(`Invalid XML character reference ${entity}`);
+            return String.fromCodePoint(code);
+        }
+        if (!(name in PREDEFINED_ENTITIES)) throw new Error(`Unknown XML entity ${entity}`);
+        return PREDEFINED_ENTITIES[name];
+    });
+}
+
+/**
+ * Drop the namespace prefix of a tag name
+ * @param {string} name - Tag name as written, e.g. 'x:row'
+ * @returns {string} Local name, e.g. 'row'
+ */
+function localName(name) {
+    return name.slice(name.indexOf(':') + 1);
+}
+
+/**
+ * Parse an XML document into a tree of elements
+ * @param {string} content - XML text
+ * @returns {Object} Root element { name, attributes, children, text, line }
+ */
+function parseXml(content) {
+    const xml = content.replace(/^[\uFEFF\u200B\u200E\u200F]+/, '');
+    const stack = [];
+    let root = null;
+    let line = 1;
+    let position = 0;
+
+    const append = text => {
+        if (stack.length > 0) stack[stack.length - 1].text += text;
+        else if (text.trim()) throw new Error(`Malformed XML: text outside the root element on line ${line}`);
+    };
+
+    while (position < xml.length) {
+        TOKEN.lastIndex = position;
+        const match = TOKEN.exec(xml);
+        if (!match) throw new Error(`Malformed XML on line ${line}: ${xml.slice(position, position + 30)}`);
+        const [token, cdata, closing, opening, attributeText, selfClosing, text] = match;
+
+        if (cdata !== undefined) {
+            append(cdata);
+        } else if (text !== undefined) {
+            append(decodeEntities(text));
+        } else if (closing !== undefined) {
+            const open = stack.pop();
+            if (!open || open.name !== localName(closing)) {
+                throw new Error(`Malformed XML: unexpected </${closing}> on line ${line}`);
+            }
+        } else if (opening !== undefined) {
+            if (stack.length === 0 && root) throw new Error(`Malformed XML: second root element <${opening}> on line ${line}`);
+            const attributes = {};
+            for (const [, name, doubleQuoted, singleQuoted] of attributeText.matchAll(ATTRIBUTE)) {
+                attributes[localName(name)] = decodeEntities(doubleQuoted ?? singleQuoted);
+            }
+            const element = { name: localName(opening), attributes, children: [], text: '', line };
+            if (stack.length > 0) stack[stack.length - 1].children.push(element);
+            else root = element;
+            if (!selfClosing) stack.push(element);
+        }
+
+        line += (token.match(/\n/g) || []).length;
+        position += token.length;
+    }
+
+    if (stack.length > 0) throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> on line ${stack[stack.length - 1].line} is never closed`);
+    if (!root) throw new Error('Malformed XML: no root element');
+    return root;
+}
+
+/**
+ * Find every descendant element with a name, in document order
+ * @param {Object} element - Element to search under
+ * @param {string} name - Local element name
+ * @returns {Array<Object>} Matching elements
+ */
+function findAll(element, name) {
+    const found = [];
+    for (const child of element.children) {
+        if (child.name === name) found.push(child);
+        found.push(...findAll(child, name));
+    }
+    return found;
+}
+
+module.exports = {
+    parseXml,
+    findAll,
+    decodeEntities
+};
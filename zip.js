@@ -0,0 +1,93 @@
+const zlib = require('zlib');
+
+/**
+ * ZIP archives
+ * ------------
+ * Just enough of the ZIP format to read an XLSX workbook, which is a ZIP
+ * archive of XML parts. Entries are found through the central directory
+ * at the end of the archive and may be stored or deflated. ZIP64,
+ * encryption and multi-disk archives are rejected; a workbook never needs
+ * them.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// The end record is 22 bytes plus a comment of up to 65535 bytes
+const END_RECORD_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Whether a buffer starts like a ZIP archive
+ * @param {Buffer} buffer - File content
+ * @returns {boolean} True for a ZIP local file header signature
+ */
+function isZip(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER;
+}
+
+/**
+ * Locate the end of central directory record
+ * @param {Buffer} buffer - Archive
+ * @returns {number} Offset of the record
+ */
+function findEndRecord(buffer) {
+    const stop = Math.max(0, buffer.length - END_RECORD_SIZE - MAX_COMMENT_SIZE);
+    for (let offset = buffer.length - END_RECORD_SIZE; offset >= stop; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    throw new Error('Not a ZIP archive: no end of central directory record');
+}
+
+/**
+ * Read every file in a ZIP archive
+ * @param {Buffer} buffer - Archive
+ * @returns {Map<string, Buffer>} File content by entry name, in archive order
+ */
+function readZip(buffer) {
+    const end = findEndRecord(buffer);
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    if (count === 0xffff || offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+    const files = new Map();
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+            throw new Error(`Corrupt ZIP archive: bad central directory entry ${i + 1}`);
+        }
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (flags & 0x1) throw new Error(`Encrypted ZIP entry '${name}' is not supported`);
+        if (name.endsWith('/')) continue;
+        if (buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) throw new Error(`Corrupt ZIP archive: bad local header for '${name}'`);
+        // The local header's name and extra field lengths may differ from the central directory's
+        const dataOffset = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataOffset, dataOffset + compressedSize);
+
+        let content;
+        if (method === STORED) content = data;
+        else if (method === DEFLATED) content = zlib.inflateRawSync(data);
+        else throw new Error(`ZIP entry '${name}' uses unsupported compression method ${method}`);
+        if (content.length !== size) throw new Error(`Corrupt ZIP archive: '${name}' is ${content.length} bytes, expected ${size}`);
+        files.set(name, content);
+    }
+    return files;
+}
+
+module.exports = {
+    isZip,
+    readZip
+};